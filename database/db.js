@@ -157,6 +157,25 @@ async function updateMemberRole(memberId, role) {
     }
 }
 
+async function updateMemberLevel(memberId, level) {
+    if (!dbAvailable) return false;
+    try {
+        const { error } = await supabase
+            .from('members')
+            .update({
+                belmonts_level: level,
+                updated_at: new Date().toISOString(),
+            })
+            .eq('member_id', parseInt(memberId, 10));
+
+        if (error) console.error('Error updating level:', error);
+        return !error;
+    } catch (error) {
+        console.error('Error updating member level:', error);
+        return false;
+    }
+}
+
 async function getAllMembers() {
     if (!dbAvailable) return [];
     try {
@@ -170,8 +189,9 @@ async function getAllMembers() {
             return [];
         }
 
-        // Filter out excluded members
-        return (data || []).filter(member => !EXCLUDED_MEMBERS.includes(member.display_name) && !EXCLUDED_MEMBERS.includes(member.username));
+        // Filter out members excluded from member lists
+        const excluded = await getExcludedMemberIds('leaderboard');
+        return (data || []).filter(member => !isMemberExcluded(excluded, member.member_id));
     } catch (error) {
         console.error('Error getting all members:', error);
         return [];
@@ -216,62 +236,56 @@ async function initializePoints(memberId) {
     }
 }
 
-async function addPoints(memberId, pointsToAdd) {
+// Reason codes a points transaction can carry (points_reason_check in schema.sql)
+const POINT_REASONS = ['code_run', 'submit', 'meeting', 'hint', 'streak', 'manual', 'transfer', 'reversal', 'promotion', 'other'];
+
+/**
+ * Change a member's balance and write the matching ledger row in one database transaction
+ * @returns {Promise<{transaction_id: number, delta: number, new_balance: number}|null>}
+ */
+async function applyPointsTransaction(memberId, points, details = {}, { setBalance = false, reversalOf = null } = {}) {
     if (!dbAvailable) return null;
     try {
-        const id = parseInt(memberId, 10);
-        const timestamp = new Date().toISOString();
-        
-        // Get current points from members table using member_id
-        const { data: member } = await supabase
-            .from('members')
-            .select('belmonts_points, member_id')
-            .eq('member_id', id)
-            .single();
-
-        if (!member) {
-            console.error('Member not found in members table. Member ID:', id);
+        const reason = details.reason || 'other';
+        if (!POINT_REASONS.includes(reason)) {
+            console.error(`Unknown points reason "${reason}"`);
             return null;
         }
 
-        const currentPoints = member?.belmonts_points || 0;
-        const newPoints = currentPoints + pointsToAdd;
-
-        // Update ONLY the members table with new belmonts_points
-        const { error: memberError } = await supabase
-            .from('members')
-            .update({
-                belmonts_points: newPoints,
-                updated_at: timestamp,
-            })
-            .eq('member_id', id);
+        const { data, error } = await supabase.rpc('apply_points_transaction', {
+            p_member_id: parseInt(memberId, 10),
+            p_points: points,
+            p_reason: reason,
+            p_actor_id: details.actorId ? String(details.actorId) : null,
+            p_actor_name: details.actorName || null,
+            p_reference_id: details.referenceId ? String(details.referenceId) : null,
+            p_note: details.note || null,
+            p_reversal_of: reversalOf,
+            p_set_balance: setBalance,
+        });
 
-        if (memberError) {
-            console.error('Failed to update members.belmonts_points:', memberError.message);
+        if (error) {
+            console.error('Error applying points transaction:', error.message);
             return null;
         }
 
-        // Insert a new points log row for each award
-        const { error: pointsError } = await supabase
-            .from('points')
-            .insert({
-                member_id: member.member_id,
-                points: pointsToAdd,
-                last_update: timestamp,
-                updated_at: timestamp,
-            });
-
-        if (pointsError) {
-            console.error('Warning - Failed to insert points log row:', pointsError.message);
-        }
-        
-        return newPoints;
+        return data?.[0] || null;
     } catch (error) {
-        console.error('Error in addPoints:', error);
+        console.error('Error in applyPointsTransaction:', error);
         return null;
     }
 }
 
+/**
+ * Add (or with a negative amount, remove) points and record why
+ * @param {Object} details - { reason, actorId, actorName, referenceId, note }
+ * @returns {Promise<number|null>} The new balance
+ */
+async function addPoints(memberId, pointsToAdd, details = {}) {
+    const result = await applyPointsTransaction(memberId, pointsToAdd, details);
+    return result ? result.new_balance : null;
+}
+
 async function getPoints(memberId) {
     if (!dbAvailable) return 0;
     try {
@@ -344,7 +358,7 @@ async function getAllPoints() {
     try {
         const { data, error } = await supabase
             .from('members')
-            .select('member_id, username, display_name, belmonts_points')
+            .select('member_id, username, display_name, belmonts_points, belmonts_level')
             .order('belmonts_points', { ascending: false });
 
         if (error) console.error('Error fetching points:', error);
@@ -355,778 +369,2299 @@ async function getAllPoints() {
     }
 }
 
-async function setPoints(memberId, points) {
-    if (!dbAvailable) return false;
+/**
+ * Set a member's balance; the ledger records the difference
+ * @param {Object} details - { reason, actorId, actorName, referenceId, note }
+ * @returns {Promise<{transaction_id: number, delta: number, new_balance: number}|null>}
+ */
+async function setPoints(memberId, points, details = {}) {
+    return applyPointsTransaction(memberId, points, { reason: 'manual', ...details }, { setBalance: true });
+}
+
+/**
+ * Move points from one member to another as two 'transfer' ledger rows
+ * @param {Object} details - { actorId, actorName, note }
+ * @returns {Promise<{status: 'transferred'|'insufficient'|'not_found'|'failed', fromBalance?: number, toBalance?: number}>}
+ */
+async function transferPoints(fromMemberId, toMemberId, points, details = {}) {
+    if (!dbAvailable) return { status: 'failed' };
     try {
-        const id = parseInt(memberId, 10);
-        const timestamp = new Date().toISOString();
+        const { data, error } = await supabase.rpc('transfer_points', {
+            p_from_member_id: parseInt(fromMemberId, 10),
+            p_to_member_id: parseInt(toMemberId, 10),
+            p_points: points,
+            p_actor_id: details.actorId ? String(details.actorId) : null,
+            p_actor_name: details.actorName || null,
+            p_note: details.note || null,
+        });
 
-        const { error } = await supabase
-            .from('members')
-            .update({
-                belmonts_points: points,
-                updated_at: timestamp,
-            })
-            .eq('member_id', id);
+        if (error) {
+            // Error codes raised by transfer_points in schema.sql
+            if (error.code === 'P0003') return { status: 'insufficient' };
+            if (error.code === 'P0002') return { status: 'not_found' };
+            console.error('Error transferring points:', error.message);
+            return { status: 'failed' };
+        }
 
-        if (error) console.error('Error setting points:', error);
-        return !error;
+        const result = data?.[0];
+        if (!result) return { status: 'failed' };
+
+        return { status: 'transferred', fromBalance: result.from_balance, toBalance: result.to_balance };
     } catch (error) {
-        console.error('Error setting points:', error);
-        return false;
+        console.error('Error in transferPoints:', error);
+        return { status: 'failed' };
     }
 }
 
-// ============ Leaderboard ============
-
-// Members to exclude from leaderboard and member lists
-const EXCLUDED_MEMBERS = ['Haleel Rahman', 'Jerlin Shabi'];
-
-async function getLeaderboard(limit = 100) {
-    if (!dbAvailable) return [];
+async function getPointsTransaction(transactionId) {
+    if (!dbAvailable) return null;
     try {
-        // First, get all members
-        const { data: membersData, error: membersError } = await supabase
-            .from('members')
+        const { data, error } = await supabase
+            .from('points')
             .select('*')
-            .limit(limit);
+            .eq('id', transactionId)
+            .single();
 
-        if (membersError) {
-            console.error('Error fetching members:', membersError);
-            return [];
+        // PGRST116 means no rows found
+        if (error && error.code !== 'PGRST116') {
+            console.error('Error fetching points transaction:', error);
         }
-
-        // Merge members with their points (default to 0 if no points)
-        // Filter out excluded members
-        const leaderboard = membersData
-            .filter(member => !EXCLUDED_MEMBERS.includes(member.display_name) && !EXCLUDED_MEMBERS.includes(member.username))
-            .map(member => {
-                return {
-                    member_id: member.member_id,
-                    points: member?.belmonts_points || 0,
-                    members: member
-                };
-            });
-
-        // Sort by points descending
-        leaderboard.sort((a, b) => b.points - a.points);
-
-        return leaderboard;
+        return data || null;
     } catch (error) {
-        console.error('Error getting leaderboard:', error);
-        return [];
+        console.error('Error getting points transaction:', error);
+        return null;
     }
 }
 
-// ============ Birthday Management ============
-
-async function getMembersWithBirthdayToday() {
-    if (!dbAvailable) return [];
+/**
+ * Undo a points transaction with an opposite ledger entry
+ * @param {Object} details - { actorId, actorName, note }
+ * @returns {Promise<{status: 'reversed'|'not_found'|'is_reversal'|'is_transfer'|'already_reversed'|'failed', transaction?: Object, balance?: number}>}
+ */
+async function reversePointsTransaction(transactionId, details = {}) {
+    if (!dbAvailable) return { status: 'failed' };
     try {
-        // Get current date in Asia/Kolkata timezone
-        const today = getCurrentTimeInTimeZone();
-        const todayMonth = today.getMonth() + 1;
-        const todayDate = today.getDate();
+        const transaction = await getPointsTransaction(transactionId);
+        if (!transaction) return { status: 'not_found' };
+        if (transaction.reversal_of) return { status: 'is_reversal', transaction };
+        // Undoing one side of a transfer would create points; transfer them back instead
+        if (transaction.reason === 'transfer') return { status: 'is_transfer', transaction };
 
-        // Fetch all members with birthday info
-        const { data, error } = await supabase
-            .from('members')
-            .select('*')
-            .not('birthday', 'is', null);
+        const { data: existing } = await supabase
+            .from('points')
+            .select('id')
+            .eq('reversal_of', transaction.id)
+            .limit(1);
 
-        if (error) {
-            console.error('Error fetching members with birthdays:', error);
-            return [];
+        if (existing && existing.length > 0) {
+            return { status: 'already_reversed', transaction };
         }
 
-        // Filter for today's month and day
-        // Birthday is stored as "YYYY-MM-DD" date string, parse it directly to avoid timezone issues
-        const birthdayMembers = (data || []).filter(member => {
-            if (!member.birthday) return false;
-            
-            // Parse "YYYY-MM-DD" format directly without timezone conversion
-            const [year, month, day] = member.birthday.split('-').map(Number);
-            
-            return month === todayMonth && day === todayDate;
-        });
-
-        // Filter out excluded members
-        return birthdayMembers.filter(member => 
-            !EXCLUDED_MEMBERS.includes(member.display_name) && 
-            !EXCLUDED_MEMBERS.includes(member.username)
+        // The unique index on reversal_of still rejects a reversal that raced this one
+        const result = await applyPointsTransaction(
+            transaction.member_id,
+            -transaction.points,
+            { ...details, reason: 'reversal', referenceId: transaction.id },
+            { reversalOf: transaction.id }
         );
+        if (!result) return { status: 'failed', transaction };
+
+        return { status: 'reversed', transaction, balance: result.new_balance };
     } catch (error) {
-        console.error('Error getting today\'s birthdays:', error);
-        return [];
+        console.error('Error reversing points transaction:', error);
+        return { status: 'failed' };
     }
 }
 
-// For upcoming birthdays within N days
-async function getMembersWithUpcomingBirthdays(daysAhead = 7) {
-    if (!dbAvailable) return [];
+/**
+ * A member's most recent positive ledger entry
+ */
+async function getLastPointsAward(memberId) {
+    if (!dbAvailable) return null;
     try {
-        // Get current date in Asia/Kolkata timezone
-        const today = getCurrentTimeInTimeZone();
-        const todayYear = today.getFullYear();
-        const todayMonth = today.getMonth() + 1;
-        const todayDate = today.getDate();
-
-        // Fetch all members with birthday info
         const { data, error } = await supabase
-            .from('members')
+            .from('points')
             .select('*')
-            .not('birthday', 'is', null);
+            .eq('member_id', parseInt(memberId, 10))
+            .gt('points', 0)
+            .order('id', { ascending: false })
+            .limit(1);
 
         if (error) {
-            console.error('Error fetching members with birthdays:', error);
-            return [];
+            console.error('Error fetching last points award:', error);
+            return null;
         }
 
-        const upcoming = [];
-
-        for (const member of data) {
-            // Skip excluded members
-            if (EXCLUDED_MEMBERS.includes(member.display_name) || EXCLUDED_MEMBERS.includes(member.username)) {
-                continue;
-            }
-
-            if (!member.birthday) continue;
-
-            // Parse "YYYY-MM-DD" format directly without timezone conversion
-            const [bYear, bMonth, bDate] = member.birthday.split('-').map(Number);
-
-            // Calculate this year's birthday
-            let thisYearBirthday = new Date(todayYear, bMonth - 1, bDate);
-            
-            // If birthday has already passed this year, look at next year
-            if (thisYearBirthday < today) {
-                thisYearBirthday = new Date(todayYear + 1, bMonth - 1, bDate);
-            }
+        return data?.[0] || null;
+    } catch (error) {
+        console.error('Error getting last points award:', error);
+        return null;
+    }
+}
 
-            // Calculate days until birthday
-            const daysUntilBirthday = Math.ceil((thisYearBirthday - today) / (1000 * 60 * 60 * 24));
+/**
+ * Net points a member gained between two instants
+ */
+async function getMemberPointsForPeriod(memberId, startDate, endDate) {
+    if (!dbAvailable) return 0;
+    try {
+        const { data, error } = await supabase
+            .from('points')
+            .select('points')
+            .eq('member_id', parseInt(memberId, 10))
+            .gte('last_update', startDate.toISOString())
+            .lt('last_update', endDate.toISOString());
 
-            if (daysUntilBirthday <= daysAhead && daysUntilBirthday >= 0) {
-                upcoming.push({ 
-                    ...member, 
-                    daysUntilBirthday,
-                    birthdayDate: `${bMonth}/${bDate}` 
-                });
-            }
+        if (error) {
+            console.error('Error fetching member points for period:', error);
+            return 0;
         }
 
-        return upcoming.sort((a, b) => a.daysUntilBirthday - b.daysUntilBirthday);
+        return (data || []).reduce((sum, row) => sum + row.points, 0);
     } catch (error) {
-        console.error('Error getting upcoming birthdays:', error);
-        return [];
+        console.error('Error getting member points for period:', error);
+        return 0;
     }
 }
 
-// ============ Discord Activity Tracking ============
-
-async function trackDiscordActivity(activityData) {
-    if (!dbAvailable) return false;
+/**
+ * A member's ledger entries, newest first
+ * @returns {Promise<{entries: Array, total: number}>}
+ */
+async function getPointsHistory(memberId, { limit = 10, offset = 0 } = {}) {
+    if (!dbAvailable) return { entries: [], total: 0 };
     try {
-        const {
-            memberId,
-            discordUsername,
-            displayName = null,
-            activityType,
-            channelId = null,
-            channelName = null,
-            messageCount = 0,
-            voiceDurationMinutes = 0,
-            reactionCount = 0,
-            metadata = null
-        } = activityData;
+        const { data, error, count } = await supabase
+            .from('points')
+            .select('*', { count: 'exact' })
+            .eq('member_id', parseInt(memberId, 10))
+            .order('id', { ascending: false })
+            .range(offset, offset + limit - 1);
 
-        // Validate required fields
-        if (!discordUsername || !activityType) {
-            console.error('Error: discordUsername and activityType are required for activity tracking');
-            return false;
+        if (error) {
+            console.error('Error fetching points history:', error);
+            return { entries: [], total: 0 };
         }
 
-        const memberId_int = memberId ? parseInt(memberId, 10) : null;
-        const activityDate = new Date().toISOString().split('T')[0];
+        return { entries: data || [], total: count || 0 };
+    } catch (error) {
+        console.error('Error getting points history:', error);
+        return { entries: [], total: 0 };
+    }
+}
 
-        const activityRecord = {
-            member_id: memberId_int,
-            discord_username: discordUsername,
-            activity_type: activityType,
-            channel_id: channelId,
-            channel_name: channelName,
-            message_count: messageCount || 0,
-            voice_duration_minutes: voiceDurationMinutes || 0,
-            reaction_count: reactionCount || 0,
-            activity_date: activityDate,
-            activity_timestamp: new Date().toISOString(),
-            metadata: metadata || null
-        };
+// ============ Member Exclusions ============
 
-        // Only add display_name if it's provided (handle missing column gracefully)
-        if (displayName) {
-            activityRecord.display_name = displayName;
-        }
+// Where an exclusion applies (member_exclusions_scope_check in schema.sql)
+const EXCLUSION_SCOPES = ['leaderboard', 'birthdays', 'reports'];
 
+/**
+ * IDs of members excluded from a scope, as strings
+ * @returns {Promise<Set<string>>}
+ */
+async function getExcludedMemberIds(scope) {
+    if (!dbAvailable) return new Set();
+    try {
         const { data, error } = await supabase
-            .from('discord_activity')
-            .insert([activityRecord]);
+            .from('member_exclusions')
+            .select('member_id')
+            .eq('scope', scope);
 
         if (error) {
-            console.error('Error tracking discord activity:', error.message);
-            return false;
+            console.error('Error fetching member exclusions:', error);
+            return new Set();
         }
 
-        return true;
+        return new Set((data || []).map(row => String(row.member_id)));
     } catch (error) {
-        console.error('Error tracking discord activity:', error);
-        return false;
+        console.error('Error getting member exclusions:', error);
+        return new Set();
     }
 }
 
-async function getDiscordActivity(memberId, startDate = null, endDate = null) {
+/**
+ * Whether a member ID (or Discord user ID, stored the same way) is in a set from getExcludedMemberIds
+ */
+function isMemberExcluded(excludedIds, memberId) {
+    // member_id is parsed like syncMember does, so Discord IDs compare the same way
+    return excludedIds.has(String(parseInt(memberId, 10)));
+}
+
+async function getMemberExclusions() {
     if (!dbAvailable) return [];
     try {
-        const id = parseInt(memberId, 10);
-        let query = supabase
-            .from('discord_activity')
-            .select('*')
-            .eq('member_id', id);
-
-        if (startDate) {
-            query = query.gte('activity_date', startDate);
-        }
-
-        if (endDate) {
-            query = query.lte('activity_date', endDate);
-        }
-
-        const { data, error } = await query.order('activity_timestamp', { ascending: false });
+        const { data, error } = await supabase
+            .from('member_exclusions')
+            .select('*, members(display_name, username)')
+            .order('created_at', { ascending: true });
 
         if (error) {
-            console.error('Error fetching discord activity:', error);
+            console.error('Error fetching member exclusions:', error);
             return [];
         }
 
         return data || [];
     } catch (error) {
-        console.error('Error getting discord activity:', error);
+        console.error('Error getting member exclusions:', error);
         return [];
     }
 }
 
-async function getDiscordActivityByUsername(discordUsername, startDate = null, endDate = null) {
-    if (!dbAvailable) return [];
+async function addMemberExclusion(memberId, scope, { reason = null, addedBy = null } = {}) {
+    if (!dbAvailable) return null;
     try {
-        let query = supabase
-            .from('discord_activity')
-            .select('*')
-            .eq('discord_username', discordUsername);
+        const { data, error } = await supabase
+            .from('member_exclusions')
+            .upsert({
+                member_id: parseInt(memberId, 10),
+                scope,
+                reason,
+                added_by: addedBy,
+            }, { onConflict: 'member_id,scope' })
+            .select();
 
-        if (startDate) {
-            query = query.gte('activity_date', startDate);
+        if (error) {
+            console.error('Error adding member exclusion:', error);
+            return null;
         }
 
-        if (endDate) {
-            query = query.lte('activity_date', endDate);
-        }
+        return data?.[0] || null;
+    } catch (error) {
+        console.error('Error adding member exclusion:', error);
+        return null;
+    }
+}
 
-        const { data, error } = await query.order('activity_timestamp', { ascending: false });
+async function removeMemberExclusion(memberId, scope) {
+    if (!dbAvailable) return false;
+    try {
+        const { data, error } = await supabase
+            .from('member_exclusions')
+            .delete()
+            .eq('member_id', parseInt(memberId, 10))
+            .eq('scope', scope)
+            .select();
 
         if (error) {
-            console.error('Error fetching discord activity by username:', error);
-            return [];
+            console.error('Error removing member exclusion:', error);
+            return false;
         }
 
-        return data || [];
+        return (data || []).length > 0;
     } catch (error) {
-        console.error('Error getting discord activity by username:', error);
-        return [];
+        console.error('Error removing member exclusion:', error);
+        return false;
     }
 }
 
-async function getDiscordActivitySummary(memberId, days = 30) {
-    if (!dbAvailable) return null;
-    try {
-        const id = parseInt(memberId, 10);
-        const startDate = new Date();
-        startDate.setDate(startDate.getDate() - days);
-        const startDateStr = startDate.toISOString().split('T')[0];
+// ============ Rookies ============
 
+async function getRookies() {
+    if (!dbAvailable) return [];
+    try {
         const { data, error } = await supabase
-            .from('discord_activity')
+            .from('rookies')
             .select('*')
-            .eq('member_id', id)
-            .gte('activity_date', startDateStr);
+            .order('joined_at', { ascending: true });
 
         if (error) {
-            console.error('Error fetching activity summary:', error);
-            return null;
+            console.error('Error fetching rookies:', error);
+            return [];
         }
 
-        const summary = {
-            totalMessages: 0,
-            totalVoiceMinutes: 0,
-            totalReactions: 0,
-            activitiesByType: {},
-            activeDays: new Set(),
-        };
+        return data || [];
+    } catch (error) {
+        console.error('Error getting rookies:', error);
+        return [];
+    }
+}
 
-        data.forEach(activity => {
-            summary.totalMessages += activity.message_count || 0;
-            summary.totalVoiceMinutes += activity.voice_duration_minutes || 0;
-            summary.totalReactions += activity.reaction_count || 0;
-            summary.activitiesByType[activity.activity_type] = (summary.activitiesByType[activity.activity_type] || 0) + 1;
-            summary.activeDays.add(activity.activity_date);
-        });
+/**
+ * Find a rookie by Discord user ID, or by username for rows saved without one
+ */
+async function getRookie(userId, username = null) {
+    if (!dbAvailable) return null;
+    try {
+        // Two lookups instead of an .or() filter, which a username with "," or ")" would break
+        for (const [column, value] of [['user_id', userId], ['username', username]]) {
+            if (!value) continue;
+            const { data, error } = await supabase
+                .from('rookies')
+                .select('*')
+                .eq(column, value)
+                .limit(1);
 
-        summary.activeDays = summary.activeDays.size;
+            if (error) {
+                console.error('Error fetching rookie:', error);
+                return null;
+            }
+            if (data?.[0]) return data[0];
+        }
 
-        return summary;
+        return null;
     } catch (error) {
-        console.error('Error getting discord activity summary:', error);
+        console.error('Error getting rookie:', error);
         return null;
     }
 }
 
-async function getMemberByDiscordUsername(discordUsername) {
+/**
+ * Note that a rookie (or unregistered user) ran code: creates the row on first sight
+ * @returns {Promise<Object|null>} The updated rookie row
+ */
+async function recordRookieActivity({ userId, username, channel = null }) {
     if (!dbAvailable) return null;
     try {
-        const { data, error } = await supabase
-            .from('members')
-            .select('*')
-            .eq('discord_username', discordUsername)
-            .single();
+        // Rows saved without a Discord ID are keyed by whatever getRookie matched on
+        const existing = await getRookie(userId, username);
+        const { data, error } = await supabase.rpc('record_rookie_activity', {
+            p_user_id: existing?.user_id || userId,
+            p_username: username || null,
+            p_channel: channel,
+        });
 
-        if (data) {
-            return data;
+        if (error) {
+            console.error('Error recording rookie activity:', error);
+            return null;
         }
 
-        if (error && error.code !== 'PGRST116') {
-            console.error('Error fetching member by discord username:', error);
+        return data?.[0] || null;
+    } catch (error) {
+        console.error('Error recording rookie activity:', error);
+        return null;
+    }
+}
+
+/**
+ * Award a rookie their daily points once per date
+ * @returns {Promise<{updated: boolean, points: number}|null>} null if the database is unavailable or failed
+ */
+async function awardRookiePoints({ userId, username, channel = null, points, dateKey }) {
+    if (!dbAvailable) return null;
+    try {
+        const rookie = await recordRookieActivity({ userId, username, channel });
+        if (!rookie) return null;
+        if (rookie.last_awarded_date === dateKey) {
+            return { updated: false, points: rookie.points || 0 };
         }
 
-        const { data: byUsername, error: usernameError } = await supabase
-            .from('members')
-            .select('*')
-            .eq('username', discordUsername)
-            .single();
+        // The date condition stops a second award for the same day slipping in between
+        const { data, error } = await supabase.rpc('add_rookie_points', {
+            p_user_id: rookie.user_id,
+            p_points: points,
+            p_award_date: dateKey,
+        });
 
-        if (byUsername) {
-            return byUsername;
+        if (error) {
+            console.error('Error awarding rookie points:', error);
+            return null;
         }
 
-        if (usernameError && usernameError.code !== 'PGRST116') {
-            console.error('Error fetching member by username:', usernameError);
-        }
+        const updated = data?.[0];
+        return updated
+            ? { updated: true, points: updated.points }
+            : { updated: false, points: rookie.points || 0 };
+    } catch (error) {
+        console.error('Error awarding rookie points:', error);
+        return null;
+    }
+}
 
-        const { data: byDisplayName, error: displayNameError } = await supabase
-            .from('members')
-            .select('*')
-            .eq('display_name', discordUsername)
-            .single();
+/**
+ * Add bonus points to a rookie outside the once-a-day challenge award
+ * @returns {Promise<number|null>} New rookie points
+ */
+async function addRookiePoints(userId, points) {
+    if (!dbAvailable) return null;
+    try {
+        const rookie = await getRookie(userId);
+        if (!rookie) return null;
 
-        if (displayNameError && displayNameError.code !== 'PGRST116') {
-            console.error('Error fetching member by display name:', displayNameError);
+        const { data, error } = await supabase.rpc('add_rookie_points', {
+            p_user_id: rookie.user_id,
+            p_points: points,
+        });
+
+        if (error) {
+            console.error('Error adding rookie points:', error);
+            return null;
         }
 
-        return byDisplayName;
+        return data?.[0]?.points ?? null;
     } catch (error) {
-        console.error('Error getting member by discord username:', error);
+        console.error('Error adding rookie points:', error);
         return null;
     }
 }
 
-async function addBelmontsPointsByDiscordUsername(discordUsername, pointsToAdd) {
+/**
+ * Add or refresh rookies from the Discord role list; points, award dates and activity are left as they are
+ * @param {Array} rookies - [{ user_id, username, display_name, joined_at, roles }]
+ * @returns {Promise<number|null>} Rows written
+ */
+async function mergeRookies(rookies) {
     if (!dbAvailable) return null;
+    if (rookies.length === 0) return 0;
     try {
-        const member = await getMemberByDiscordUsername(discordUsername);
-        if (!member) return null;
+        const timestamp = new Date().toISOString();
+        const { data, error } = await supabase
+            .from('rookies')
+            .upsert(rookies.map(rookie => ({ ...rookie, updated_at: timestamp })), { onConflict: 'user_id' })
+            .select('user_id');
 
-        const currentPoints = Number(member.belmonts_points || 0);
-        const newPoints = currentPoints + pointsToAdd;
+        if (error) {
+            console.error('Error merging rookies:', error);
+            return null;
+        }
 
-        const { error } = await supabase
-            .from('members')
-            .update({
-                belmonts_points: newPoints,
-                updated_at: new Date().toISOString(),
-            })
-            .eq('member_id', member.member_id);
+        return (data || []).length;
+    } catch (error) {
+        console.error('Error merging rookies:', error);
+        return null;
+    }
+}
+
+/**
+ * Insert full rookie rows, skipping user IDs already in the table (for the JSON migration)
+ * @returns {Promise<number|null>} Rows inserted
+ */
+async function importRookies(rookies) {
+    if (!dbAvailable) return null;
+    if (rookies.length === 0) return 0;
+    try {
+        const { data, error } = await supabase
+            .from('rookies')
+            .upsert(rookies, { onConflict: 'user_id', ignoreDuplicates: true })
+            .select('user_id');
 
         if (error) {
-            console.error('Error updating belmonts_points:', error);
+            console.error('Error importing rookies:', error);
             return null;
         }
 
-        return newPoints;
+        return (data || []).length;
     } catch (error) {
-        console.error('Error updating belmonts_points:', error);
+        console.error('Error importing rookies:', error);
         return null;
     }
 }
 
-// ============ Meetings Operations ============
+async function removeRookie(userId) {
+    if (!dbAvailable) return false;
+    try {
+        const { data, error } = await supabase
+            .from('rookies')
+            .delete()
+            .eq('user_id', userId)
+            .select();
 
-async function createMeeting(meetingData) {
+        if (error) {
+            console.error('Error removing rookie:', error);
+            return false;
+        }
+
+        return (data || []).length > 0;
+    } catch (error) {
+        console.error('Error removing rookie:', error);
+        return false;
+    }
+}
+
+// ============ Solve Streaks ============
+
+async function getSolveStreak(userId) {
     if (!dbAvailable) return null;
     try {
-        const {
-            title,
-            meeting_date,
-            meeting_time,
-            start_time,
-        } = meetingData;
-
         const { data, error } = await supabase
-            .from('meetings')
-            .insert({
-                title,
-                meeting_date,
-                meeting_time,
-                start_time,
-                attended_members: 0,
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString(),
-            })
-            .select();
+            .from('solve_streaks')
+            .select('*')
+            .eq('user_id', userId)
+            .limit(1);
 
         if (error) {
-            console.error('Error creating meeting:', error);
+            console.error('Error fetching solve streak:', error);
             return null;
         }
 
         return data?.[0] || null;
     } catch (error) {
-        console.error('Error creating meeting:', error);
+        console.error('Error getting solve streak:', error);
         return null;
     }
 }
 
-async function updateMeetingEnd(meetingId, endData) {
-    if (!dbAvailable) return null;
+/**
+ * @param {string[]} userIds - Discord user IDs
+ * @returns {Promise<Object>} { [userId]: streak row }
+ */
+async function getSolveStreaks(userIds) {
+    if (!dbAvailable || userIds.length === 0) return {};
     try {
-        const {
-            end_time,
-            duration_minutes,
-            attended_members,
-        } = endData;
+        const { data, error } = await supabase
+            .from('solve_streaks')
+            .select('*')
+            .in('user_id', userIds);
+
+        if (error) {
+            console.error('Error fetching solve streaks:', error);
+            return {};
+        }
+
+        return Object.fromEntries((data || []).map(row => [row.user_id, row]));
+    } catch (error) {
+        console.error('Error getting solve streaks:', error);
+        return {};
+    }
+}
 
+async function saveSolveStreak(streakData) {
+    if (!dbAvailable) return null;
+    try {
         const { data, error } = await supabase
-            .from('meetings')
-            .update({
-                end_time,
-                duration_minutes,
-                attended_members,
+            .from('solve_streaks')
+            .upsert({
+                ...streakData,
                 updated_at: new Date().toISOString(),
-            })
-            .eq('meeting_id', meetingId)
+            }, { onConflict: 'user_id' })
             .select();
 
         if (error) {
-            console.error('Error updating meeting:', error);
+            console.error('Error saving solve streak:', error);
             return null;
         }
 
         return data?.[0] || null;
     } catch (error) {
-        console.error('Error ending meeting:', error);
+        console.error('Error saving solve streak:', error);
         return null;
     }
 }
 
-async function recordAttendance(meetingId, attendanceData) {
+// ============ Achievements ============
+
+/**
+ * Count an achievement event for a member, at most once per day
+ * @returns {Promise<{count: number, counted: boolean}|null>} counted is false if it was already counted on dateKey
+ */
+async function recordAchievementEvent(memberId, event, dateKey) {
     if (!dbAvailable) return null;
     try {
-        // Ensure meetingId is included in the attendance data
-        const dataToInsert = Array.isArray(attendanceData) 
-            ? attendanceData.map(d => ({ ...d, meeting_id: meetingId }))
-            : [{ ...attendanceData, meeting_id: meetingId }];
+        const { data: existing, error: fetchError } = await supabase
+            .from('achievement_progress')
+            .select('count, last_date')
+            .eq('member_id', parseInt(memberId, 10))
+            .eq('event', event)
+            .limit(1);
+
+        if (fetchError) {
+            console.error('Error fetching achievement progress:', fetchError);
+            return null;
+        }
+
+        const current = existing?.[0];
+        if (current && current.last_date === dateKey) {
+            return { count: current.count, counted: false };
+        }
 
         const { data, error } = await supabase
-            .from('meeting_attendance')
-            .insert(dataToInsert)
-            .select();
+            .from('achievement_progress')
+            .upsert({
+                member_id: parseInt(memberId, 10),
+                event,
+                count: (current?.count || 0) + 1,
+                last_date: dateKey,
+                updated_at: new Date().toISOString(),
+            }, { onConflict: 'member_id,event' })
+            .select('count');
 
         if (error) {
-            console.error('Error recording attendance:', error);
+            console.error('Error saving achievement progress:', error);
             return null;
         }
 
-        return data || null;
+        return { count: data?.[0]?.count ?? (current?.count || 0) + 1, counted: true };
     } catch (error) {
-        console.error('Error recording attendance:', error);
+        console.error('Error recording achievement event:', error);
         return null;
     }
 }
 
-async function getMeetingAttendance(meetingId) {
-    if (!dbAvailable) return [];
+/**
+ * @returns {Promise<Object>} { [event]: count }
+ */
+async function getAchievementProgress(memberId) {
+    if (!dbAvailable) return {};
     try {
         const { data, error } = await supabase
-            .from('meeting_attendance')
-            .select('*')
-            .eq('meeting_id', meetingId)
-            .order('total_duration_minutes', { ascending: false });
+            .from('achievement_progress')
+            .select('event, count')
+            .eq('member_id', parseInt(memberId, 10));
 
         if (error) {
-            console.error('Error fetching attendance:', error);
-            return [];
+            console.error('Error fetching achievement progress:', error);
+            return {};
         }
 
-        return data || [];
+        return Object.fromEntries((data || []).map(row => [row.event, row.count]));
     } catch (error) {
-        console.error('Error getting meeting attendance:', error);
-        return [];
+        console.error('Error getting achievement progress:', error);
+        return {};
     }
 }
 
-async function getMeetings(limit = 30) {
+async function getMemberBadges(memberId) {
     if (!dbAvailable) return [];
     try {
         const { data, error } = await supabase
-            .from('meetings')
-            .select('*')
-            .order('meeting_date', { ascending: false })
-            .limit(limit);
+            .from('member_badges')
+            .select('badge_id, unlocked_at')
+            .eq('member_id', parseInt(memberId, 10))
+            .order('unlocked_at', { ascending: true });
 
         if (error) {
-            console.error('Error fetching meetings:', error);
+            console.error('Error fetching member badges:', error);
             return [];
         }
 
         return data || [];
     } catch (error) {
-        console.error('Error getting meetings:', error);
+        console.error('Error getting member badges:', error);
         return [];
     }
 }
 
-async function confirmGathering(memberId, username, gatheringDate, gatheringTime = '20:00:00') {
+/**
+ * Store badges for a member, skipping ones they already have
+ * @returns {Promise<string[]|null>} IDs of the badges that were newly unlocked
+ */
+async function unlockBadges(memberId, badgeIds) {
     if (!dbAvailable) return null;
+    if (badgeIds.length === 0) return [];
     try {
-        const dateStr = gatheringDate ? new Date(gatheringDate).toISOString().split('T')[0] : new Date().toISOString().split('T')[0];
-        const timeStr = typeof gatheringTime === 'number' ? `${gatheringTime}:00:00` : gatheringTime;
-        
-        // Check if user exists in members table by Discord ID
-        const member = await getMember(memberId);
+        const { data, error } = await supabase
+            .from('member_badges')
+            .upsert(
+                badgeIds.map(badgeId => ({ member_id: parseInt(memberId, 10), badge_id: badgeId })),
+                { onConflict: 'member_id,badge_id', ignoreDuplicates: true }
+            )
+            .select('badge_id');
+
+        if (error) {
+            console.error('Error unlocking badges:', error);
+            return null;
+        }
+
+        return (data || []).map(row => row.badge_id);
+    } catch (error) {
+        console.error('Error unlocking badges:', error);
+        return null;
+    }
+}
+
+// ============ Leaderboard ============
+
+/**
+ * Rank members by lifetime points
+ * @param {number|null} limit - Top entries to return, or null for every member
+ * @returns {Promise<Array<{member_id: number, points: number, members: Object}>>}
+ */
+async function getLeaderboard(limit = 100) {
+    if (!dbAvailable) return [];
+    try {
+        // Exclusions, ordering and the limit all run in the query, so the limit keeps the top balances
+        const excluded = await getExcludedMemberIds('leaderboard');
+        const membersData = [];
+        const pageSize = 1000;
+
+        // Supabase caps each response, so longer rankings are read a page at a time
+        for (let offset = 0; limit === null || offset < limit; offset += pageSize) {
+            const end = limit === null ? offset + pageSize : Math.min(offset + pageSize, limit);
+            let query = supabase
+                .from('members')
+                .select('*');
+            if (excluded.size > 0) {
+                query = query.not('member_id', 'in', `(${[...excluded].join(',')})`);
+            }
+
+            const { data, error: membersError } = await query
+                .order('belmonts_points', { ascending: false, nullsFirst: false })
+                .order('member_id', { ascending: true })
+                .range(offset, end - 1);
+
+            if (membersError) {
+                console.error('Error fetching members:', membersError);
+                return [];
+            }
+
+            membersData.push(...(data || []));
+            if (!data || data.length < end - offset) break;
+        }
+
+        // Members without points count as 0
+        return membersData.map(member => ({
+            member_id: member.member_id,
+            points: member?.belmonts_points || 0,
+            members: member
+        }));
+    } catch (error) {
+        console.error('Error getting leaderboard:', error);
+        return [];
+    }
+}
+
+/**
+ * All-time rank of a member, counted in the query so it covers every member
+ * @returns {Promise<{rank: number, total: number}|null>} null if the member is missing or excluded
+ */
+async function getMemberRank(memberId) {
+    if (!dbAvailable) return null;
+    try {
+        const excluded = await getExcludedMemberIds('leaderboard');
+        if (isMemberExcluded(excluded, memberId)) return null;
+
+        const { data: member, error } = await supabase
+            .from('members')
+            .select('belmonts_points')
+            .eq('member_id', memberId)
+            .single();
+
+        if (error) {
+            if (error.code !== 'PGRST116') {
+                console.error('Error fetching member for rank:', error);
+            }
+            return null;
+        }
+
+        const countRanked = (narrow) => {
+            let query = supabase
+                .from('members')
+                .select('member_id', { count: 'exact', head: true });
+            if (excluded.size > 0) {
+                query = query.not('member_id', 'in', `(${[...excluded].join(',')})`);
+            }
+            return narrow(query);
+        };
+
+        // Members tied on points share a rank
+        const points = member.belmonts_points || 0;
+        const [above, ranked] = await Promise.all([
+            countRanked(query => query.gt('belmonts_points', points)),
+            countRanked(query => query),
+        ]);
+
+        if (above.error || ranked.error) {
+            console.error('Error counting member rank:', above.error || ranked.error);
+            return null;
+        }
+
+        return { rank: above.count + 1, total: ranked.count };
+    } catch (error) {
+        console.error('Error getting member rank:', error);
+        return null;
+    }
+}
+
+/**
+ * Rank members by the points they gained between two instants, from the points ledger
+ * @param {Date} startDate - Inclusive start
+ * @param {Date} endDate - Exclusive end
+ * @param {number|null} limit - Top entries to return, or null for every ranked member
+ * @returns {Promise<Array<{member_id: number, points: number, members: Object}>>}
+ */
+async function getLeaderboardForPeriod(startDate, endDate, limit = 100) {
+    if (!dbAvailable) return [];
+    try {
+        const totals = {};
+        const pageSize = 1000;
+
+        // Supabase caps each response, so page through the period's transactions
+        for (let offset = 0; ; offset += pageSize) {
+            const { data, error } = await supabase
+                .from('points')
+                .select('member_id, points')
+                .gte('last_update', startDate.toISOString())
+                .lt('last_update', endDate.toISOString())
+                .order('id', { ascending: true })
+                .range(offset, offset + pageSize - 1);
+
+            if (error) {
+                console.error('Error fetching points for period:', error);
+                return [];
+            }
+
+            (data || []).forEach(row => {
+                totals[row.member_id] = (totals[row.member_id] || 0) + row.points;
+            });
+
+            if (!data || data.length < pageSize) break;
+        }
+
+        const memberIds = Object.keys(totals);
+        if (memberIds.length === 0) return [];
+
+        const { data: membersData, error: membersError } = await supabase
+            .from('members')
+            .select('*')
+            .in('member_id', memberIds);
+
+        if (membersError) {
+            console.error('Error fetching members:', membersError);
+            return [];
+        }
+
+        const excluded = await getExcludedMemberIds('leaderboard');
+        const leaderboard = membersData
+            .filter(member => !isMemberExcluded(excluded, member.member_id))
+            .map(member => ({
+                member_id: member.member_id,
+                points: totals[member.member_id] || 0,
+                members: member,
+            }));
+
+        leaderboard.sort((a, b) => b.points - a.points);
+
+        return limit === null ? leaderboard : leaderboard.slice(0, limit);
+    } catch (error) {
+        console.error('Error getting leaderboard for period:', error);
+        return [];
+    }
+}
+
+// ============ Leaderboard Snapshots ============
+
+/**
+ * Store the full ranking behind a scheduled leaderboard post
+ * @param {Object} snapshotData - { period, entries: [{ member_id, rank, points }] }
+ */
+async function saveLeaderboardSnapshot(snapshotData) {
+    if (!dbAvailable) return null;
+    try {
+        const { data, error } = await supabase
+            .from('leaderboard_snapshots')
+            .insert({
+                ...snapshotData,
+                taken_at: new Date().toISOString(),
+            })
+            .select();
+
+        if (error) {
+            console.error('Error saving leaderboard snapshot:', error);
+            return null;
+        }
+
+        return data?.[0] || null;
+    } catch (error) {
+        console.error('Error saving leaderboard snapshot:', error);
+        return null;
+    }
+}
+
+async function getLatestLeaderboardSnapshot(period) {
+    if (!dbAvailable) return null;
+    try {
+        const { data, error } = await supabase
+            .from('leaderboard_snapshots')
+            .select('*')
+            .eq('period', period)
+            .order('taken_at', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            console.error('Error fetching leaderboard snapshot:', error);
+            return null;
+        }
+
+        return data?.[0] || null;
+    } catch (error) {
+        console.error('Error getting leaderboard snapshot:', error);
+        return null;
+    }
+}
+
+// ============ Birthday Management ============
+
+async function getMembersWithBirthdayToday() {
+    if (!dbAvailable) return [];
+    try {
+        // Get current date in Asia/Kolkata timezone
+        const today = getCurrentTimeInTimeZone();
+        const todayMonth = today.getMonth() + 1;
+        const todayDate = today.getDate();
+
+        // Fetch all members with birthday info
+        const { data, error } = await supabase
+            .from('members')
+            .select('*')
+            .not('birthday', 'is', null);
+
+        if (error) {
+            console.error('Error fetching members with birthdays:', error);
+            return [];
+        }
+
+        // Filter for today's month and day
+        // Birthday is stored as "YYYY-MM-DD" date string, parse it directly to avoid timezone issues
+        const birthdayMembers = (data || []).filter(member => {
+            if (!member.birthday) return false;
+            
+            // Parse "YYYY-MM-DD" format directly without timezone conversion
+            const [year, month, day] = member.birthday.split('-').map(Number);
+            
+            return month === todayMonth && day === todayDate;
+        });
+
+        // Filter out excluded members
+        const excluded = await getExcludedMemberIds('birthdays');
+        return birthdayMembers.filter(member => !isMemberExcluded(excluded, member.member_id));
+    } catch (error) {
+        console.error('Error getting today\'s birthdays:', error);
+        return [];
+    }
+}
+
+// For upcoming birthdays within N days
+async function getMembersWithUpcomingBirthdays(daysAhead = 7) {
+    if (!dbAvailable) return [];
+    try {
+        // Get current date in Asia/Kolkata timezone
+        const today = getCurrentTimeInTimeZone();
+        const todayYear = today.getFullYear();
+        const todayMonth = today.getMonth() + 1;
+        const todayDate = today.getDate();
+
+        // Fetch all members with birthday info
+        const { data, error } = await supabase
+            .from('members')
+            .select('*')
+            .not('birthday', 'is', null);
+
+        if (error) {
+            console.error('Error fetching members with birthdays:', error);
+            return [];
+        }
+
+        const upcoming = [];
+        const excluded = await getExcludedMemberIds('birthdays');
+
+        for (const member of data) {
+            // Skip excluded members
+            if (isMemberExcluded(excluded, member.member_id)) {
+                continue;
+            }
+
+            if (!member.birthday) continue;
+
+            // Parse "YYYY-MM-DD" format directly without timezone conversion
+            const [bYear, bMonth, bDate] = member.birthday.split('-').map(Number);
+
+            // Calculate this year's birthday
+            let thisYearBirthday = new Date(todayYear, bMonth - 1, bDate);
+            
+            // If birthday has already passed this year, look at next year
+            if (thisYearBirthday < today) {
+                thisYearBirthday = new Date(todayYear + 1, bMonth - 1, bDate);
+            }
+
+            // Calculate days until birthday
+            const daysUntilBirthday = Math.ceil((thisYearBirthday - today) / (1000 * 60 * 60 * 24));
+
+            if (daysUntilBirthday <= daysAhead && daysUntilBirthday >= 0) {
+                upcoming.push({ 
+                    ...member, 
+                    daysUntilBirthday,
+                    birthdayDate: `${bMonth}/${bDate}` 
+                });
+            }
+        }
+
+        return upcoming.sort((a, b) => a.daysUntilBirthday - b.daysUntilBirthday);
+    } catch (error) {
+        console.error('Error getting upcoming birthdays:', error);
+        return [];
+    }
+}
+
+// ============ Discord Activity Tracking ============
+
+async function trackDiscordActivity(activityData) {
+    if (!dbAvailable) return false;
+    try {
+        const {
+            memberId,
+            discordUsername,
+            displayName = null,
+            activityType,
+            channelId = null,
+            channelName = null,
+            messageCount = 0,
+            voiceDurationMinutes = 0,
+            reactionCount = 0,
+            metadata = null
+        } = activityData;
+
+        // Validate required fields
+        if (!discordUsername || !activityType) {
+            console.error('Error: discordUsername and activityType are required for activity tracking');
+            return false;
+        }
+
+        const memberId_int = memberId ? parseInt(memberId, 10) : null;
+        const activityDate = new Date().toISOString().split('T')[0];
+
+        const activityRecord = {
+            member_id: memberId_int,
+            discord_username: discordUsername,
+            activity_type: activityType,
+            channel_id: channelId,
+            channel_name: channelName,
+            message_count: messageCount || 0,
+            voice_duration_minutes: voiceDurationMinutes || 0,
+            reaction_count: reactionCount || 0,
+            activity_date: activityDate,
+            activity_timestamp: new Date().toISOString(),
+            metadata: metadata || null
+        };
+
+        // Only add display_name if it's provided (handle missing column gracefully)
+        if (displayName) {
+            activityRecord.display_name = displayName;
+        }
+
+        const { data, error } = await supabase
+            .from('discord_activity')
+            .insert([activityRecord]);
+
+        if (error) {
+            console.error('Error tracking discord activity:', error.message);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error tracking discord activity:', error);
+        return false;
+    }
+}
+
+/**
+ * Add buffered message/reaction/voice counts to the daily 'message_activity' rows.
+ * Each entry must be a different user, channel and date.
+ * @param {Array} entries - [{ userId, username, displayName, channelId, channelName, activityDate, messageCount, reactionCount, voiceDurationMinutes }]
+ * @returns {Promise<number|null>} Rows written, or null if the flush failed and should be retried
+ */
+async function recordDiscordActivityCounts(entries) {
+    if (!dbAvailable) return null;
+    if (entries.length === 0) return 0;
+    try {
+        const { data, error } = await supabase.rpc('record_discord_activity_counts', {
+            p_entries: entries.map(entry => ({
+                user_id: String(entry.userId),
+                username: entry.username,
+                display_name: entry.displayName || null,
+                channel_id: entry.channelId,
+                channel_name: entry.channelName || null,
+                activity_date: entry.activityDate,
+                message_count: entry.messageCount || 0,
+                reaction_count: entry.reactionCount || 0,
+                voice_duration_minutes: entry.voiceDurationMinutes || 0,
+            })),
+        });
+
+        if (error) {
+            console.error('Error recording discord activity counts:', error.message);
+            return null;
+        }
+
+        return data ?? entries.length;
+    } catch (error) {
+        console.error('Error recording discord activity counts:', error);
+        return null;
+    }
+}
+
+async function getDiscordActivity(memberId, startDate = null, endDate = null) {
+    if (!dbAvailable) return [];
+    try {
+        const id = parseInt(memberId, 10);
+        let query = supabase
+            .from('discord_activity')
+            .select('*')
+            .eq('member_id', id);
+
+        if (startDate) {
+            query = query.gte('activity_date', startDate);
+        }
+
+        if (endDate) {
+            query = query.lte('activity_date', endDate);
+        }
+
+        const { data, error } = await query.order('activity_timestamp', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching discord activity:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('Error getting discord activity:', error);
+        return [];
+    }
+}
+
+async function getDiscordActivityByUsername(discordUsername, startDate = null, endDate = null) {
+    if (!dbAvailable) return [];
+    try {
+        let query = supabase
+            .from('discord_activity')
+            .select('*')
+            .eq('discord_username', discordUsername);
+
+        if (startDate) {
+            query = query.gte('activity_date', startDate);
+        }
+
+        if (endDate) {
+            query = query.lte('activity_date', endDate);
+        }
+
+        const { data, error } = await query.order('activity_timestamp', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching discord activity by username:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('Error getting discord activity by username:', error);
+        return [];
+    }
+}
+
+async function getDiscordActivitySummary(memberId, days = 30) {
+    if (!dbAvailable) return null;
+    try {
+        const id = parseInt(memberId, 10);
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - days);
+        const startDateStr = startDate.toISOString().split('T')[0];
+
+        const { data, error } = await supabase
+            .from('discord_activity')
+            .select('*')
+            .eq('member_id', id)
+            .gte('activity_date', startDateStr);
+
+        if (error) {
+            console.error('Error fetching activity summary:', error);
+            return null;
+        }
+
+        const summary = {
+            totalMessages: 0,
+            totalVoiceMinutes: 0,
+            totalReactions: 0,
+            activitiesByType: {},
+            activeDays: new Set(),
+        };
+
+        data.forEach(activity => {
+            summary.totalMessages += activity.message_count || 0;
+            summary.totalVoiceMinutes += activity.voice_duration_minutes || 0;
+            summary.totalReactions += activity.reaction_count || 0;
+            summary.activitiesByType[activity.activity_type] = (summary.activitiesByType[activity.activity_type] || 0) + 1;
+            summary.activeDays.add(activity.activity_date);
+        });
+
+        summary.activeDays = summary.activeDays.size;
+
+        return summary;
+    } catch (error) {
+        console.error('Error getting discord activity summary:', error);
+        return null;
+    }
+}
+
+async function getMemberByDiscordUsername(discordUsername) {
+    if (!dbAvailable) return null;
+    try {
+        const { data, error } = await supabase
+            .from('members')
+            .select('*')
+            .eq('discord_username', discordUsername)
+            .single();
+
+        if (data) {
+            return data;
+        }
+
+        if (error && error.code !== 'PGRST116') {
+            console.error('Error fetching member by discord username:', error);
+        }
+
+        const { data: byUsername, error: usernameError } = await supabase
+            .from('members')
+            .select('*')
+            .eq('username', discordUsername)
+            .single();
+
+        if (byUsername) {
+            return byUsername;
+        }
+
+        if (usernameError && usernameError.code !== 'PGRST116') {
+            console.error('Error fetching member by username:', usernameError);
+        }
+
+        const { data: byDisplayName, error: displayNameError } = await supabase
+            .from('members')
+            .select('*')
+            .eq('display_name', discordUsername)
+            .single();
+
+        if (displayNameError && displayNameError.code !== 'PGRST116') {
+            console.error('Error fetching member by display name:', displayNameError);
+        }
+
+        return byDisplayName;
+    } catch (error) {
+        console.error('Error getting member by discord username:', error);
+        return null;
+    }
+}
+
+async function addBelmontsPointsByDiscordUsername(discordUsername, pointsToAdd, details = {}) {
+    if (!dbAvailable) return null;
+    try {
+        const member = await getMemberByDiscordUsername(discordUsername);
+        if (!member) return null;
+
+        return await addPoints(member.member_id, pointsToAdd, details);
+    } catch (error) {
+        console.error('Error updating belmonts_points:', error);
+        return null;
+    }
+}
+
+// ============ Voice Sessions ============
+
+async function openVoiceSession({ userId, username, channelId, channelName, joinedAt = new Date() }) {
+    if (!dbAvailable) return null;
+    try {
+        const { data, error } = await supabase
+            .from('voice_sessions')
+            .insert([{
+                user_id: String(userId),
+                username,
+                channel_id: channelId,
+                channel_name: channelName,
+                joined_at: joinedAt.toISOString(),
+                last_seen_at: joinedAt.toISOString(),
+            }])
+            .select();
+
+        if (error) {
+            console.error('Error opening voice session:', error);
+            return null;
+        }
+
+        return data?.[0] || null;
+    } catch (error) {
+        console.error('Error opening voice session:', error);
+        return null;
+    }
+}
+
+/**
+ * @param {Object} end - { leftAt, durationMinutes, endReason: 'leave'|'move'|'restart' }
+ */
+async function closeVoiceSession(sessionId, { leftAt, durationMinutes, endReason }) {
+    if (!dbAvailable) return false;
+    try {
+        const { error } = await supabase
+            .from('voice_sessions')
+            .update({
+                left_at: leftAt.toISOString(),
+                last_seen_at: leftAt.toISOString(),
+                duration_minutes: durationMinutes,
+                end_reason: endReason,
+            })
+            .eq('session_id', sessionId)
+            .is('left_at', null);
+
+        if (error) {
+            console.error('Error closing voice session:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error closing voice session:', error);
+        return false;
+    }
+}
+
+/**
+ * Sessions that were never closed, optionally only those joined before a given time
+ */
+async function getOpenVoiceSessions(joinedBefore = null) {
+    if (!dbAvailable) return [];
+    try {
+        let query = supabase
+            .from('voice_sessions')
+            .select('*')
+            .is('left_at', null);
+
+        if (joinedBefore) {
+            query = query.lt('joined_at', joinedBefore.toISOString());
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Error fetching open voice sessions:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('Error getting open voice sessions:', error);
+        return [];
+    }
+}
+
+/**
+ * Mark open sessions as still running, so a restart knows when they were last seen
+ */
+async function touchOpenVoiceSessions(sessionIds) {
+    if (!dbAvailable) return false;
+    if (sessionIds.length === 0) return true;
+    try {
+        const { error } = await supabase
+            .from('voice_sessions')
+            .update({ last_seen_at: new Date().toISOString() })
+            .in('session_id', sessionIds)
+            .is('left_at', null);
+
+        if (error) {
+            console.error('Error updating open voice sessions:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error updating open voice sessions:', error);
+        return false;
+    }
+}
+
+// ============ Meetings Operations ============
+
+async function createMeeting(meetingData) {
+    if (!dbAvailable) return null;
+    try {
+        const {
+            title,
+            meeting_date,
+            meeting_time,
+            start_time,
+        } = meetingData;
+
+        const { data, error } = await supabase
+            .from('meetings')
+            .insert({
+                title,
+                meeting_date,
+                meeting_time,
+                start_time,
+                attended_members: 0,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString(),
+            })
+            .select();
+
+        if (error) {
+            console.error('Error creating meeting:', error);
+            return null;
+        }
+
+        return data?.[0] || null;
+    } catch (error) {
+        console.error('Error creating meeting:', error);
+        return null;
+    }
+}
+
+async function updateMeetingEnd(meetingId, endData) {
+    if (!dbAvailable) return null;
+    try {
+        const {
+            end_time,
+            duration_minutes,
+            attended_members,
+        } = endData;
+
+        const { data, error } = await supabase
+            .from('meetings')
+            .update({
+                end_time,
+                duration_minutes,
+                attended_members,
+                updated_at: new Date().toISOString(),
+            })
+            .eq('meeting_id', meetingId)
+            .select();
+
+        if (error) {
+            console.error('Error updating meeting:', error);
+            return null;
+        }
+
+        return data?.[0] || null;
+    } catch (error) {
+        console.error('Error ending meeting:', error);
+        return null;
+    }
+}
+
+async function recordAttendance(meetingId, attendanceData) {
+    if (!dbAvailable) return null;
+    try {
+        // Ensure meetingId is included in the attendance data
+        const dataToInsert = Array.isArray(attendanceData) 
+            ? attendanceData.map(d => ({ ...d, meeting_id: meetingId }))
+            : [{ ...attendanceData, meeting_id: meetingId }];
+
+        const { data, error } = await supabase
+            .from('meeting_attendance')
+            .insert(dataToInsert)
+            .select();
+
+        if (error) {
+            console.error('Error recording attendance:', error);
+            return null;
+        }
+
+        return data || null;
+    } catch (error) {
+        console.error('Error recording attendance:', error);
+        return null;
+    }
+}
+
+async function getMeetingAttendance(meetingId) {
+    if (!dbAvailable) return [];
+    try {
+        const { data, error } = await supabase
+            .from('meeting_attendance')
+            .select('*')
+            .eq('meeting_id', meetingId)
+            .order('total_duration_minutes', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching attendance:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('Error getting meeting attendance:', error);
+        return [];
+    }
+}
+
+async function getMeetings(limit = 30) {
+    if (!dbAvailable) return [];
+    try {
+        const { data, error } = await supabase
+            .from('meetings')
+            .select('*')
+            .order('meeting_date', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            console.error('Error fetching meetings:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('Error getting meetings:', error);
+        return [];
+    }
+}
+
+async function confirmGathering(memberId, username, gatheringDate, gatheringTime = '20:00:00') {
+    if (!dbAvailable) return null;
+    try {
+        const dateStr = gatheringDate ? new Date(gatheringDate).toISOString().split('T')[0] : new Date().toISOString().split('T')[0];
+        const timeStr = typeof gatheringTime === 'number' ? `${gatheringTime}:00:00` : gatheringTime;
+        
+        // Check if user exists in members table by Discord ID
+        const member = await getMember(memberId);
         // Only set confirmed_by_id if user is synced (store their actual member_id from DB, not Discord ID)
         const confirmedById = member ? member.member_id : null;
         
-        // Check if gathering confirmation already exists for today
-        const { data: existing } = await supabase
+        // Check if gathering confirmation already exists for today
+        const { data: existing } = await supabase
+            .from('gathering_confirmations')
+            .select('*')
+            .eq('gathering_date', dateStr)
+            .single();
+
+        if (existing) {
+            // Update existing confirmation
+            const { data, error } = await supabase
+                .from('gathering_confirmations')
+                .update({
+                    gathering_time: timeStr,
+                    is_confirmed: true,
+                    confirmed_by_id: confirmedById,
+                    confirmed_by_username: username,
+                    confirmed_at: new Date().toISOString(),
+                    cancelled_by_id: null,
+                    cancelled_by_username: null,
+                    cancelled_at: null,
+                    updated_at: new Date().toISOString(),
+                })
+                .eq('gathering_date', dateStr)
+                .select();
+
+            if (error) {
+                console.error('Error confirming gathering:', error);
+                return null;
+            }
+            return data?.[0] || null;
+        } else {
+            // Create new confirmation
+            const { data, error } = await supabase
+                .from('gathering_confirmations')
+                .insert({
+                    gathering_date: dateStr,
+                    gathering_time: timeStr,
+                    is_confirmed: true,
+                    confirmed_by_id: confirmedById,
+                    confirmed_by_username: username,
+                    confirmed_at: new Date().toISOString(),
+                    created_at: new Date().toISOString(),
+                    updated_at: new Date().toISOString(),
+                })
+                .select();
+
+            if (error) {
+                console.error('Error creating gathering confirmation:', error);
+                return null;
+            }
+            return data?.[0] || null;
+        }
+    } catch (error) {
+        console.error('Error confirming gathering:', error);
+        return null;
+    }
+}
+
+async function cancelGathering(gatheringDate, cancelledById = null, cancelledByUsername = null) {
+    if (!dbAvailable) return null;
+    try {
+        const dateStr = gatheringDate ? new Date(gatheringDate).toISOString().split('T')[0] : new Date().toISOString().split('T')[0];
+        
+        // Check if user is synced and store their actual member_id (not Discord ID)
+        let finalCancelledById = null;
+        if (cancelledById) {
+            const member = await getMember(cancelledById);
+            finalCancelledById = member ? member.member_id : null;
+        }
+        
+        const { data, error } = await supabase
+            .from('gathering_confirmations')
+            .update({
+                is_confirmed: false,
+                confirmed_by_id: null,
+                confirmed_by_username: null,
+                confirmed_at: null,
+                cancelled_by_id: finalCancelledById,
+                cancelled_by_username: cancelledByUsername,
+                cancelled_at: new Date().toISOString(),
+                updated_at: new Date().toISOString(),
+            })
+            .eq('gathering_date', dateStr)
+            .select();
+
+        if (error) {
+            console.error('Error cancelling gathering:', error);
+            return null;
+        }
+        return data?.[0] || null;
+    } catch (error) {
+        console.error('Error cancelling gathering:', error);
+        return null;
+    }
+}
+
+async function updateGatheringTime(gatheringDate, newGatheringTime) {
+    if (!dbAvailable) return null;
+    try {
+        const dateStr = gatheringDate ? new Date(gatheringDate).toISOString().split('T')[0] : new Date().toISOString().split('T')[0];
+        const timeStr = typeof newGatheringTime === 'number' ? `${newGatheringTime}:00:00` : newGatheringTime;
+        
+        // Check if gathering confirmation exists for today
+        const { data: existing } = await supabase
+            .from('gathering_confirmations')
+            .select('*')
+            .eq('gathering_date', dateStr)
+            .single();
+
+        if (existing) {
+            // Update existing confirmation with new time
+            const { data, error } = await supabase
+                .from('gathering_confirmations')
+                .update({
+                    gathering_time: timeStr,
+                    updated_at: new Date().toISOString(),
+                })
+                .eq('gathering_date', dateStr)
+                .select();
+
+            if (error) {
+                console.error('Error updating gathering time:', error);
+                return null;
+            }
+            return data?.[0] || null;
+        } else {
+            // Create new gathering confirmation with time
+            const { data, error } = await supabase
+                .from('gathering_confirmations')
+                .insert({
+                    gathering_date: dateStr,
+                    gathering_time: timeStr,
+                    is_confirmed: false,
+                    created_at: new Date().toISOString(),
+                    updated_at: new Date().toISOString(),
+                })
+                .select();
+
+            if (error) {
+                console.error('Error creating gathering with time:', error);
+                return null;
+            }
+            return data?.[0] || null;
+        }
+    } catch (error) {
+        console.error('Error updating gathering time:', error);
+        return null;
+    }
+}
+
+async function getGatheringStatus(gatheringDate) {
+    if (!dbAvailable) return null;
+    try {
+        const dateStr = gatheringDate ? new Date(gatheringDate).toISOString().split('T')[0] : new Date().toISOString().split('T')[0];
+        
+        const { data, error } = await supabase
             .from('gathering_confirmations')
             .select('*')
             .eq('gathering_date', dateStr)
             .single();
 
-        if (existing) {
-            // Update existing confirmation
-            const { data, error } = await supabase
-                .from('gathering_confirmations')
-                .update({
-                    gathering_time: timeStr,
-                    is_confirmed: true,
-                    confirmed_by_id: confirmedById,
-                    confirmed_by_username: username,
-                    confirmed_at: new Date().toISOString(),
-                    cancelled_by_id: null,
-                    cancelled_by_username: null,
-                    cancelled_at: null,
-                    updated_at: new Date().toISOString(),
-                })
-                .eq('gathering_date', dateStr)
-                .select();
+        if (error && error.code !== 'PGRST116') {
+            console.error('Error fetching gathering status:', error);
+        }
+        return data || null;
+    } catch (error) {
+        console.error('Error getting gathering status:', error);
+        return null;
+    }
+}
+
+async function getGatheringHistory(days = 30) {
+    if (!dbAvailable) return [];
+    try {
+        const fromDate = new Date();
+        fromDate.setDate(fromDate.getDate() - days);
+        const dateStr = fromDate.toISOString().split('T')[0];
+
+        const { data, error } = await supabase
+            .from('gathering_confirmations')
+            .select('*')
+            .gte('gathering_date', dateStr)
+            .order('gathering_date', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching gathering history:', error);
+            return [];
+        }
+        return data || [];
+    } catch (error) {
+        console.error('Error getting gathering history:', error);
+        return [];
+    }
+}
+
+async function getMeetingStats() {
+    if (!dbAvailable) return null;
+    try {
+        const { data, error } = await supabase
+            .from('meetings')
+            .select('count()');
+
+        if (error) {
+            console.error('Error fetching meeting stats:', error);
+            return null;
+        }
+
+        return data;
+    } catch (error) {
+        console.error('Error getting meeting stats:', error);
+        return null;
+    }
+}
+
+// ============ Scheduled Reminders ============
+
+async function getScheduledReminders({ includeCompleted = false } = {}) {
+    if (!dbAvailable) return null;
+    try {
+        let query = supabase
+            .from('scheduled_reminders')
+            .select('*');
+
+        if (!includeCompleted) {
+            query = query.eq('is_completed', false);
+        }
+
+        const { data, error } = await query.order('reminder_id', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching scheduled reminders:', error);
+            return null;
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('Error getting scheduled reminders:', error);
+        return null;
+    }
+}
+
+async function getScheduledReminder(reminderId) {
+    if (!dbAvailable) return null;
+    try {
+        const { data, error } = await supabase
+            .from('scheduled_reminders')
+            .select('*')
+            .eq('reminder_id', reminderId)
+            .single();
+
+        if (error && error.code !== 'PGRST116') {
+            console.error('Error fetching scheduled reminder:', error);
+        }
+        return data || null;
+    } catch (error) {
+        console.error('Error getting scheduled reminder:', error);
+        return null;
+    }
+}
+
+async function createScheduledReminder(reminderData) {
+    if (!dbAvailable) return null;
+    try {
+        const { data, error } = await supabase
+            .from('scheduled_reminders')
+            .insert({
+                ...reminderData,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString(),
+            })
+            .select();
+
+        if (error) {
+            console.error('Error creating scheduled reminder:', error);
+            return null;
+        }
+
+        return data?.[0] || null;
+    } catch (error) {
+        console.error('Error creating scheduled reminder:', error);
+        return null;
+    }
+}
+
+async function updateScheduledReminder(reminderId, changes) {
+    if (!dbAvailable) return null;
+    try {
+        const { data, error } = await supabase
+            .from('scheduled_reminders')
+            .update({
+                ...changes,
+                updated_at: new Date().toISOString(),
+            })
+            .eq('reminder_id', reminderId)
+            .select();
+
+        if (error) {
+            console.error('Error updating scheduled reminder:', error);
+            return null;
+        }
+
+        return data?.[0] || null;
+    } catch (error) {
+        console.error('Error updating scheduled reminder:', error);
+        return null;
+    }
+}
+
+async function deleteScheduledReminder(reminderId) {
+    if (!dbAvailable) return false;
+    try {
+        const { error } = await supabase
+            .from('scheduled_reminders')
+            .delete()
+            .eq('reminder_id', reminderId);
+
+        if (error) {
+            console.error('Error deleting scheduled reminder:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error deleting scheduled reminder:', error);
+        return false;
+    }
+}
+
+// ============ Member Reminders ============
+
+async function createMemberReminder(reminderData) {
+    if (!dbAvailable) return null;
+    try {
+        const { data, error } = await supabase
+            .from('member_reminders')
+            .insert({
+                ...reminderData,
+                created_at: new Date().toISOString(),
+            })
+            .select();
+
+        if (error) {
+            console.error('Error creating member reminder:', error);
+            return null;
+        }
+
+        return data?.[0] || null;
+    } catch (error) {
+        console.error('Error creating member reminder:', error);
+        return null;
+    }
+}
+
+async function getPendingMemberReminders() {
+    if (!dbAvailable) return [];
+    try {
+        const { data, error } = await supabase
+            .from('member_reminders')
+            .select('*')
+            .eq('is_delivered', false)
+            .order('remind_at', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching pending member reminders:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('Error getting pending member reminders:', error);
+        return [];
+    }
+}
+
+async function markMemberReminderDelivered(reminderId) {
+    if (!dbAvailable) return false;
+    try {
+        const { error } = await supabase
+            .from('member_reminders')
+            .update({
+                is_delivered: true,
+                delivered_at: new Date().toISOString(),
+            })
+            .eq('reminder_id', reminderId);
+
+        if (error) {
+            console.error('Error marking member reminder delivered:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error marking member reminder delivered:', error);
+        return false;
+    }
+}
+
+// ============ Daily Question History ============
+
+/**
+ * The question pinned for a date, or null
+ */
+async function getDailyQuestion(postDate) {
+    if (!dbAvailable) return null;
+    try {
+        const { data, error } = await supabase
+            .from('daily_questions')
+            .select('*')
+            .eq('post_date', postDate)
+            .single();
+
+        // PGRST116 means no rows found
+        if (error && error.code !== 'PGRST116') {
+            console.error('Error fetching daily question:', error);
+        }
+        return data || null;
+    } catch (error) {
+        console.error('Error getting daily question:', error);
+        return null;
+    }
+}
+
+/**
+ * Pinned questions, newest first
+ * @param {Object} options - { before (YYYY-MM-DD, exclusive), limit }
+ */
+async function getDailyQuestions({ before = null, limit = null } = {}) {
+    if (!dbAvailable) return [];
+    try {
+        let query = supabase
+            .from('daily_questions')
+            .select('*')
+            .order('post_date', { ascending: false });
+
+        if (before) query = query.lt('post_date', before);
+        if (limit) query = query.limit(limit);
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Error fetching daily questions:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('Error getting daily questions:', error);
+        return [];
+    }
+}
 
-            if (error) {
-                console.error('Error confirming gathering:', error);
-                return null;
-            }
-            return data?.[0] || null;
-        } else {
-            // Create new confirmation
-            const { data, error } = await supabase
-                .from('gathering_confirmations')
-                .insert({
-                    gathering_date: dateStr,
-                    gathering_time: timeStr,
-                    is_confirmed: true,
-                    confirmed_by_id: confirmedById,
-                    confirmed_by_username: username,
-                    confirmed_at: new Date().toISOString(),
-                    created_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString(),
-                })
-                .select();
+/**
+ * Pin a date's question. A date that is already pinned is left as it is.
+ * @returns {Promise<Object|null>} The new row, or null if the date was already pinned or on error
+ */
+async function recordDailyQuestion(questionData) {
+    if (!dbAvailable) return null;
+    try {
+        const { data, error } = await supabase
+            .from('daily_questions')
+            .upsert({
+                ...questionData,
+                resolved_at: new Date().toISOString(),
+            }, { onConflict: 'post_date', ignoreDuplicates: true })
+            .select();
 
-            if (error) {
-                console.error('Error creating gathering confirmation:', error);
-                return null;
-            }
-            return data?.[0] || null;
+        if (error) {
+            console.error('Error recording daily question:', error);
+            return null;
         }
+
+        return data?.[0] || null;
     } catch (error) {
-        console.error('Error confirming gathering:', error);
+        console.error('Error recording daily question:', error);
         return null;
     }
 }
 
-async function cancelGathering(gatheringDate, cancelledById = null, cancelledByUsername = null) {
+/**
+ * Insert pinned questions, skipping dates already in the table (for the JSON migration)
+ * @returns {Promise<number|null>} Rows inserted
+ */
+async function importDailyQuestions(questions) {
     if (!dbAvailable) return null;
+    if (questions.length === 0) return 0;
     try {
-        const dateStr = gatheringDate ? new Date(gatheringDate).toISOString().split('T')[0] : new Date().toISOString().split('T')[0];
-        
-        // Check if user is synced and store their actual member_id (not Discord ID)
-        let finalCancelledById = null;
-        if (cancelledById) {
-            const member = await getMember(cancelledById);
-            finalCancelledById = member ? member.member_id : null;
+        const { data, error } = await supabase
+            .from('daily_questions')
+            .upsert(questions, { onConflict: 'post_date', ignoreDuplicates: true })
+            .select('post_date');
+
+        if (error) {
+            console.error('Error importing daily questions:', error);
+            return null;
         }
-        
+
+        return (data || []).length;
+    } catch (error) {
+        console.error('Error importing daily questions:', error);
+        return null;
+    }
+}
+
+async function markDailyQuestionRevealed(postDate) {
+    if (!dbAvailable) return null;
+    try {
         const { data, error } = await supabase
-            .from('gathering_confirmations')
-            .update({
-                is_confirmed: false,
-                confirmed_by_id: null,
-                confirmed_by_username: null,
-                confirmed_at: null,
-                cancelled_by_id: finalCancelledById,
-                cancelled_by_username: cancelledByUsername,
-                cancelled_at: new Date().toISOString(),
-                updated_at: new Date().toISOString(),
-            })
-            .eq('gathering_date', dateStr)
+            .from('daily_questions')
+            .update({ solution_revealed_at: new Date().toISOString() })
+            .eq('post_date', postDate)
+            .is('solution_revealed_at', null)
             .select();
 
         if (error) {
-            console.error('Error cancelling gathering:', error);
+            console.error('Error marking daily question revealed:', error);
             return null;
         }
+
         return data?.[0] || null;
     } catch (error) {
-        console.error('Error cancelling gathering:', error);
+        console.error('Error marking daily question revealed:', error);
         return null;
     }
 }
 
-async function updateGatheringTime(gatheringDate, newGatheringTime) {
+async function recordDailyQuestionPost(postData) {
     if (!dbAvailable) return null;
     try {
-        const dateStr = gatheringDate ? new Date(gatheringDate).toISOString().split('T')[0] : new Date().toISOString().split('T')[0];
-        const timeStr = typeof newGatheringTime === 'number' ? `${newGatheringTime}:00:00` : newGatheringTime;
-        
-        // Check if gathering confirmation exists for today
-        const { data: existing } = await supabase
-            .from('gathering_confirmations')
-            .select('*')
-            .eq('gathering_date', dateStr)
-            .single();
+        const { data, error } = await supabase
+            .from('daily_question_posts')
+            .upsert({
+                ...postData,
+                posted_at: new Date().toISOString(),
+            }, { onConflict: 'post_date,guild_id' })
+            .select();
 
-        if (existing) {
-            // Update existing confirmation with new time
-            const { data, error } = await supabase
-                .from('gathering_confirmations')
-                .update({
-                    gathering_time: timeStr,
-                    updated_at: new Date().toISOString(),
-                })
-                .eq('gathering_date', dateStr)
-                .select();
+        if (error) {
+            console.error('Error recording daily question post:', error);
+            return null;
+        }
 
-            if (error) {
-                console.error('Error updating gathering time:', error);
-                return null;
-            }
-            return data?.[0] || null;
-        } else {
-            // Create new gathering confirmation with time
-            const { data, error } = await supabase
-                .from('gathering_confirmations')
-                .insert({
-                    gathering_date: dateStr,
-                    gathering_time: timeStr,
-                    is_confirmed: false,
-                    created_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString(),
-                })
-                .select();
+        return data?.[0] || null;
+    } catch (error) {
+        console.error('Error recording daily question post:', error);
+        return null;
+    }
+}
 
-            if (error) {
-                console.error('Error creating gathering with time:', error);
-                return null;
-            }
-            return data?.[0] || null;
+async function getDailyQuestionPosts(postDate) {
+    if (!dbAvailable) return [];
+    try {
+        const { data, error } = await supabase
+            .from('daily_question_posts')
+            .select('*')
+            .eq('post_date', postDate)
+            .order('posted_at', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching daily question posts:', error);
+            return [];
         }
+
+        return data || [];
     } catch (error) {
-        console.error('Error updating gathering time:', error);
-        return null;
+        console.error('Error getting daily question posts:', error);
+        return [];
     }
 }
 
-async function getGatheringStatus(gatheringDate) {
+async function recordDailyQuestionSolve(solveData) {
     if (!dbAvailable) return null;
     try {
-        const dateStr = gatheringDate ? new Date(gatheringDate).toISOString().split('T')[0] : new Date().toISOString().split('T')[0];
-        
+        // Only the first correct answer of the day is kept per user, which makes it the daily award lock
         const { data, error } = await supabase
-            .from('gathering_confirmations')
-            .select('*')
-            .eq('gathering_date', dateStr)
-            .single();
+            .from('daily_question_solves')
+            .upsert({
+                ...solveData,
+                solved_at: new Date().toISOString(),
+            }, { onConflict: 'post_date,user_id', ignoreDuplicates: true })
+            .select();
 
-        if (error && error.code !== 'PGRST116') {
-            console.error('Error fetching gathering status:', error);
+        if (error) {
+            console.error('Error recording daily question solve:', error);
+            return null;
         }
-        return data || null;
+
+        return { solve: data?.[0] || null, created: Boolean(data?.[0]) };
     } catch (error) {
-        console.error('Error getting gathering status:', error);
+        console.error('Error recording daily question solve:', error);
         return null;
     }
 }
 
-async function getGatheringHistory(days = 30) {
-    if (!dbAvailable) return [];
+async function deleteDailyQuestionSolve(solveId) {
+    if (!dbAvailable) return false;
     try {
-        const fromDate = new Date();
-        fromDate.setDate(fromDate.getDate() - days);
-        const dateStr = fromDate.toISOString().split('T')[0];
+        const { error } = await supabase
+            .from('daily_question_solves')
+            .delete()
+            .eq('solve_id', solveId);
+
+        if (error) {
+            console.error('Error deleting daily question solve:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error deleting daily question solve:', error);
+        return false;
+    }
+}
 
+async function getDailyQuestionSolves(postDate) {
+    if (!dbAvailable) return [];
+    try {
         const { data, error } = await supabase
-            .from('gathering_confirmations')
+            .from('daily_question_solves')
             .select('*')
-            .gte('gathering_date', dateStr)
-            .order('gathering_date', { ascending: false });
+            .eq('post_date', postDate)
+            .order('solved_at', { ascending: true });
 
         if (error) {
-            console.error('Error fetching gathering history:', error);
+            console.error('Error fetching daily question solves:', error);
             return [];
         }
+
         return data || [];
     } catch (error) {
-        console.error('Error getting gathering history:', error);
+        console.error('Error getting daily question solves:', error);
         return [];
     }
 }
 
-async function getMeetingStats() {
+async function getDailyQuestionSolveCounts(postDates) {
+    if (!dbAvailable || postDates.length === 0) return {};
+    try {
+        const { data, error } = await supabase
+            .from('daily_question_solves')
+            .select('post_date')
+            .in('post_date', postDates);
+
+        if (error) {
+            console.error('Error fetching daily question solve counts:', error);
+            return {};
+        }
+
+        return (data || []).reduce((counts, row) => {
+            counts[row.post_date] = (counts[row.post_date] || 0) + 1;
+            return counts;
+        }, {});
+    } catch (error) {
+        console.error('Error getting daily question solve counts:', error);
+        return {};
+    }
+}
+
+/**
+ * Dates each user solved the daily question on, oldest first
+ * @param {string[]} userIds - Discord user IDs
+ * @returns {Promise<Object>} { [userId]: ['YYYY-MM-DD', ...] }
+ */
+async function getDailyQuestionSolveDatesByUser(userIds) {
+    if (!dbAvailable || userIds.length === 0) return {};
+    try {
+        const { data, error } = await supabase
+            .from('daily_question_solves')
+            .select('user_id, post_date')
+            .in('user_id', userIds)
+            .order('post_date', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching daily question solve dates:', error);
+            return {};
+        }
+
+        return (data || []).reduce((dates, row) => {
+            (dates[row.user_id] = dates[row.user_id] || []).push(row.post_date);
+            return dates;
+        }, {});
+    } catch (error) {
+        console.error('Error getting daily question solve dates:', error);
+        return {};
+    }
+}
+
+// ============ Hint Reveals ============
+
+/**
+ * Record a hint reveal. The (post_date, user_id, tier) key makes this the lock for charging:
+ * only the call that creates the row should take points.
+ * @returns {Promise<{reveal: Object|null, created: boolean}|null>} null on error
+ */
+async function recordHintReveal(revealData) {
     if (!dbAvailable) return null;
     try {
         const { data, error } = await supabase
-            .from('meetings')
-            .select('count()');
+            .from('hint_reveals')
+            .upsert({
+                ...revealData,
+                revealed_at: new Date().toISOString(),
+            }, { onConflict: 'post_date,user_id,tier', ignoreDuplicates: true })
+            .select();
 
         if (error) {
-            console.error('Error fetching meeting stats:', error);
+            console.error('Error recording hint reveal:', error);
             return null;
         }
 
-        return data;
+        return { reveal: data?.[0] || null, created: Boolean(data?.[0]) };
     } catch (error) {
-        console.error('Error getting meeting stats:', error);
+        console.error('Error recording hint reveal:', error);
         return null;
     }
 }
 
+async function deleteHintReveal(revealId) {
+    if (!dbAvailable) return false;
+    try {
+        const { error } = await supabase
+            .from('hint_reveals')
+            .delete()
+            .eq('reveal_id', revealId);
+
+        if (error) {
+            console.error('Error deleting hint reveal:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error deleting hint reveal:', error);
+        return false;
+    }
+}
+
+async function getHintReveals(postDate, userId) {
+    if (!dbAvailable) return [];
+    try {
+        const { data, error } = await supabase
+            .from('hint_reveals')
+            .select('*')
+            .eq('post_date', postDate)
+            .eq('user_id', userId)
+            .order('tier', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching hint reveals:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('Error getting hint reveals:', error);
+        return [];
+    }
+}
+
 module.exports = {
     syncMember,
     getMember,
@@ -1163,4 +2698,78 @@ module.exports = {
     updateGatheringTime,
     getGatheringStatus,
     getGatheringHistory,
+    // Scheduled Reminder functions
+    getScheduledReminders,
+    getScheduledReminder,
+    createScheduledReminder,
+    updateScheduledReminder,
+    deleteScheduledReminder,
+    // Member Reminder functions
+    createMemberReminder,
+    getPendingMemberReminders,
+    markMemberReminderDelivered,
+    // Daily Question History functions
+    getDailyQuestion,
+    getDailyQuestions,
+    recordDailyQuestion,
+    importDailyQuestions,
+    markDailyQuestionRevealed,
+    recordDailyQuestionPost,
+    getDailyQuestionPosts,
+    recordDailyQuestionSolve,
+    deleteDailyQuestionSolve,
+    getDailyQuestionSolves,
+    getDailyQuestionSolveCounts,
+    getDailyQuestionSolveDatesByUser,
+    // Hint functions
+    recordHintReveal,
+    getHintReveals,
+    deleteHintReveal,
+    // Points ledger functions
+    POINT_REASONS,
+    transferPoints,
+    getPointsTransaction,
+    reversePointsTransaction,
+    getPointsHistory,
+    getLastPointsAward,
+    getMemberPointsForPeriod,
+    // Leaderboard functions
+    getLeaderboardForPeriod,
+    getMemberRank,
+    saveLeaderboardSnapshot,
+    getLatestLeaderboardSnapshot,
+    // Member Exclusion functions
+    EXCLUSION_SCOPES,
+    getExcludedMemberIds,
+    isMemberExcluded,
+    getMemberExclusions,
+    addMemberExclusion,
+    removeMemberExclusion,
+    // Rookie functions
+    getRookies,
+    getRookie,
+    recordRookieActivity,
+    awardRookiePoints,
+    addRookiePoints,
+    mergeRookies,
+    importRookies,
+    removeRookie,
+    // Solve Streak functions
+    getSolveStreak,
+    getSolveStreaks,
+    saveSolveStreak,
+    // Achievement functions
+    recordAchievementEvent,
+    getAchievementProgress,
+    getMemberBadges,
+    unlockBadges,
+    // Level functions
+    updateMemberLevel,
+    // Activity count functions
+    recordDiscordActivityCounts,
+    // Voice Session functions
+    openVoiceSession,
+    closeVoiceSession,
+    getOpenVoiceSessions,
+    touchOpenVoiceSessions,
 };
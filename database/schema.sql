@@ -164,4 +164,488 @@ create table public.gathering_confirmations (
 
 create index IF not exists idx_gathering_confirmations_date on public.gathering_confirmations using btree (gathering_date) TABLESPACE pg_default;
 
-create index IF not exists idx_gathering_confirmations_confirmed_by on public.gathering_confirmations using btree (confirmed_by_id) TABLESPACE pg_default;
\ No newline at end of file
+create index IF not exists idx_gathering_confirmations_confirmed_by on public.gathering_confirmations using btree (confirmed_by_id) TABLESPACE pg_default;
+
+-- Scheduled reminders managed at runtime with /reminder
+create table public.scheduled_reminders (
+  reminder_id bigserial not null,
+  name text not null,
+  title text not null,
+  description text null,
+  channel_id text not null,
+  color text not null default '#00D9FF',
+  mention_role_id text null,
+  repeat text not null default 'daily',
+  remind_time time without time zone not null,
+  weekday smallint null,
+  run_at timestamp with time zone null,
+  is_paused boolean not null default false,
+  is_completed boolean not null default false,
+  last_sent_at timestamp with time zone null,
+  created_by_id text null,
+  created_by_username text null,
+  created_at timestamp with time zone not null default now(),
+  updated_at timestamp with time zone not null default now(),
+  constraint scheduled_reminders_pkey primary key (reminder_id),
+  constraint scheduled_reminders_repeat_check check (repeat in ('once', 'daily', 'weekdays', 'weekly')),
+  constraint scheduled_reminders_weekday_check check (weekday is null or weekday between 0 and 6)
+) TABLESPACE pg_default;
+
+create index IF not exists idx_scheduled_reminders_active on public.scheduled_reminders using btree (is_completed, is_paused) TABLESPACE pg_default;
+
+-- The reminders that used to be hard-coded in features/scheduledReminders.js
+insert into public.scheduled_reminders (name, title, description, channel_id, color, repeat, remind_time) values
+  ('Daily Progress Reminder', '📊 Belmonts Daily Progress Reminder 📊', E'Hey Belmonts! It''s time to check in 🚀\nWhat progress did you make today in **Byte Bash Blitz**?\nPost your updates, celebrate your wins, and keep pushing forward 💪✨', '1304853237471510639', '#00D9FF', 'daily', '21:30'),
+  ('Last Call Progress Reminder', '⏰ Last Call - Belmonts Daily Progress ⏰', E'🚨 This is your last call, Belmonts! \nDon''t miss out on sharing your progress in **Byte Bash Blitz** today!\nPost your final updates now and celebrate your achievements before we wrap up! 🎯✨', '1304853237471510639', '#FF6B6B', 'daily', '23:00');
+
+
+-- Personal reminders created with /remindme or "remind me ..." messages
+create table public.member_reminders (
+  reminder_id bigserial not null,
+  user_id text not null,
+  username text null,
+  guild_id text null,
+  channel_id text null,
+  message text not null,
+  remind_at timestamp with time zone not null,
+  delivery text not null default 'dm',
+  source text not null default 'command',
+  is_delivered boolean not null default false,
+  delivered_at timestamp with time zone null,
+  created_at timestamp with time zone not null default now(),
+  constraint member_reminders_pkey primary key (reminder_id),
+  constraint member_reminders_delivery_check check (delivery in ('dm', 'channel'))
+) TABLESPACE pg_default;
+
+create index IF not exists idx_member_reminders_pending on public.member_reminders using btree (is_delivered, remind_at) TABLESPACE pg_default;
+
+
+-- Question of the day for each date (Asia/Kolkata), pinned by the first lookup with a snapshot of the question
+create table public.daily_questions (
+  post_date date not null,
+  question_day integer not null,
+  question_title text not null,
+  rotation_policy text not null,
+  shuffle_cycle integer null,
+  snapshot jsonb not null,
+  resolved_at timestamp with time zone not null default now(),
+  solution_revealed_at timestamp with time zone null,
+  constraint daily_questions_pkey primary key (post_date)
+) TABLESPACE pg_default;
+
+
+-- Every daily question posted by the bot, one row per guild and date
+create table public.daily_question_posts (
+  post_id bigserial not null,
+  post_date date not null,
+  question_day integer not null,
+  question_title text not null,
+  guild_id text not null,
+  channel_id text not null,
+  message_id text not null,
+  posted_at timestamp with time zone not null default now(),
+  constraint daily_question_posts_pkey primary key (post_id),
+  constraint daily_question_posts_date_guild_key unique (post_date, guild_id)
+) TABLESPACE pg_default;
+
+create index IF not exists idx_daily_question_posts_date on public.daily_question_posts using btree (post_date) TABLESPACE pg_default;
+
+
+-- Who solved the daily question, first correct answer per user and date
+create table public.daily_question_solves (
+  solve_id bigserial not null,
+  post_date date not null,
+  question_day integer not null,
+  user_id text not null,
+  username text null,
+  member_id bigint null,
+  source text not null default 'run_code',
+  solved_at timestamp with time zone not null default now(),
+  constraint daily_question_solves_pkey primary key (solve_id),
+  constraint daily_question_solves_date_user_key unique (post_date, user_id),
+  constraint daily_question_solves_member_id_fkey foreign KEY (member_id) references members (member_id) on delete set null,
+  constraint daily_question_solves_source_check check (source in ('run_code', 'submit'))
+) TABLESPACE pg_default;
+
+create index IF not exists idx_daily_question_solves_date on public.daily_question_solves using btree (post_date) TABLESPACE pg_default;
+
+create index IF not exists idx_daily_question_solves_user on public.daily_question_solves using btree (user_id, post_date) TABLESPACE pg_default;
+
+
+-- Hints members opened on a daily question, and the points they paid for them
+create table public.hint_reveals (
+  reveal_id bigserial not null,
+  post_date date not null,
+  question_day integer not null,
+  tier smallint not null,
+  user_id text not null,
+  username text null,
+  member_id bigint null,
+  points_spent integer not null default 0,
+  revealed_at timestamp with time zone not null default now(),
+  constraint hint_reveals_pkey primary key (reveal_id),
+  constraint hint_reveals_date_user_tier_key unique (post_date, user_id, tier),
+  constraint hint_reveals_member_id_fkey foreign KEY (member_id) references members (member_id) on delete set null
+) TABLESPACE pg_default;
+
+create index IF not exists idx_hint_reveals_date_user on public.hint_reveals using btree (post_date, user_id) TABLESPACE pg_default;
+
+
+-- Points ledger: every balance change is a points row with a reason, actor and reference.
+-- Safe to run on existing databases; older rows keep a null reason.
+alter table public.points
+  add column if not exists reason text null,
+  add column if not exists actor_id text null,
+  add column if not exists actor_name text null,
+  add column if not exists reference_id text null,
+  add column if not exists note text null,
+  add column if not exists balance_after integer null,
+  add column if not exists reversal_of bigint null;
+
+alter table public.points drop constraint if exists points_reason_check;
+alter table public.points add constraint points_reason_check check (
+  reason is null or reason in ('code_run', 'submit', 'meeting', 'hint', 'streak', 'manual', 'transfer', 'reversal', 'promotion', 'other')
+);
+
+alter table public.points drop constraint if exists points_reversal_of_fkey;
+alter table public.points add constraint points_reversal_of_fkey foreign KEY (reversal_of) references points (id) on delete set null;
+
+-- A transaction can only be reversed once
+create unique index IF not exists idx_points_reversal_of on public.points using btree (reversal_of) TABLESPACE pg_default
+where reversal_of is not null;
+
+create index IF not exists idx_points_last_update on public.points using btree (last_update) TABLESPACE pg_default;
+
+-- Apply a points change and write its ledger row in one transaction.
+-- The member row is locked first, so concurrent awards are applied one after another.
+-- With p_set_balance the balance is set to p_points and the ledger row records the difference.
+create or replace function public.apply_points_transaction(
+  p_member_id bigint,
+  p_points integer,
+  p_reason text,
+  p_actor_id text default null,
+  p_actor_name text default null,
+  p_reference_id text default null,
+  p_note text default null,
+  p_reversal_of bigint default null,
+  p_set_balance boolean default false
+) returns table (transaction_id bigint, delta integer, new_balance integer)
+language plpgsql
+as $$
+declare
+  v_previous integer;
+  v_delta integer;
+  v_balance integer;
+  v_id bigint;
+begin
+  select coalesce(m.belmonts_points, 0) into v_previous
+  from public.members m
+  where m.member_id = p_member_id
+  for update;
+
+  if not found then
+    raise exception 'member % not found', p_member_id using errcode = 'P0002';
+  end if;
+
+  v_delta := case when p_set_balance then p_points - v_previous else p_points end;
+  v_balance := v_previous + v_delta;
+
+  update public.members
+  set belmonts_points = v_balance, updated_at = now()
+  where member_id = p_member_id;
+
+  insert into public.points (
+    member_id, points, reason, actor_id, actor_name, reference_id, note, balance_after, reversal_of, last_update, updated_at
+  ) values (
+    p_member_id, v_delta, p_reason, p_actor_id, p_actor_name, p_reference_id, p_note, v_balance, p_reversal_of, now(), now()
+  )
+  returning id into v_id;
+
+  return query select v_id, v_delta, v_balance;
+end;
+$$;
+
+
+-- Move points between two members as a pair of 'transfer' ledger rows in one transaction.
+-- Rows are locked in member_id order so two opposite transfers can't deadlock.
+create or replace function public.transfer_points(
+  p_from_member_id bigint,
+  p_to_member_id bigint,
+  p_points integer,
+  p_actor_id text default null,
+  p_actor_name text default null,
+  p_note text default null
+) returns table (from_transaction_id bigint, to_transaction_id bigint, from_balance integer, to_balance integer)
+language plpgsql
+as $$
+declare
+  v_from_balance integer;
+  v_to_balance integer;
+  v_from_id bigint;
+  v_to_id bigint;
+begin
+  if p_points <= 0 then
+    raise exception 'transfer amount must be positive' using errcode = 'check_violation';
+  end if;
+
+  if p_from_member_id = p_to_member_id then
+    raise exception 'cannot transfer points to the same member' using errcode = 'check_violation';
+  end if;
+
+  perform 1 from public.members m
+  where m.member_id in (p_from_member_id, p_to_member_id)
+  order by m.member_id
+  for update;
+
+  select coalesce(m.belmonts_points, 0) into v_from_balance from public.members m where m.member_id = p_from_member_id;
+  if not found then
+    raise exception 'member % not found', p_from_member_id using errcode = 'P0002';
+  end if;
+
+  select coalesce(m.belmonts_points, 0) into v_to_balance from public.members m where m.member_id = p_to_member_id;
+  if not found then
+    raise exception 'member % not found', p_to_member_id using errcode = 'P0002';
+  end if;
+
+  if v_from_balance < p_points then
+    raise exception 'insufficient points: % has %, needs %', p_from_member_id, v_from_balance, p_points using errcode = 'P0003';
+  end if;
+
+  v_from_balance := v_from_balance - p_points;
+  v_to_balance := v_to_balance + p_points;
+
+  update public.members set belmonts_points = v_from_balance, updated_at = now() where member_id = p_from_member_id;
+  update public.members set belmonts_points = v_to_balance, updated_at = now() where member_id = p_to_member_id;
+
+  insert into public.points (member_id, points, reason, actor_id, actor_name, reference_id, note, balance_after, last_update, updated_at)
+  values (p_from_member_id, -p_points, 'transfer', p_actor_id, p_actor_name, p_to_member_id::text, p_note, v_from_balance, now(), now())
+  returning id into v_from_id;
+
+  insert into public.points (member_id, points, reason, actor_id, actor_name, reference_id, note, balance_after, last_update, updated_at)
+  values (p_to_member_id, p_points, 'transfer', p_actor_id, p_actor_name, p_from_member_id::text, p_note, v_to_balance, now(), now())
+  returning id into v_to_id;
+
+  return query select v_from_id, v_to_id, v_from_balance, v_to_balance;
+end;
+$$;
+
+
+-- Members left out of the leaderboard, birthday announcements or reports
+create table public.member_exclusions (
+  exclusion_id bigserial not null,
+  member_id bigint not null,
+  scope text not null,
+  reason text null,
+  added_by text null,
+  created_at timestamp with time zone not null default now(),
+  constraint member_exclusions_pkey primary key (exclusion_id),
+  constraint member_exclusions_member_scope_key unique (member_id, scope),
+  constraint member_exclusions_member_id_fkey foreign KEY (member_id) references members (member_id) on delete CASCADE,
+  constraint member_exclusions_scope_check check (scope in ('leaderboard', 'birthdays', 'reports'))
+) TABLESPACE pg_default;
+
+create index IF not exists idx_member_exclusions_scope on public.member_exclusions using btree (scope) TABLESPACE pg_default;
+
+-- One-time move of the old hard-coded EXCLUDED_MEMBERS names to member IDs
+insert into public.member_exclusions (member_id, scope, reason)
+select m.member_id, s.scope, 'Migrated from EXCLUDED_MEMBERS'
+from public.members m
+cross join (values ('leaderboard'), ('birthdays'), ('reports')) as s (scope)
+where m.display_name in ('Haleel Rahman', 'Jerlin Shabi') or m.username in ('Haleel Rahman', 'Jerlin Shabi')
+on conflict (member_id, scope) do nothing;
+
+
+-- Leaderboard snapshots: rankings as posted by the scheduled leaderboard, so the next post can show rank changes
+create table public.leaderboard_snapshots (
+  snapshot_id bigserial not null,
+  period text not null default 'all',
+  taken_at timestamp with time zone not null default now(),
+  entries jsonb not null default '[]'::jsonb,
+  constraint leaderboard_snapshots_pkey primary key (snapshot_id)
+) TABLESPACE pg_default;
+
+create index IF not exists idx_leaderboard_snapshots_period_taken on public.leaderboard_snapshots using btree (period, taken_at desc) TABLESPACE pg_default;
+
+
+-- Rookies: members still on the rookie track, with points kept apart from belmonts_points.
+-- Replaces json/rookiesData.json; run `npm run rookies:migrate` once to copy the file in.
+create table public.rookies (
+  user_id text not null,
+  username text null,
+  display_name text null,
+  points integer not null default 0,
+  joined_at timestamp with time zone null,
+  roles jsonb not null default '[]'::jsonb,
+  channel text null,
+  activity_count integer not null default 0,
+  first_seen timestamp with time zone null,
+  last_seen timestamp with time zone null,
+  last_awarded_date date null,
+  last_awarded_at timestamp with time zone null,
+  created_at timestamp with time zone not null default now(),
+  updated_at timestamp with time zone not null default now(),
+  constraint rookies_pkey primary key (user_id)
+) TABLESPACE pg_default;
+
+create index IF not exists idx_rookies_username on public.rookies using btree (username) TABLESPACE pg_default;
+
+-- Count a rookie's activity in one statement, creating the row on first sight, so concurrent calls add up.
+create or replace function public.record_rookie_activity(
+  p_user_id text,
+  p_username text default null,
+  p_channel text default null
+) returns setof public.rookies
+language sql
+as $$
+  insert into public.rookies as r (user_id, username, channel, activity_count, first_seen, last_seen)
+  values (p_user_id, p_username, p_channel, 1, now(), now())
+  on conflict (user_id) do update set
+    username = coalesce(r.username, excluded.username),
+    channel = coalesce(excluded.channel, r.channel),
+    activity_count = r.activity_count + 1,
+    last_seen = now(),
+    updated_at = now()
+  returning r.*;
+$$;
+
+-- Add to a rookie's points in the update itself. With p_award_date the row only changes if that
+-- date hasn't been awarded yet, which keeps the daily challenge award to once per day.
+create or replace function public.add_rookie_points(
+  p_user_id text,
+  p_points integer,
+  p_award_date date default null
+) returns setof public.rookies
+language sql
+as $$
+  update public.rookies r set
+    points = r.points + p_points,
+    last_awarded_date = coalesce(p_award_date, r.last_awarded_date),
+    last_awarded_at = case when p_award_date is null then r.last_awarded_at else now() end,
+    updated_at = now()
+  where r.user_id = p_user_id
+    and (p_award_date is null or r.last_awarded_date is distinct from p_award_date)
+  returning r.*;
+$$;
+
+
+-- Daily question solve streaks for members and rookies, keyed by Discord user ID
+create table public.solve_streaks (
+  user_id text not null,
+  username text null,
+  current_streak integer not null default 0,
+  longest_streak integer not null default 0,
+  last_solve_date date null,
+  freezes_available integer not null default 0,
+  freezes_used integer not null default 0,
+  updated_at timestamp with time zone not null default now(),
+  constraint solve_streaks_pkey primary key (user_id)
+) TABLESPACE pg_default;
+
+-- Backfill streaks from the solves recorded before solve_streaks existed (no freezes are
+-- granted for past days). Users who already have a row are left alone, so it is safe to re-run.
+insert into public.solve_streaks (user_id, username, current_streak, longest_streak, last_solve_date)
+select
+  user_id,
+  max(username),
+  (array_agg(run_length order by run_end desc))[1],
+  max(run_length),
+  max(run_end)
+from (
+  -- Consecutive dates share the same post_date minus row number
+  select user_id, max(username) as username, count(*) as run_length, max(post_date) as run_end
+  from (
+    select user_id, username, post_date,
+      post_date - (row_number() over (partition by user_id order by post_date))::integer as run_key
+    from public.daily_question_solves
+  ) solve_days
+  group by user_id, run_key
+) runs
+group by user_id
+on conflict (user_id) do nothing;
+
+
+-- Achievements: how often each member has triggered an event, counted once per day
+create table public.achievement_progress (
+  member_id bigint not null,
+  event text not null,
+  count integer not null default 0,
+  last_date date null,
+  updated_at timestamp with time zone not null default now(),
+  constraint achievement_progress_pkey primary key (member_id, event),
+  constraint achievement_progress_member_id_fkey foreign KEY (member_id) references members (member_id) on delete CASCADE
+) TABLESPACE pg_default;
+
+-- Badges unlocked by achievements (ids are the rules in features/achievements.js)
+create table public.member_badges (
+  member_id bigint not null,
+  badge_id text not null,
+  unlocked_at timestamp with time zone not null default now(),
+  constraint member_badges_pkey primary key (member_id, badge_id),
+  constraint member_badges_member_id_fkey foreign KEY (member_id) references members (member_id) on delete CASCADE
+) TABLESPACE pg_default;
+
+
+-- Message and reaction counts: one 'message_activity' row per Discord user, channel and day in discord_activity
+alter table public.discord_activity add column if not exists discord_user_id text null;
+
+create unique index IF not exists idx_discord_activity_daily_counts on public.discord_activity using btree (discord_user_id, channel_id, activity_date) TABLESPACE pg_default
+where activity_type = 'message_activity';
+
+-- Add buffered counts to the daily rows in one statement, so concurrent flushes add up instead of overwriting.
+-- entries: [{ user_id, username, display_name, channel_id, channel_name, activity_date, message_count, reaction_count, voice_duration_minutes }]
+create or replace function public.record_discord_activity_counts(p_entries jsonb)
+returns integer
+language plpgsql
+as $$
+declare
+  v_count integer;
+begin
+  insert into public.discord_activity (
+    member_id, discord_user_id, discord_username, display_name, activity_type, channel_id, channel_name,
+    message_count, reaction_count, voice_duration_minutes, activity_date, activity_timestamp
+  )
+  select
+    m.member_id, e.user_id, e.username, e.display_name, 'message_activity', e.channel_id, e.channel_name,
+    coalesce(e.message_count, 0), coalesce(e.reaction_count, 0), coalesce(e.voice_duration_minutes, 0), e.activity_date, now()
+  from jsonb_to_recordset(p_entries) as e (
+    user_id text, username text, display_name text, channel_id text, channel_name text,
+    activity_date date, message_count integer, reaction_count integer, voice_duration_minutes integer
+  )
+  left join public.members m on m.member_id::text = e.user_id
+  on conflict (discord_user_id, channel_id, activity_date) where activity_type = 'message_activity'
+  do update set
+    message_count = discord_activity.message_count + excluded.message_count,
+    reaction_count = discord_activity.reaction_count + excluded.reaction_count,
+    voice_duration_minutes = discord_activity.voice_duration_minutes + excluded.voice_duration_minutes,
+    member_id = coalesce(excluded.member_id, discord_activity.member_id),
+    display_name = coalesce(excluded.display_name, discord_activity.display_name),
+    channel_name = coalesce(excluded.channel_name, discord_activity.channel_name),
+    activity_timestamp = now();
+
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+
+
+-- Voice sessions in every voice channel. Open sessions (left_at null) are closed when the bot restarts,
+-- at last_seen_at, the last time the bot confirmed they were still running.
+create table public.voice_sessions (
+  session_id bigserial not null,
+  user_id text not null,
+  username text null,
+  channel_id text not null,
+  channel_name text null,
+  joined_at timestamp with time zone not null default now(),
+  last_seen_at timestamp with time zone not null default now(),
+  left_at timestamp with time zone null,
+  duration_minutes integer null,
+  end_reason text null,
+  constraint voice_sessions_pkey primary key (session_id),
+  constraint voice_sessions_end_reason_check check (end_reason in ('leave', 'move', 'restart'))
+) TABLESPACE pg_default;
+
+create index IF not exists idx_voice_sessions_open on public.voice_sessions using btree (user_id) TABLESPACE pg_default
+where left_at is null;
+
+create index IF not exists idx_voice_sessions_joined_at on public.voice_sessions using btree (joined_at) TABLESPACE pg_default;
@@ -0,0 +1,176 @@
+const { EmbedBuilder, ChannelType } = require('discord.js');
+const { recordAchievementEvent, getAchievementProgress, getMemberBadges, unlockBadges, getSolveStreak } = require('../database/db');
+const { getDateKeyInTimeZone } = require('../utils/timezoneUtils');
+const { findMemberForUser } = require('./pointsHistory');
+
+const CHEERS_CHANNEL_ID = process.env['chamber-of-cheers'];
+
+/**
+ * Events the bot already produces, fed in with trackAchievement:
+ * - code_run: a correct daily challenge answer (I Run Code or /submit), counted once per day
+ * - solve_streak: the member's longest solve streak after a correct answer, compared as is
+ * - meeting: attending at least half of a daily gathering, counted once per day
+ * - terminology: reading today's terminology with /terminology, counted once per day
+ * - birthday: the member's birthday being announced, counted once per day
+ */
+const VALUE_EVENTS = ['solve_streak'];
+
+const ACHIEVEMENTS = [
+    { id: 'first_run', badge: '🚀', name: 'First Run', description: 'Solve the daily challenge for the first time', event: 'code_run', threshold: 1 },
+    { id: 'problem_solver', badge: '🧩', name: 'Problem Solver', description: 'Solve the daily challenge on 10 days', event: 'code_run', threshold: 10 },
+    { id: 'code_machine', badge: '⚙️', name: 'Code Machine', description: 'Solve the daily challenge on 50 days', event: 'code_run', threshold: 50 },
+    { id: 'on_a_roll', badge: '🎯', name: 'On a Roll', description: 'Solve the daily challenge 3 days in a row', event: 'solve_streak', threshold: 3 },
+    { id: 'seven_day_streak', badge: '🔥', name: '7-Day Streak', description: 'Solve the daily challenge 7 days in a row', event: 'solve_streak', threshold: 7 },
+    { id: 'unstoppable', badge: '⚡', name: 'Unstoppable', description: 'Solve the daily challenge 14 days in a row', event: 'solve_streak', threshold: 14 },
+    { id: 'thirty_day_champion', badge: '🏆', name: '30-Day Champion', description: 'Solve the daily challenge 30 days in a row', event: 'solve_streak', threshold: 30 },
+    { id: 'hundred_day_legend', badge: '💎', name: '100-Day Legend', description: 'Solve the daily challenge 100 days in a row', event: 'solve_streak', threshold: 100 },
+    { id: 'first_gathering', badge: '🎙️', name: 'Pulled Up a Chair', description: 'Attend your first daily gathering', event: 'meeting', threshold: 1 },
+    { id: 'regular', badge: '🪑', name: 'Regular', description: 'Attend 10 daily gatherings', event: 'meeting', threshold: 10 },
+    { id: 'curious_mind', badge: '📖', name: 'Curious Mind', description: 'Read the daily terminology on 7 days', event: 'terminology', threshold: 7 },
+    { id: 'walking_glossary', badge: '📚', name: 'Walking Glossary', description: 'Read the daily terminology on 30 days', event: 'terminology', threshold: 30 },
+    { id: 'birthday_star', badge: '🎂', name: 'Birthday Star', description: 'Celebrate a birthday with the community', event: 'birthday', threshold: 1 },
+];
+
+/**
+ * The highest achievement an event's progress reaches, e.g. the streak badge shown in /mypoints
+ * @returns {Object|null} null below the first threshold
+ */
+function getTopAchievement(event, progress) {
+    return ACHIEVEMENTS
+        .filter(achievement => achievement.event === event && progress >= achievement.threshold)
+        .reduce((top, achievement) => (!top || achievement.threshold > top.threshold ? achievement : top), null);
+}
+
+/**
+ * Find the chamber-of-cheers channel
+ */
+function findCheersChannel(guild) {
+    if (CHEERS_CHANNEL_ID) {
+        const channel = guild.channels.cache.get(CHEERS_CHANNEL_ID);
+        if (channel && channel.isTextBased()) return channel;
+    }
+    // Fallback to name matching
+    return guild.channels.cache.find(ch =>
+        ch.type === ChannelType.GuildText &&
+        ch.permissionsFor(guild.members.me)?.has('SendMessages') &&
+        ch.name.toLowerCase().includes('chamber-of-cheers')
+    );
+}
+
+async function announceUnlocks(client, memberId, achievements) {
+    const embed = new EmbedBuilder()
+        .setColor('#f1c40f')
+        .setTitle(achievements.length === 1 ? '🏅 Achievement Unlocked!' : '🏅 Achievements Unlocked!')
+        .setDescription(
+            `<@${memberId}> earned:\n\n` +
+            achievements.map(achievement => `${achievement.badge} **${achievement.name}** - ${achievement.description}`).join('\n')
+        )
+        .setFooter({ text: 'See all your badges with /badges' })
+        .setTimestamp();
+
+    for (const guild of client.guilds.cache.values()) {
+        const channel = findCheersChannel(guild);
+        if (!channel) continue;
+        try {
+            await channel.send({ content: `<@${memberId}>`, embeds: [embed] });
+            return;
+        } catch (error) {
+            console.error('Could not announce achievement:', error.message);
+        }
+    }
+    console.warn('⚠ chamber-of-cheers channel not found, achievement not announced');
+}
+
+/**
+ * Feed an event into the achievement rules and unlock (and announce) any badges it completes.
+ * Errors are logged, never thrown, so callers can fire and forget.
+ * @param {Object} event - { memberId, event, value (solve_streak only), dateKey }
+ * @returns {Promise<Object[]>} Achievements newly unlocked
+ */
+async function trackAchievement(client, { memberId, event, value = null, dateKey = getDateKeyInTimeZone() }) {
+    try {
+        let progress = value;
+        if (!VALUE_EVENTS.includes(event)) {
+            const recorded = await recordAchievementEvent(memberId, event, dateKey);
+            if (!recorded?.counted) return [];
+            progress = recorded.count;
+        }
+
+        const earned = ACHIEVEMENTS.filter(achievement => achievement.event === event && progress >= achievement.threshold);
+        const unlockedIds = await unlockBadges(memberId, earned.map(achievement => achievement.id));
+        if (!unlockedIds || unlockedIds.length === 0) return [];
+
+        const unlocked = earned.filter(achievement => unlockedIds.includes(achievement.id));
+        console.log(`✓ Member ${memberId} unlocked ${unlocked.map(achievement => achievement.name).join(', ')}`);
+        if (client) {
+            await announceUnlocks(client, memberId, unlocked);
+        }
+        return unlocked;
+    } catch (error) {
+        console.error(`Error tracking ${event} achievement for ${memberId}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Build the /badges embed: unlocked badges first, then locked ones with progress
+ */
+function buildBadgesEmbed(memberData, badges, progress) {
+    const name = memberData.display_name || memberData.username || 'Unknown';
+    const unlockedAt = new Map(badges.map(row => [row.badge_id, row.unlocked_at]));
+    const unlocked = ACHIEVEMENTS.filter(achievement => unlockedAt.has(achievement.id));
+    const locked = ACHIEVEMENTS.filter(achievement => !unlockedAt.has(achievement.id));
+
+    const unlockedLines = unlocked.map(achievement => {
+        const timestamp = Math.floor(new Date(unlockedAt.get(achievement.id)).getTime() / 1000);
+        return `${achievement.badge} **${achievement.name}** - <t:${timestamp}:d>`;
+    });
+    const lockedLines = locked.map(achievement => {
+        const current = Math.min(progress[achievement.event] || 0, achievement.threshold);
+        return `🔒 **${achievement.name}** - ${achievement.description} (${current}/${achievement.threshold})`;
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor('#f1c40f')
+        .setTitle(`🏅 ${name}'s Badges`)
+        .setDescription(`${unlocked.length}/${ACHIEVEMENTS.length} unlocked`)
+        .setTimestamp();
+
+    if (unlockedLines.length > 0) {
+        embed.addFields({ name: '✨ Unlocked', value: unlockedLines.join('\n'), inline: false });
+    }
+    if (lockedLines.length > 0) {
+        embed.addFields({ name: '🔒 Locked', value: lockedLines.join('\n'), inline: false });
+    }
+    return embed;
+}
+
+/**
+ * Handle /badges [member]
+ */
+async function handleBadgesCommand(interaction) {
+    const user = interaction.options.getUser('member') || interaction.user;
+    const memberData = await findMemberForUser(user);
+    if (!memberData) {
+        const who = user.id === interaction.user.id ? 'You are' : `${user.username} is`;
+        return interaction.editReply({ content: `❌ ${who} not in the members database, so there are no badges yet.` });
+    }
+
+    const [badges, progress, streak] = await Promise.all([
+        getMemberBadges(memberData.member_id),
+        getAchievementProgress(memberData.member_id),
+        getSolveStreak(user.id),
+    ]);
+    // Streak badges measure the best streak so far
+    progress.solve_streak = streak?.longest_streak || 0;
+
+    return interaction.editReply({ embeds: [buildBadgesEmbed(memberData, badges, progress)] });
+}
+
+module.exports = {
+    ACHIEVEMENTS,
+    getTopAchievement,
+    findCheersChannel,
+    trackAchievement,
+    handleBadgesCommand,
+};
@@ -0,0 +1,129 @@
+const { recordDiscordActivityCounts } = require('../database/db');
+const { getDateKeyInTimeZone } = require('../utils/timezoneUtils');
+
+const FLUSH_INTERVAL_MS = (parseInt(process.env.ACTIVITY_FLUSH_SECONDS || '60', 10) || 60) * 1000;
+const FLUSH_BATCH_SIZE = 500;
+// Counts kept for a retry while the database is unreachable; beyond this they are dropped
+const MAX_BUFFERED_ENTRIES = 5000;
+
+// `${userId}:${channelId}:${activityDate}` -> counts waiting to be flushed
+const buffer = new Map();
+let flushing = null;
+
+/**
+ * Add to a member's counts for a channel and day (Asia/Kolkata). Nothing is written until the next flush.
+ * @param {Object} activity - { userId, username, displayName, channelId, channelName, messageCount, reactionCount, voiceDurationMinutes, activityDate }
+ */
+function countActivity({ userId, username, displayName = null, channelId, channelName = null, messageCount = 0, reactionCount = 0, voiceDurationMinutes = 0, activityDate = getDateKeyInTimeZone() }) {
+    const key = `${userId}:${channelId}:${activityDate}`;
+    let entry = buffer.get(key);
+    if (!entry) {
+        if (buffer.size >= MAX_BUFFERED_ENTRIES) return;
+        entry = { userId, username, displayName, channelId, channelName, activityDate, messageCount: 0, reactionCount: 0, voiceDurationMinutes: 0 };
+        buffer.set(key, entry);
+    }
+
+    // Keep the latest names in case they changed during the day
+    entry.username = username || entry.username;
+    entry.displayName = displayName || entry.displayName;
+    entry.channelName = channelName || entry.channelName;
+    entry.messageCount += messageCount;
+    entry.reactionCount += reactionCount;
+    entry.voiceDurationMinutes += voiceDurationMinutes;
+}
+
+async function writeBufferedActivity() {
+    const entries = [...buffer.values()];
+    buffer.clear();
+    let written = 0;
+
+    for (let i = 0; i < entries.length; i += FLUSH_BATCH_SIZE) {
+        const batch = entries.slice(i, i + FLUSH_BATCH_SIZE);
+        const result = await recordDiscordActivityCounts(batch);
+        if (result === null) {
+            // Put the counts back so the next flush retries them
+            batch.forEach(entry => countActivity(entry));
+            continue;
+        }
+        written += batch.length;
+    }
+
+    if (buffer.size >= MAX_BUFFERED_ENTRIES) {
+        console.warn(`⚠ Activity buffer is full (${buffer.size} entries), new activity is dropped until a flush succeeds`);
+    }
+    return written;
+}
+
+/**
+ * Write all buffered counts to discord_activity in batches
+ * @returns {Promise<number>} Entries written
+ */
+function flushActivity() {
+    if (buffer.size === 0) return Promise.resolve(0);
+    // A flush already running picks up everything buffered before it started
+    if (!flushing) {
+        flushing = writeBufferedActivity().finally(() => {
+            flushing = null;
+        });
+    }
+    return flushing;
+}
+
+/**
+ * Flush until the buffer is empty, after waiting for any flush already running. Used on shutdown,
+ * where counts added while that flush ran would otherwise be left behind.
+ * @returns {Promise<number>} Entries written
+ */
+async function drainActivity() {
+    let written = flushing ? await flushing : 0;
+    while (buffer.size > 0) {
+        const flushed = await flushActivity();
+        // Nothing went through, so the database is unreachable and retrying won't help
+        if (flushed === 0) break;
+        written += flushed;
+    }
+    return written;
+}
+
+/**
+ * Count member messages and reactions per channel and day
+ */
+function handleActivityTracker(client) {
+    client.on('messageCreate', (message) => {
+        if (message.author.bot || !message.guildId) return;
+        countActivity({
+            userId: message.author.id,
+            username: message.author.username,
+            displayName: message.member?.displayName,
+            channelId: message.channelId,
+            channelName: message.channel?.name,
+            messageCount: 1,
+        });
+    });
+
+    client.on('messageReactionAdd', (reaction, user) => {
+        if (user.bot || !reaction.message.guildId) return;
+        countActivity({
+            userId: user.id,
+            username: user.username,
+            displayName: reaction.message.guild?.members.cache.get(user.id)?.displayName,
+            channelId: reaction.message.channelId,
+            channelName: reaction.message.channel?.name,
+            reactionCount: 1,
+        });
+    });
+
+    client.once('ready', () => {
+        setInterval(() => {
+            flushActivity().catch(error => console.error('Error flushing activity:', error.message));
+        }, FLUSH_INTERVAL_MS);
+        console.log(`✓ Activity tracking initialized (flushing every ${FLUSH_INTERVAL_MS / 1000}s)`);
+    });
+}
+
+module.exports = {
+    handleActivityTracker,
+    countActivity,
+    flushActivity,
+    drainActivity,
+};
@@ -1,6 +1,7 @@
 const { EmbedBuilder, ChannelType } = require('discord.js');
 const { getMembersWithBirthdayToday } = require('../database/db');
-const { getDelayUntilNextScheduledTime } = require('../utils/timezoneUtils');
+const { registerJob } = require('../utils/scheduler');
+const { trackAchievement } = require('./achievements');
 
 const BIRTHDAY_CHECK_HOUR = 6; // 6:00 AM
 const BIRTHDAY_CHECK_MINUTE = 0;
@@ -105,6 +106,10 @@ async function checkAndAnnounceBirthdays(client) {
             
             console.log(`✓ Birthday announcement posted in ${guild.name} > #${announcementsChannel.name}`);
         }
+
+        for (const member of birthdayMembers) {
+            await trackAchievement(client, { memberId: member.member_id, event: 'birthday' });
+        }
     } catch (error) {
         console.error('Error checking/announcing birthdays:', error);
     }
@@ -114,19 +119,14 @@ async function checkAndAnnounceBirthdays(client) {
  * Schedule birthday checks
  */
 function scheduleBirthdayCheck(client) {
-    const msUntilCheck = getDelayUntilNextScheduledTime(BIRTHDAY_CHECK_HOUR, BIRTHDAY_CHECK_MINUTE);
-    const hoursUntil = Math.floor(msUntilCheck / (1000 * 60 * 60));
-    const minutesUntil = Math.floor((msUntilCheck % (1000 * 60 * 60)) / (1000 * 60));
-    
-    console.log(`📅 Birthday check scheduled in ${hoursUntil}h ${minutesUntil}m (${BIRTHDAY_CHECK_HOUR}:${BIRTHDAY_CHECK_MINUTE.toString().padStart(2, '0')} AM Asia/Kolkata)`);
-    
-    setTimeout(() => {
-        checkAndAnnounceBirthdays(client);
-        // Reschedule for next day
-        setInterval(() => {
-            checkAndAnnounceBirthdays(client);
-        }, 24 * 60 * 60 * 1000); // Every 24 hours
-    }, msUntilCheck);
+    registerJob({
+        name: 'birthday-check',
+        cron: `${BIRTHDAY_CHECK_MINUTE} ${BIRTHDAY_CHECK_HOUR} * * *`,
+        description: 'Announce member birthdays',
+        // Only catch up on the same day, a late birthday wish is fine but not a day late
+        catchUpWindowMinutes: 12 * 60,
+        run: () => checkAndAnnounceBirthdays(client),
+    });
 }
 
 /**
@@ -145,5 +145,6 @@ function handleBirthdayAnnouncement(client) {
 
 module.exports = {
     handleBirthdayAnnouncement,
+    findAnnouncementsChannel,
     checkAndAnnounceBirthdays, // Export for manual testing
 };
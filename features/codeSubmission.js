@@ -0,0 +1,161 @@
+const { EmbedBuilder } = require('discord.js');
+const { LANGUAGES } = require('../utils/codeRunner');
+const { VERDICTS } = require('../utils/answerChecker');
+const { runQuestionTests } = require('../utils/questionTests');
+const { getTodaysQuestion } = require('./questionResolver');
+const { awardDailyChallengePoints, DAILY_CHALLENGE_POINTS } = require('./progressupdate');
+const { formatStreakUpdate } = require('./solveStreaks');
+
+const MAX_CODE_LENGTH = 20000;
+const CODE_BLOCK_PATTERN = /```([a-z0-9+#-]*)[ \t]*\n?([\s\S]*?)```/i;
+const PREVIEW_LENGTH = 500;
+
+/**
+ * Take the code out of a ```lang ... ``` block, or use the text as-is
+ */
+function extractCode(text) {
+    const match = CODE_BLOCK_PATTERN.exec(text || '');
+    return (match ? match[2] : text || '').trim();
+}
+
+function preview(text) {
+    const value = String(text ?? '').replace(/```/g, "'''").trimEnd();
+    if (!value.trim()) return '(no output)';
+    return value.length > PREVIEW_LENGTH ? `${value.slice(0, PREVIEW_LENGTH)}…` : value;
+}
+
+async function readSubmissionCode(interaction) {
+    const attachment = interaction.options.getAttachment('file');
+    if (attachment) {
+        if (attachment.size > MAX_CODE_LENGTH) {
+            throw new Error(`Files can be at most ${MAX_CODE_LENGTH / 1000} KB.`);
+        }
+        const response = await fetch(attachment.url);
+        if (!response.ok) {
+            throw new Error('Could not download the attached file.');
+        }
+        return extractCode(await response.text());
+    }
+
+    return extractCode(interaction.options.getString('code'));
+}
+
+function describeTestResult(result, index) {
+    const label = result.hidden ? `Hidden test ${index}` : 'Example';
+    const icons = {
+        [VERDICTS.CORRECT]: '✅',
+        [VERDICTS.WRONG]: '❌',
+        [VERDICTS.UNJUDGED]: '➖',
+    };
+    const detail = result.failure || (result.verdict === VERDICTS.UNJUDGED ? 'not judged' : null);
+    return `${icons[result.verdict]} ${label}${detail ? ` (${detail})` : ''}`;
+}
+
+function buildSubmissionEmbed({ question, language, report, award }) {
+    const example = report.results.find(result => !result.hidden);
+    const colors = {
+        [VERDICTS.CORRECT]: '#2ecc71',
+        [VERDICTS.WRONG]: '#e74c3c',
+        [VERDICTS.UNJUDGED]: '#f1c40f',
+    };
+    const titles = {
+        [VERDICTS.CORRECT]: '✅ Correct Answer!',
+        [VERDICTS.WRONG]: '❌ Wrong Answer',
+        [VERDICTS.UNJUDGED]: '🤔 Could Not Be Judged',
+    };
+    const totalMs = report.results.reduce((sum, result) => sum + result.run.durationMs, 0);
+
+    let hiddenIndex = 0;
+    const testLines = report.results.map(result => describeTestResult(result, result.hidden ? ++hiddenIndex : 0));
+
+    // Hidden tests only ever report pass/fail so their inputs and outputs stay secret
+    const embed = new EmbedBuilder()
+        .setColor(colors[report.verdict])
+        .setTitle(titles[report.verdict])
+        .setDescription(`**Day ${question.DisplayDay ?? question.Day}:** ${question.Question}`)
+        .addFields(
+            { name: '📤 Your Output (example)', value: `\`\`\`\n${preview(example.run.stdout)}\n\`\`\``, inline: false },
+            { name: '🎯 Expected Output', value: `\`\`\`\n${preview(example.output)}\n\`\`\``, inline: false },
+            { name: `🧪 Tests: ${report.passed}/${report.total} passed`, value: testLines.join('\n'), inline: false }
+        )
+        .setFooter({ text: `${LANGUAGES[language].label} • ${totalMs} ms` })
+        .setTimestamp();
+
+    if (example.failure && example.run.stderr.trim()) {
+        embed.addFields({ name: '⚠️ Error', value: `\`\`\`\n${preview(example.run.stderr.trim().split('\n').slice(-8).join('\n'))}\n\`\`\``, inline: false });
+    }
+
+    if (report.verdict === VERDICTS.UNJUDGED && example.reason) {
+        embed.addFields({ name: 'ℹ️ Note', value: `${example.reason} No points were awarded.`, inline: false });
+    }
+
+    if (award) {
+        const pointsMessages = {
+            awarded: `**+${DAILY_CHALLENGE_POINTS} points**${award.points !== null ? ` • Total: **${award.points}**` : ''}`,
+            already_awarded: `You already earned today's **+${DAILY_CHALLENGE_POINTS} points**. Come back tomorrow!`,
+            unregistered: 'You are not registered as a member yet, so your solve was logged for review.',
+        };
+        embed.addFields({ name: '🏆 Points', value: pointsMessages[award.status], inline: false });
+        if (award.streak) {
+            embed.addFields({ name: '🔥 Solve Streak', value: formatStreakUpdate(award.streak), inline: false });
+        }
+    }
+
+    return embed;
+}
+
+/**
+ * Handle /submit <language> [code] [file]
+ */
+async function handleSubmitCommand(interaction) {
+    const language = interaction.options.getString('language');
+    const question = await getTodaysQuestion();
+
+    if (!question) {
+        return interaction.editReply({ content: '❌ No question available for today.' });
+    }
+
+    let code;
+    try {
+        code = await readSubmissionCode(interaction);
+    } catch (error) {
+        return interaction.editReply({ content: `❌ ${error.message}` });
+    }
+
+    if (!code) {
+        return interaction.editReply({
+            content: '❌ Please paste your code in the `code` option (a ```code block``` works too) or attach it as a `file`.'
+        });
+    }
+    if (code.length > MAX_CODE_LENGTH) {
+        return interaction.editReply({ content: `❌ Submissions can be at most ${MAX_CODE_LENGTH} characters long.` });
+    }
+
+    let report;
+    try {
+        report = await runQuestionTests({ language, code, question });
+    } catch (error) {
+        console.error('Error running submission:', error);
+        return interaction.editReply({ content: '❌ Could not run your code right now. Please try again later.' });
+    }
+
+    let award = null;
+    if (report.verdict === VERDICTS.CORRECT) {
+        award = await awardDailyChallengePoints({
+            guild: interaction.guild,
+            userId: interaction.user.id,
+            username: interaction.user.username,
+            channelName: interaction.channel?.name,
+            question,
+            source: 'submit',
+        });
+    }
+
+    const embed = buildSubmissionEmbed({ question, language, report, award });
+    return interaction.editReply({ content: `<@${interaction.user.id}>`, embeds: [embed] });
+}
+
+module.exports = {
+    handleSubmitCommand,
+    extractCode,
+};
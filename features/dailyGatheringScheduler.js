@@ -1,5 +1,7 @@
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ChannelType, MessageFlags } = require('discord.js');
-const { getDelayUntilNextScheduledTime, getCurrentTimeInTimeZone } = require('../utils/timezoneUtils');
+const { getCurrentTimeInTimeZone } = require('../utils/timezoneUtils');
+const { registerJob } = require('../utils/scheduler');
+const { trackAchievement } = require('./achievements');
 const { 
     confirmGathering, 
     cancelGathering, 
@@ -11,7 +13,9 @@ const {
     getMeetingByDate,
     recordAttendance,
     getMember,
-    addPoints
+    addPoints,
+    getExcludedMemberIds,
+    isMemberExcluded
 } = require('../database/db');
 
 // Channel IDs
@@ -89,22 +93,13 @@ async function askForGatheringTime(client) {
  * Schedule gathering time prompt
  */
 function scheduleGatheringPrompt(client) {
-    function scheduleNext() {
-        const delay = getDelayUntilNextScheduledTime(TIME_PROMPT_HOUR, TIME_PROMPT_MINUTE);
-        const hoursUntil = Math.floor(delay / (1000 * 60 * 60));
-        const minutesUntil = Math.floor((delay % (1000 * 60 * 60)) / (1000 * 60));
-
-        console.log(
-            `📅 [Belmonts] Next gathering prompt in ${hoursUntil}h ${minutesUntil}m`
-        );
-
-        setTimeout(async () => {
-            await askForGatheringTime(client);
-            scheduleNext();
-        }, delay);
-    }
-
-    scheduleNext();
+    registerJob({
+        name: 'gathering-prompt',
+        cron: `${TIME_PROMPT_MINUTE} ${TIME_PROMPT_HOUR} * * *`,
+        description: 'Ask for the daily gathering time in #tinkering',
+        catchUpWindowMinutes: 60,
+        run: () => askForGatheringTime(client),
+    });
 }
 
 /**
@@ -368,8 +363,13 @@ async function endGatheringAndReport(client) {
                 
                 // Add points to member if they earned any
                 if (pointsAwarded > 0) {
-                    await addPoints(memberId, pointsAwarded);
+                    await addPoints(memberId, pointsAwarded, {
+                        reason: 'meeting',
+                        actorName: 'Daily Gathering',
+                        referenceId: gatheringSession.meetingId,
+                    });
                     console.log(`✓ Added ${pointsAwarded} points to ${attendee.displayName}`);
+                    await trackAchievement(client, { memberId, event: 'meeting' });
                 }
             } catch (error) {
                 console.error(`Error recording attendance for ${attendee.displayName}:`, error.message);
@@ -400,10 +400,13 @@ async function endGatheringAndReport(client) {
             });
 
         // Add attendance details in chunks to avoid Discord field limit
-        if (attendanceRecords.length > 0) {
+        // Members excluded from reports still earn points but aren't listed
+        const excluded = await getExcludedMemberIds('reports');
+        const reportedRecords = attendanceRecords.filter(record => !isMemberExcluded(excluded, record.userId));
+        if (reportedRecords.length > 0) {
             const chunkSize = 20; // Split attendees into chunks of 20
-            for (let i = 0; i < attendanceRecords.length; i += chunkSize) {
-                const chunk = attendanceRecords.slice(i, i + chunkSize);
+            for (let i = 0; i < reportedRecords.length; i += chunkSize) {
+                const chunk = reportedRecords.slice(i, i + chunkSize);
                 let attendanceText = ``;
                 chunk.forEach((record) => {
                     const medal = record.attendancePercentage >= 95 ? `⭐` : ``;
@@ -572,7 +575,13 @@ async function handleGatheringTimeSelection(client, interaction) {
             console.log(`⏰ Reminder scheduled: gathering=${gatheringDateTime.toLocaleTimeString()}, reminder=${reminderDateTime.toLocaleTimeString()}, delay=${delayMs}ms`);
 
             if (delayMs > 0) {
-                setTimeout(() => sendGatheringReminder(client, gatheringTime), delayMs);
+                registerJob({
+                    name: 'gathering-reminder',
+                    at: new Date(adjustedReminderTime),
+                    description: `5-minute reminder for the ${gatheringTime} gathering`,
+                    catchUp: false,
+                    run: () => sendGatheringReminder(client, gatheringTime),
+                });
                 console.log(`✓ 5-minute reminder will be sent in ${Math.round(delayMs / 1000 / 60)} minutes`);
             } else {
                 console.warn(`⚠ Reminder time is in the past. Not scheduling.`);
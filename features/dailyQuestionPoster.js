@@ -1,95 +1,42 @@
-const fs = require('fs');
-const path = require('path');
-const { getDelayUntilNextScheduledTime, getCurrentTimeInTimeZone } = require('../utils/timezoneUtils');
-
-let questionScheduler = null;
-
-function getTodayInTimeZone() {
-  const nowInTz = getCurrentTimeInTimeZone();
-  return new Date(nowInTz.getFullYear(), nowInTz.getMonth(), nowInTz.getDate());
-}
-
-function resolveQuestionNumber({ questions, totalDays }) {
-  if (!questions || questions.length === 0 || !totalDays) {
-    return null;
-  }
-
-  const today = getTodayInTimeZone();
-  const dayOfMonth = today.getDate();
-  
-  // Cycle through days 1 to totalDays based on day of month
-  const normalizedNumber = ((dayOfMonth - 1) % totalDays) + 1;
-  
-  return { dayOfMonth, normalizedNumber, maxDay: totalDays };
-}
-
-function getQuestionForDay() {
-  try {
-    const questionsPath = path.join(__dirname, '../json/dailyQuestion.json');
-    const data = JSON.parse(fs.readFileSync(questionsPath, 'utf-8'));
-    const questions = data.Questions || data;
-    
-    const resolution = resolveQuestionNumber({
-      questions,
-      totalDays: data.totalDays,
-    });
-
-    let questionObj = null;
-    let displayDay = null;
-
-    if (resolution) {
-      questionObj = questions.find(q => q.Day === resolution.normalizedNumber);
-      displayDay = resolution.normalizedNumber;
-      const cycleNumber = Math.floor((resolution.dayOfMonth - 1) / resolution.maxDay) + 1;
-      
-      console.log(`ℹ️ Question for today (Day ${resolution.dayOfMonth}): Day ${displayDay} | Cycle: ${cycleNumber}`);
-    } else {
-      console.log(`⚠️ Could not resolve question`);
-      return null;
-    }
-    
-    if (!questionObj) {
-      console.log(`⚠️  No question found for Day ${displayDay ?? 'unknown'}`);
-      return null;
-    }
-
-    return { ...questionObj, DisplayDay: displayDay };
-  } catch (error) {
-    console.error('Error reading daily questions:', error);
-    return null;
-  }
-}
+const { registerJob } = require('../utils/scheduler');
+const { getActiveQuestions } = require('./questionBank');
+const { getTodaysQuestion } = require('./questionResolver');
+const { buildHintButtons } = require('./questionHints');
+const { recordDailyQuestionPost } = require('../database/db');
 
 function createQuestionEmbed(question) {
   const { EmbedBuilder } = require('discord.js');
+  const totalDays = getActiveQuestions().length;
   
   const embed = new EmbedBuilder()
     .setColor('#FF6B9D')
     .setTitle(`📝 Day ${question.DisplayDay ?? question.Day}: ${question.Question}`)
     .addFields(
       { name: '📥 Input', value: `\`\`\`${question.Input}\`\`\``, inline: false },
-      { name: '📤 Output', value: `\`\`\`${question.Output}\`\`\``, inline: false },
-      { name: '💡 Explanation', value: question.Explain, inline: false }
+      { name: '📤 Output', value: `\`\`\`${question.Output}\`\`\``, inline: false }
     )
-    .setFooter({ text: 'Daily Coding Challenge | 151 Days Total' })
+    .setFooter({ text: `Daily Coding Challenge | ${totalDays} Days Total` })
     .setTimestamp();
   
-  if (question.Formula) {
-    embed.addFields({ name: '🔢 Formula', value: `\`${question.Formula}\``, inline: false });
-  }
+  // The explanation is held back until the nightly report posts it
+  const hintCount = Array.isArray(question.Hints) ? question.Hints.length : 0;
+  embed.setDescription(hintCount > 0
+    ? 'Stuck? Open a hint below (costs points). The full explanation is posted tonight.'
+    : 'The full explanation is posted tonight.');
   
   return embed;
 }
 
 async function postDailyQuestion(client) {
   try {
-    const question = getQuestionForDay();
+    const question = await getTodaysQuestion();
     if (!question) {
       console.warn('⚠️ No question available for today');
       return;
     }
     
     const embed = createQuestionEmbed(question);
+    const hintButtons = buildHintButtons(question);
     
     // Post to all guilds in the vibe-code channel
     if (client.guilds.cache.size === 0) {
@@ -117,11 +64,20 @@ async function postDailyQuestion(client) {
       
       if (channel) {
         try {
-          await channel.send({
+          const sent = await channel.send({
             content: '<@&1307057022453153813> Daily Coding Challenge! 🚀', // @Belmonts role
-            embeds: [embed]
+            embeds: [embed],
+            components: hintButtons ? [hintButtons] : []
           });
           console.log(`✓ Posted daily question to ${guild.name}`);
+          await recordDailyQuestionPost({
+            post_date: question.ResolvedDate,
+            question_day: question.Day,
+            question_title: question.Question,
+            guild_id: guild.id,
+            channel_id: channel.id,
+            message_id: sent.id,
+          });
           postedCount++;
         } catch (error) {
           console.error(`Error posting to ${guild.name}:`, error.message);
@@ -140,24 +96,13 @@ async function postDailyQuestion(client) {
 }
 
 function scheduleQuestionPost(client) {
-  const timeUntilRun = getDelayUntilNextScheduledTime(8, 0); // 8:00 AM
-  
-  // Clear existing scheduler
-  if (questionScheduler) {
-    clearTimeout(questionScheduler);
-  }
-  
-  // Schedule the question post
-  questionScheduler = setTimeout(() => {
-    postDailyQuestion(client);
-    // Reschedule for the next day
-    scheduleQuestionPost(client);
-  }, timeUntilRun);
-  
-  const hoursLeft = Math.floor(timeUntilRun / (1000 * 60 * 60));
-  const minutesLeft = Math.floor((timeUntilRun % (1000 * 60 * 60)) / (1000 * 60));
-  
-  console.log(`📅 Daily question scheduler initialized (Next: ${hoursLeft}h ${minutesLeft}m at 8:00 AM Asia/Kolkata)`);
+  registerJob({
+    name: 'daily-question',
+    cron: '0 8 * * *', // 8:00 AM
+    description: 'Post the daily coding challenge to #vibe-coding',
+    catchUpWindowMinutes: 12 * 60,
+    run: () => postDailyQuestion(client),
+  });
 }
 
 function setupDailyQuestion(client) {
@@ -1,7 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const { EmbedBuilder } = require('discord.js');
-const { getDelayUntilNextScheduledTime } = require('../utils/timezoneUtils');
+const { registerJob } = require('../utils/scheduler');
 
 const TERMINOLOGY_FILE = path.join(__dirname, '..', 'json', 'terminologies.json');
 
@@ -94,19 +94,13 @@ async function postDailyTerminology(client) {
  * Schedule daily terminology posting at 8:00 AM
  */
 function scheduleDailyTerminology(client) {
-    // Schedule the first posting
-    function scheduleNext() {
-        const delay = getDelayUntilNextScheduledTime(8, 0); // 8:00 AM
-        console.log(`📅 Next terminology post scheduled in ${Math.round(delay / 1000 / 60)} minutes (9:00 AM Asia/Kolkata)`);
-        
-        setTimeout(async () => {
-            await postDailyTerminology(client);
-            // Schedule the next one (24 hours later)
-            scheduleNext();
-        }, delay);
-    }
-    
-    scheduleNext();
+    registerJob({
+        name: 'daily-terminology',
+        cron: '0 8 * * *', // 8:00 AM
+        description: 'Post the daily tech terminology',
+        catchUpWindowMinutes: 12 * 60,
+        run: () => postDailyTerminology(client),
+    });
 }
 
 /**
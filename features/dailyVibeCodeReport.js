@@ -1,5 +1,8 @@
 const { EmbedBuilder } = require('discord.js');
-const { getDelayUntilNextScheduledTime } = require('../utils/timezoneUtils');
+const { registerJob } = require('../utils/scheduler');
+const { postDailySolution } = require('./questionHints');
+const { getExcludedMemberIds, isMemberExcluded, getSolveStreaks } = require('../database/db');
+const { getEffectiveStreak } = require('./solveStreaks');
 
 // Channel IDs
 const VIBE_CODING_CHANNEL_ID = process.env['vibe-coding'] || '1362052133570220123';
@@ -82,8 +85,11 @@ async function buildDailyVibeCodeReport(client) {
             return null;
         }
 
-        // Get all responses (non-bot messages)
-        const responses = messages.filter(msg => !msg.author.bot && msg.content.length > 0);
+        // Get all responses (non-bot messages), leaving out members excluded from reports
+        const excluded = await getExcludedMemberIds('reports');
+        const responses = messages.filter(msg =>
+            !msg.author.bot && msg.content.length > 0 && !isMemberExcluded(excluded, msg.author.id)
+        );
 
         if (responses.length === 0) {
             console.log(`ℹ️ No responses found for today`);
@@ -121,11 +127,13 @@ async function buildDailyVibeCodeReport(client) {
                 }
             );
 
-        // Add who solved list
+        // Add who solved list, with the solve streak of anyone who has one
+        const streaks = await getSolveStreaks(solverOrder);
         let solvedList = '';
         solverOrder.forEach((userId, index) => {
             const solver = solvers[userId];
-            solvedList += `${index + 1}. ${solver.name} - ${solver.count} solution(s)\n`;
+            const streak = getEffectiveStreak(streaks[userId]);
+            solvedList += `${index + 1}. ${solver.name} - ${solver.count} solution(s)${streak > 0 ? ` • 🔥 ${streak}` : ''}\n`;
         });
 
         embed.addFields({
@@ -174,22 +182,18 @@ async function sendDailyVibeCodeReport(client) {
  * Schedule daily vibe-code report at 23:50
  */
 function scheduleVibeCodeReport(client) {
-    function scheduleNext() {
-        const delay = getDelayUntilNextScheduledTime(REPORT_HOUR, REPORT_MINUTE);
-        const hoursUntil = Math.floor(delay / (1000 * 60 * 60));
-        const minutesUntil = Math.floor((delay % (1000 * 60 * 60)) / (1000 * 60));
-
-        console.log(
-            `📅 Next vibe-code report scheduled in ${hoursUntil}h ${minutesUntil}m (${REPORT_HOUR.toString().padStart(2, '0')}:${REPORT_MINUTE.toString().padStart(2, '0')} Asia/Kolkata)`
-        );
-
-        setTimeout(async () => {
+    registerJob({
+        name: 'vibe-code-report',
+        cron: `${REPORT_MINUTE} ${REPORT_HOUR} * * *`,
+        description: 'Send the daily vibe-coding report',
+        // The report only covers today's messages, so a late catch-up would be empty
+        catchUpWindowMinutes: 9,
+        run: async () => {
             await sendDailyVibeCodeReport(client);
-            scheduleNext();
-        }, delay);
-    }
-
-    scheduleNext();
+            // Reveal the explanation even when there was nothing to report
+            await postDailySolution(client).catch(error => console.error('Error posting daily solution:', error.message));
+        },
+    });
 }
 
 /**
@@ -1,7 +1,162 @@
-const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-const { getLeaderboard } = require('../database/db');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder } = require('discord.js');
+const { getLeaderboard, getLeaderboardForPeriod } = require('../database/db');
+const { getDateKeyInTimeZone, getStartOfWeekInTimeZone, getStartOfMonthInTimeZone, zonedTimeToDate, TIMEZONE } = require('../utils/timezoneUtils');
+const { renderLeaderboardCard } = require('../utils/leaderboardCard');
 
-function buildLeaderboardEmbed(leaderboardData, page = 1) {
+const LEADERBOARD_PERIODS = ['week', 'month', 'all', 'custom'];
+const CARD_FILE_NAME = 'leaderboard.png';
+const AVATAR_TIMEOUT_MS = 5000;
+
+function formatDay(date, withYear = false) {
+    return date.toLocaleDateString('en-GB', {
+        timeZone: TIMEZONE,
+        day: 'numeric',
+        month: 'short',
+        ...(withYear ? { year: 'numeric' } : {}),
+    });
+}
+
+/**
+ * Work out the date range of a leaderboard period in Asia/Kolkata time
+ * @param {Object} state - { period, from, to } with from/to as YYYY-MM-DD for custom periods; to defaults to today
+ * @returns {{start: Date|null, end: Date|null, label: string}|{error: string}}
+ */
+function resolveLeaderboardPeriod({ period = 'all', from = null, to = null } = {}, now = new Date()) {
+    if (period === 'week') {
+        const start = getStartOfWeekInTimeZone(now);
+        return { start, end: now, label: `This Week (${formatDay(start)} - ${formatDay(now)})` };
+    }
+
+    if (period === 'month') {
+        const start = getStartOfMonthInTimeZone(now);
+        const monthName = now.toLocaleDateString('en-GB', { timeZone: TIMEZONE, month: 'long', year: 'numeric' });
+        return { start, end: now, label: `This Month (${monthName})` };
+    }
+
+    if (period === 'custom') {
+        if (!from) {
+            return { error: 'A custom period needs a `from` date.' };
+        }
+        const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+        const [toYear, toMonth, toDay] = (to || getDateKeyInTimeZone(now)).split('-').map(Number);
+        const start = zonedTimeToDate(fromYear, fromMonth, fromDay);
+        // The end date is inclusive, so the range runs to the start of the next day
+        const end = zonedTimeToDate(toYear, toMonth, toDay + 1);
+        if (end <= start) {
+            return { error: 'The `from` date must be on or before the `to` date.' };
+        }
+        const lastDay = new Date(end.getTime() - 1);
+        return { start, end, label: `${formatDay(start, true)} - ${formatDay(lastDay, true)}` };
+    }
+
+    return { start: null, end: null, label: 'All Time' };
+}
+
+// Member columns /leaderboard can filter on, and their short keys in button customIds
+const LEADERBOARD_FILTERS = {
+    batch: { key: 'b', label: 'Batch', columns: ['batch'] },
+    domain: { key: 'd', label: 'Domain', columns: ['primary_domain', 'secondary_domain'] },
+    level: { key: 'l', label: 'Level', columns: ['belmonts_level'] },
+    role: { key: 'r', label: 'Role', columns: ['role'] },
+};
+
+// Only the characters that would break the customId format are escaped, to keep IDs short
+function escapeStateValue(value) {
+    return String(value).replace(/[%;=_]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Pack leaderboard options into a button customId suffix such as "p=custom;f=2026-10-01;b=2024;i=1"
+ */
+function encodeLeaderboardState({ period = 'all', from = null, to = null, filters = {}, image = false } = {}) {
+    const parts = [`p=${period}`];
+    if (from) parts.push(`f=${from}`);
+    if (to) parts.push(`t=${to}`);
+    if (image) parts.push('i=1');
+    Object.entries(LEADERBOARD_FILTERS).forEach(([name, { key }]) => {
+        if (filters[name]) parts.push(`${key}=${escapeStateValue(filters[name])}`);
+    });
+    return parts.join(';');
+}
+
+function decodeLeaderboardState(text = '') {
+    const values = {};
+    text.split(';').filter(Boolean).forEach(part => {
+        const [key, ...rest] = part.split('=');
+        values[key] = decodeURIComponent(rest.join('='));
+    });
+
+    const filters = {};
+    Object.entries(LEADERBOARD_FILTERS).forEach(([name, { key }]) => {
+        if (values[key]) filters[name] = values[key];
+    });
+
+    return {
+        period: LEADERBOARD_PERIODS.includes(values.p) ? values.p : 'all',
+        from: values.f || null,
+        to: values.t || null,
+        filters,
+        image: values.i === '1',
+    };
+}
+
+/**
+ * Keep members whose batch, domain (primary or secondary), level and role match, ignoring case
+ */
+function applyLeaderboardFilters(leaderboardData, filters = {}) {
+    const active = Object.entries(filters).filter(([name, value]) => LEADERBOARD_FILTERS[name] && value);
+    if (active.length === 0) return leaderboardData;
+
+    return leaderboardData.filter(entry => active.every(([name, value]) => {
+        const wanted = String(value).trim().toLowerCase();
+        return LEADERBOARD_FILTERS[name].columns.some(column =>
+            String(entry.members?.[column] ?? '').trim().toLowerCase() === wanted
+        );
+    }));
+}
+
+function describeLeaderboardFilters(filters = {}) {
+    return Object.entries(LEADERBOARD_FILTERS)
+        .filter(([name]) => filters[name])
+        .map(([name, { label }]) => `${label}: ${filters[name]}`)
+        .join(' • ');
+}
+
+/**
+ * Load the ranked leaderboard for a period and filters: lifetime balances for all-time, ledger sums otherwise
+ * @param {Object} options - { limit } top entries to load, null for the full ranking
+ * @returns {Promise<{data: Array, label: string, narrowed: boolean}|{error: string}>}
+ */
+async function loadLeaderboard(state = {}, { limit = 100 } = {}) {
+    const range = resolveLeaderboardPeriod(state);
+    if (range.error) return range;
+
+    // Filters run on the full ranking before the limit, so a cohort isn't cut from someone else's top slice
+    const filterLabel = describeLeaderboardFilters(state.filters);
+    const fetchLimit = filterLabel ? null : limit;
+    const ranked = range.start
+        ? await getLeaderboardForPeriod(range.start, range.end, fetchLimit)
+        : await getLeaderboard(fetchLimit);
+    const filtered = applyLeaderboardFilters(ranked, state.filters);
+
+    return {
+        data: limit === null ? filtered : filtered.slice(0, limit),
+        label: filterLabel ? `${range.label} • ${filterLabel}` : range.label,
+        // Period and filter boards can be empty even when members exist
+        narrowed: Boolean(range.start) || Boolean(filterLabel),
+    };
+}
+
+/**
+ * Page (10 per page) and 1-based rank of a member in a ranked leaderboard, or null if absent
+ */
+function findLeaderboardPosition(leaderboardData, memberId) {
+    const index = leaderboardData.findIndex(entry => String(entry.member_id) === String(memberId));
+    if (index === -1) return null;
+    return { rank: index + 1, page: Math.floor(index / 10) + 1, total: leaderboardData.length };
+}
+
+function buildLeaderboardEmbed(leaderboardData, page = 1, { periodLabel = null, narrowed = false, highlightMemberId = null, image = false } = {}) {
     // leaderboardData is already sorted from database
     const itemsPerPage = 10;
     const totalPages = Math.ceil(leaderboardData.length / itemsPerPage) || 1;
@@ -13,57 +168,180 @@ function buildLeaderboardEmbed(leaderboardData, page = 1) {
     pageUsers.forEach((entry, index) => {
         const position = startIndex + index + 1;
         const displayName = entry.members?.display_name || entry.members?.username || 'Unknown';
-        leaderboardText += `**${position}) ${displayName}** - ${entry.points} points\n`;
+        if (highlightMemberId !== null && String(entry.member_id) === String(highlightMemberId)) {
+            leaderboardText += `📍 __**${position}) ${displayName}**__ - ${entry.points} points\n`;
+        } else {
+            leaderboardText += `**${position}) ${displayName}** - ${entry.points} points\n`;
+        }
     });
 
     // Handle empty leaderboard
     if (!leaderboardText || leaderboardData.length === 0) {
-        leaderboardText = 'No members in this guild yet. Members will appear here once they join!';
+        leaderboardText = narrowed
+            ? 'Nobody has points on this leaderboard yet.'
+            : 'No members in this guild yet. Members will appear here once they join!';
     }
 
-    return new EmbedBuilder()
+    const embed = new EmbedBuilder()
         .setColor('#0099ff')
-        .setTitle('🏆 Leaderboard')
-        .setDescription(leaderboardText)
+        .setTitle(periodLabel ? `🏆 Leaderboard - ${periodLabel}` : '🏆 Leaderboard')
         .setFooter({ text: `Page ${page}/${totalPages}` })
         .setTimestamp();
+
+    // The card replaces the text lines when there is a page to draw
+    if (image && pageUsers.length > 0) {
+        return embed.setImage(`attachment://${CARD_FILE_NAME}`);
+    }
+    return embed.setDescription(leaderboardText);
+}
+
+// Discord CDN avatars can be asked for as a small PNG, the only format the card decodes
+function toPngAvatarUrl(url) {
+    try {
+        const parsed = new URL(url);
+        if (/(^|\.)discord(app)?\.(com|net)$/.test(parsed.hostname)) {
+            parsed.pathname = parsed.pathname.replace(/\.(webp|jpe?g|gif)$/i, '.png');
+            parsed.searchParams.set('size', '64');
+        }
+        return parsed.toString();
+    } catch (error) {
+        return null;
+    }
+}
+
+async function fetchImage(url) {
+    if (!url) return null;
+    try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(AVATAR_TIMEOUT_MS) });
+        if (!response.ok) return null;
+        return Buffer.from(await response.arrayBuffer());
+    } catch (error) {
+        console.warn(`⚠ Could not fetch avatar ${url}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Avatar PNG for a leaderboard entry: the stored avatar_url first, then the member's Discord avatar
+ */
+async function loadAvatar(client, entry) {
+    const stored = entry.members?.avatar_url ? await fetchImage(toPngAvatarUrl(entry.members.avatar_url)) : null;
+    if (stored) return stored;
+
+    try {
+        // member_id is the Discord user ID
+        const user = await client.users.fetch(String(entry.member_id));
+        return await fetchImage(user.displayAvatarURL({ extension: 'png', size: 64, forceStatic: true }));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Render one leaderboard page (10 rows) as a PNG attachment for buildLeaderboardEmbed's image mode
+ */
+async function buildLeaderboardCard(client, leaderboardData, page = 1, { periodLabel = null, highlightMemberId = null } = {}) {
+    const startIndex = (page - 1) * 10;
+    const pageUsers = leaderboardData.slice(startIndex, startIndex + 10);
+    const avatars = await Promise.all(pageUsers.map(entry => loadAvatar(client, entry)));
+
+    const png = renderLeaderboardCard({
+        title: 'Leaderboard',
+        subtitle: periodLabel || 'All Time',
+        rows: pageUsers.map((entry, index) => ({
+            rank: startIndex + index + 1,
+            name: entry.members?.display_name || entry.members?.username || 'Unknown',
+            points: entry.points,
+            avatar: avatars[index],
+            highlight: highlightMemberId !== null && String(entry.member_id) === String(highlightMemberId),
+        })),
+    });
+
+    return new AttachmentBuilder(png, { name: CARD_FILE_NAME });
 }
 
-function getLeaderboardButtons(page = 1, totalPages = 1) {
+function getLeaderboardButtons(page = 1, totalPages = 1, state = {}) {
+    const suffix = encodeLeaderboardState(state);
     return new ActionRowBuilder().addComponents(
         new ButtonBuilder()
-            .setCustomId(`leaderboard_back_${page}`)
+            .setCustomId(`leaderboard_back_${page}_${suffix}`)
             .setLabel('Back')
             .setStyle(ButtonStyle.Primary)
             .setDisabled(page === 1),
         new ButtonBuilder()
-            .setCustomId(`leaderboard_next_${page}`)
+            .setCustomId(`leaderboard_next_${page}_${suffix}`)
             .setLabel('Next')
             .setStyle(ButtonStyle.Primary)
-            .setDisabled(page === totalPages)
+            .setDisabled(page === totalPages),
+        new ButtonBuilder()
+            .setCustomId(`leaderboard_me_${page}_${suffix}`)
+            .setLabel('📍 Jump to me')
+            .setStyle(ButtonStyle.Secondary)
     );
 }
 
+/**
+ * @param {Object} pointsData - { points, last_update, rank, totalRanked, weekPoints, streak }
+ *        streak is a solve streak summary from solveStreaks.getStreakSummary
+ */
 function buildMyPointsEmbed(memberData, pointsData) {
     const username = memberData?.display_name || memberData?.username || 'Unknown';
     const totalPoints = pointsData?.points || 0;
     const lastUpdate = pointsData?.last_update ? new Date(pointsData.last_update).toLocaleString('en-US', { timeZone: 'Asia/Kolkata' }) : 'Never';
+    const weekPoints = pointsData?.weekPoints || 0;
+    let rankText = 'Unranked';
+    if (pointsData?.rank) {
+        // Share of ranked members at or above this position
+        const topPercent = Math.max(1, Math.ceil((pointsData.rank / pointsData.totalRanked) * 100));
+        rankText = `#${pointsData.rank} of ${pointsData.totalRanked} (Top ${topPercent}%)`;
+    }
     
-    return new EmbedBuilder()
+    const embed = new EmbedBuilder()
         .setColor('#00ff00')
         .setTitle('📊 Your Points & Statistics')
         .setDescription(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━`)
         .addFields(
             { name: '👤 Username', value: `\`${username}\``, inline: false },
             { name: '⭐ Total Points', value: `\`\`\`${totalPoints} points\`\`\``, inline: false },
-            { name: '📅 Last Update', value: `\`${lastUpdate}\``, inline: false }
+            { name: '🏅 Rank', value: `\`${rankText}\``, inline: true },
+            { name: '📈 This Week', value: `\`${weekPoints >= 0 ? '+' : ''}${weekPoints} points\``, inline: true },
+            { name: '📅 Last Award', value: `\`${lastUpdate}\``, inline: false }
         )
         .setFooter({ text: 'Keep earning points to climb the leaderboard! 🚀' })
         .setTimestamp();
+
+    if (pointsData?.streak) {
+        embed.addFields(...buildStreakFields(pointsData.streak));
+    }
+    return embed;
+}
+
+/**
+ * Solve streak fields shared by the member and rookie /mypoints embeds
+ */
+function buildStreakFields(streak) {
+    const fields = [
+        { name: '🔥 Solve Streak', value: `\`${streak.current} day${streak.current === 1 ? '' : 's'} (best ${streak.longest})\``, inline: true },
+        { name: '❄️ Streak Freezes', value: `\`${streak.freezes}/${streak.maxFreezes}\``, inline: true },
+    ];
+    if (streak.badge) {
+        fields.push({ name: '🎖️ Streak Badge', value: `${streak.badge.badge} ${streak.badge.name}`, inline: true });
+    }
+    return fields;
 }
 
 module.exports = {
+    LEADERBOARD_PERIODS,
+    LEADERBOARD_FILTERS,
+    resolveLeaderboardPeriod,
+    applyLeaderboardFilters,
+    encodeLeaderboardState,
+    decodeLeaderboardState,
+    loadLeaderboard,
+    findLeaderboardPosition,
     buildLeaderboardEmbed,
+    buildLeaderboardCard,
     getLeaderboardButtons,
     buildMyPointsEmbed,
+    buildStreakFields,
 };
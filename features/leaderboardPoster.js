@@ -0,0 +1,178 @@
+const { EmbedBuilder } = require('discord.js');
+const { registerJob, isValidCronExpression } = require('../utils/scheduler');
+const { saveLeaderboardSnapshot, getLatestLeaderboardSnapshot } = require('../database/db');
+const { loadLeaderboard } = require('./leaderboard');
+const { findAnnouncementsChannel } = require('./birthdayAnnouncement');
+
+const DEFAULT_CRON = '0 18 * * 0'; // Sundays at 6:00 PM
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+function getPostSettings() {
+    const cron = (process.env.LEADERBOARD_POST_CRON || DEFAULT_CRON).trim();
+    const period = (process.env.LEADERBOARD_POST_PERIOD || 'all').trim().toLowerCase();
+    const topN = parseInt(process.env.LEADERBOARD_POST_TOP || '10', 10);
+
+    if (!isValidCronExpression(cron)) {
+        console.warn(`⚠ Invalid LEADERBOARD_POST_CRON "${cron}", using "${DEFAULT_CRON}"`);
+    }
+
+    return {
+        cron: isValidCronExpression(cron) ? cron : DEFAULT_CRON,
+        // Custom periods need dates, so only the rolling ones make sense here
+        period: ['week', 'month', 'all'].includes(period) ? period : 'all',
+        topN: Number.isInteger(topN) && topN > 0 ? Math.min(topN, 25) : 10,
+    };
+}
+
+/**
+ * Compare a ranking with the previous snapshot
+ * @param {Array} leaderboardData - Ranked entries from loadLeaderboard
+ * @param {Object|null} previousSnapshot - Latest row from leaderboard_snapshots
+ * @param {number} topN - Size of the posted list
+ * @returns {{rows: Array, biggestClimber: Object|null, newEntrants: Array}}
+ */
+function computeRankChanges(leaderboardData, previousSnapshot, topN) {
+    const previousRanks = new Map(
+        (previousSnapshot?.entries || []).map(entry => [String(entry.member_id), entry.rank])
+    );
+
+    const ranked = leaderboardData.map((entry, index) => {
+        const rank = index + 1;
+        const previousRank = previousRanks.get(String(entry.member_id)) ?? null;
+        return {
+            member_id: entry.member_id,
+            name: entry.members?.display_name || entry.members?.username || 'Unknown',
+            points: entry.points,
+            rank,
+            previousRank,
+            change: previousRank === null ? null : previousRank - rank,
+        };
+    });
+
+    const rows = ranked.slice(0, topN);
+    if (!previousSnapshot) {
+        return { rows, biggestClimber: null, newEntrants: [] };
+    }
+
+    const biggestClimber = ranked
+        .filter(row => row.change > 0)
+        .sort((a, b) => b.change - a.change || a.rank - b.rank)[0] || null;
+    const newEntrants = rows.filter(row => row.previousRank === null || row.previousRank > topN);
+
+    return { rows, biggestClimber, newEntrants };
+}
+
+function formatChange(row, hasPrevious) {
+    if (!hasPrevious) return '';
+    if (row.previousRank === null) return '🆕';
+    if (row.change > 0) return `🔼${row.change}`;
+    if (row.change < 0) return `🔽${Math.abs(row.change)}`;
+    return '➖';
+}
+
+function buildLeaderboardPostEmbed({ rows, biggestClimber, newEntrants }, { label, topN, previousSnapshot }) {
+    const hasPrevious = Boolean(previousSnapshot);
+    const lines = rows.map(row => {
+        const badge = MEDALS[row.rank - 1] || `**${row.rank})**`;
+        const change = formatChange(row, hasPrevious);
+        return `${badge} **${row.name}** - ${row.points} points ${change}`.trimEnd();
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor('#f1c40f')
+        .setTitle(`🏆 Top ${topN} - ${label}`)
+        .setDescription(lines.join('\n') || 'Nobody has points on this leaderboard yet.')
+        .setFooter({
+            text: hasPrevious
+                ? `Changes since ${new Date(previousSnapshot.taken_at).toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata' })}`
+                : 'First leaderboard post - rank changes show from next time',
+        })
+        .setTimestamp();
+
+    if (biggestClimber) {
+        embed.addFields({
+            name: '🚀 Biggest Climber',
+            value: `**${biggestClimber.name}** climbed ${biggestClimber.change} place${biggestClimber.change === 1 ? '' : 's'} to #${biggestClimber.rank}`,
+            inline: false,
+        });
+    }
+
+    if (newEntrants.length > 0) {
+        embed.addFields({
+            name: `🌟 New in the Top ${topN}`,
+            value: newEntrants.map(row => `**${row.name}** (#${row.rank})`).join(', '),
+            inline: false,
+        });
+    }
+
+    return embed;
+}
+
+/**
+ * Post the leaderboard to every guild's announcements channel and snapshot the ranking
+ */
+async function postScheduledLeaderboard(client) {
+    const { period, topN } = getPostSettings();
+    // The snapshot keeps every ranked member so the next post's deltas aren't limited to a top slice
+    const leaderboard = await loadLeaderboard({ period }, { limit: null });
+    if (leaderboard.error) {
+        console.error(`❌ Could not load leaderboard for scheduled post: ${leaderboard.error}`);
+        return;
+    }
+
+    const previousSnapshot = await getLatestLeaderboardSnapshot(period);
+    const changes = computeRankChanges(leaderboard.data, previousSnapshot, topN);
+    const embed = buildLeaderboardPostEmbed(changes, { label: leaderboard.label, topN, previousSnapshot });
+
+    let postedCount = 0;
+    for (const guild of client.guilds.cache.values()) {
+        const channel = findAnnouncementsChannel(guild);
+        if (!channel) {
+            console.warn(`⚠ No announcements channel found in ${guild.name}`);
+            continue;
+        }
+
+        try {
+            await channel.send({ embeds: [embed] });
+            postedCount++;
+            console.log(`✓ Leaderboard posted in ${guild.name} > #${channel.name}`);
+        } catch (error) {
+            console.error(`Error posting leaderboard to ${guild.name}:`, error.message);
+        }
+    }
+
+    // Only a posted ranking becomes the baseline for the next post's deltas
+    if (postedCount > 0) {
+        await saveLeaderboardSnapshot({
+            period,
+            entries: leaderboard.data.map((entry, index) => ({
+                member_id: entry.member_id,
+                rank: index + 1,
+                points: entry.points,
+            })),
+        });
+    }
+}
+
+/**
+ * Initialize the scheduled leaderboard post
+ */
+function handleLeaderboardPoster(client) {
+    client.once('ready', () => {
+        const { cron, period, topN } = getPostSettings();
+        registerJob({
+            name: 'leaderboard-post',
+            cron,
+            description: `Post the top ${topN} (${period}) with rank changes to #announcements`,
+            catchUpWindowMinutes: 12 * 60,
+            run: () => postScheduledLeaderboard(client),
+        });
+        console.log('✓ Scheduled leaderboard post initialized');
+    });
+}
+
+module.exports = {
+    handleLeaderboardPoster,
+    postScheduledLeaderboard,
+    computeRankChanges,
+};
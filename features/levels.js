@@ -0,0 +1,197 @@
+const { EmbedBuilder } = require('discord.js');
+const { getAllPoints, getPoints, updateMemberLevel } = require('../database/db');
+const { registerJob } = require('../utils/scheduler');
+const { findMemberForUser } = require('./pointsHistory');
+const { findCheersChannel } = require('./achievements');
+
+// "name:points[:roleId]" entries; the role is optional and given to members at that level
+const DEFAULT_LEVELS = 'Newcomer:0,Bronze:50,Silver:150,Gold:300,Platinum:600,Diamond:1000';
+const LEVEL_SYNC_CRON = '*/10 * * * *';
+const PROGRESS_BAR_LENGTH = 10;
+
+function parseLevels(text) {
+    const levels = text
+        .split(',')
+        .map(entry => entry.split(':').map(part => part.trim()))
+        .filter(([name, points]) => name && Number.isInteger(Number(points)) && points !== '')
+        .map(([name, points, roleId]) => ({ name, minPoints: Number(points), roleId: roleId || null }))
+        .sort((a, b) => a.minPoints - b.minPoints);
+
+    if (levels.length === 0) {
+        console.warn(`⚠ No valid levels in BELMONTS_LEVELS, using "${DEFAULT_LEVELS}"`);
+        return parseLevels(DEFAULT_LEVELS);
+    }
+    return levels;
+}
+
+const LEVELS = parseLevels(process.env.BELMONTS_LEVELS || DEFAULT_LEVELS);
+
+/**
+ * Level for a points balance; below the first threshold counts as the first level
+ * @returns {{level: Object, index: number, next: Object|null}}
+ */
+function getLevelForPoints(points) {
+    let index = 0;
+    LEVELS.forEach((level, i) => {
+        if (points >= level.minPoints) index = i;
+    });
+    return { level: LEVELS[index], index, next: LEVELS[index + 1] || null };
+}
+
+function findLevelIndex(name) {
+    if (!name) return -1;
+    return LEVELS.findIndex(level => level.name.toLowerCase() === String(name).trim().toLowerCase());
+}
+
+/**
+ * Give the member the role for their level and take away the other level roles
+ */
+async function syncLevelRoles(client, memberId, level) {
+    const ladderRoleIds = LEVELS.map(entry => entry.roleId).filter(Boolean);
+    if (ladderRoleIds.length === 0) return;
+
+    for (const guild of client.guilds.cache.values()) {
+        const guildMember = await guild.members.fetch(String(memberId)).catch(() => null);
+        if (!guildMember) continue;
+
+        try {
+            const staleRoles = ladderRoleIds.filter(roleId => roleId !== level.roleId && guildMember.roles.cache.has(roleId));
+            if (staleRoles.length > 0) {
+                await guildMember.roles.remove(staleRoles, `Belmonts level is now ${level.name}`);
+            }
+            if (level.roleId && !guildMember.roles.cache.has(level.roleId)) {
+                await guildMember.roles.add(level.roleId, `Reached Belmonts level ${level.name}`);
+            }
+        } catch (error) {
+            console.error(`Error updating level roles for ${guildMember.user.username}:`, error.message);
+        }
+    }
+}
+
+async function announceLevelUp(client, member, level, points) {
+    const embed = new EmbedBuilder()
+        .setColor('#3498db')
+        .setTitle('⬆️ Level Up!')
+        .setDescription(`<@${member.member_id}> reached **${level.name}** with **${points} points**! 🎉`)
+        .setFooter({ text: 'See the ladder with /levels' })
+        .setTimestamp();
+
+    for (const guild of client.guilds.cache.values()) {
+        const channel = findCheersChannel(guild);
+        if (!channel) continue;
+        try {
+            await channel.send({ content: `<@${member.member_id}>`, embeds: [embed] });
+            return;
+        } catch (error) {
+            console.error('Could not announce level up:', error.message);
+        }
+    }
+    console.warn('⚠ chamber-of-cheers channel not found, level up not announced');
+}
+
+/**
+ * Bring every member's belmonts_level and level role in line with their points.
+ * Moving up from a ladder level is announced; first assignments and drops are applied quietly.
+ * @returns {Promise<number>} Members whose level changed
+ */
+async function syncLevels(client) {
+    const members = await getAllPoints();
+    let changed = 0;
+
+    for (const member of members) {
+        const points = member.belmonts_points || 0;
+        const { level, index } = getLevelForPoints(points);
+        // Roles are checked on every sync, so roles configured later and failed role updates catch up
+        await syncLevelRoles(client, member.member_id, level);
+        if (member.belmonts_level === level.name) continue;
+
+        const updated = await updateMemberLevel(member.member_id, level.name);
+        if (!updated) continue;
+        changed++;
+
+        const previousIndex = findLevelIndex(member.belmonts_level);
+        if (previousIndex !== -1 && index > previousIndex) {
+            await announceLevelUp(client, member, level, points);
+        }
+    }
+
+    if (changed > 0) {
+        console.log(`✓ Updated Belmonts level for ${changed} member(s)`);
+    }
+    return changed;
+}
+
+function buildProgressBar(fraction) {
+    const filled = Math.round(Math.min(Math.max(fraction, 0), 1) * PROGRESS_BAR_LENGTH);
+    return `${'█'.repeat(filled)}${'░'.repeat(PROGRESS_BAR_LENGTH - filled)}`;
+}
+
+/**
+ * Build the /levels embed: the caller's progress towards the next level and the whole ladder
+ */
+function buildLevelsEmbed(points) {
+    const { level, index, next } = getLevelForPoints(points);
+
+    let progressText;
+    if (next) {
+        const fraction = (points - level.minPoints) / (next.minPoints - level.minPoints);
+        progressText = `**${level.name}** → **${next.name}**\n` +
+            `\`${buildProgressBar(fraction)}\` ${Math.floor(Math.max(fraction, 0) * 100)}%\n` +
+            `${points}/${next.minPoints} points • ${next.minPoints - points} to go`;
+    } else {
+        progressText = `**${level.name}**\n\`${buildProgressBar(1)}\` Top level reached with ${points} points! 👑`;
+    }
+
+    const ladder = LEVELS.map((entry, i) => {
+        const marker = i < index ? '✅' : i === index ? '▶️' : '🔒';
+        const role = entry.roleId ? ` • <@&${entry.roleId}>` : '';
+        return `${marker} **${entry.name}** - ${entry.minPoints}+ points${role}`;
+    });
+
+    return new EmbedBuilder()
+        .setColor('#3498db')
+        .setTitle('🪜 Belmonts Levels')
+        .addFields(
+            { name: '📈 Your Progress', value: progressText, inline: false },
+            { name: 'Ladder', value: ladder.join('\n'), inline: false }
+        )
+        .setFooter({ text: 'Levels follow your total points' })
+        .setTimestamp();
+}
+
+/**
+ * Handle /levels
+ */
+async function handleLevelsCommand(interaction) {
+    const memberData = await findMemberForUser(interaction.user);
+    if (!memberData) {
+        return interaction.editReply({ content: '❌ You are not in the members database yet, so you have no level. Please contact an admin to add you.' });
+    }
+
+    const points = await getPoints(memberData.member_id);
+    return interaction.editReply({ embeds: [buildLevelsEmbed(points)] });
+}
+
+/**
+ * Initialize level syncing
+ */
+function handleLevels(client) {
+    client.once('ready', () => {
+        registerJob({
+            name: 'level-sync',
+            cron: LEVEL_SYNC_CRON,
+            description: 'Update Belmonts levels and level roles from points',
+            catchUpWindowMinutes: 60,
+            run: () => syncLevels(client),
+        });
+        console.log(`✓ Level sync initialized (${LEVELS.map(level => level.name).join(' → ')})`);
+    });
+}
+
+module.exports = {
+    LEVELS,
+    getLevelForPoints,
+    handleLevels,
+    handleLevelsCommand,
+    syncLevels,
+};
@@ -0,0 +1,84 @@
+const { EmbedBuilder } = require('discord.js');
+const { EXCLUSION_SCOPES, getMemberExclusions, addMemberExclusion, removeMemberExclusion } = require('../database/db');
+const { findMemberForUser } = require('./pointsHistory');
+
+const SCOPE_LABELS = {
+    leaderboard: '🏆 Leaderboard',
+    birthdays: '🎂 Birthdays',
+    reports: '📊 Reports',
+};
+
+function getScopes(scopeOption) {
+    return scopeOption === 'all' ? EXCLUSION_SCOPES : [scopeOption];
+}
+
+function buildExclusionsEmbed(exclusions) {
+    const embed = new EmbedBuilder()
+        .setColor('#95a5a6')
+        .setTitle('🚫 Member Exclusions')
+        .setTimestamp();
+
+    if (exclusions.length === 0) {
+        return embed.setDescription('No members are excluded.');
+    }
+
+    EXCLUSION_SCOPES.forEach(scope => {
+        const lines = exclusions
+            .filter(exclusion => exclusion.scope === scope)
+            .map(exclusion => {
+                const name = exclusion.members?.display_name || exclusion.members?.username || exclusion.member_id;
+                return `<@${exclusion.member_id}> (${name})${exclusion.reason ? ` - ${exclusion.reason}` : ''}`;
+            });
+        if (lines.length > 0) {
+            embed.addFields({ name: SCOPE_LABELS[scope], value: lines.join('\n').slice(0, 1024), inline: false });
+        }
+    });
+
+    return embed;
+}
+
+/**
+ * Handle /exclusions add|remove|list (staff only)
+ */
+async function handleExclusionsCommand(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'list') {
+        const exclusions = await getMemberExclusions();
+        return interaction.editReply({ embeds: [buildExclusionsEmbed(exclusions)] });
+    }
+
+    const user = interaction.options.getUser('member');
+    const member = await findMemberForUser(user);
+    if (!member) {
+        return interaction.editReply({ content: `❌ ${user.username} is not in the members database.` });
+    }
+
+    const scopes = getScopes(interaction.options.getString('scope'));
+    const scopeText = scopes.map(scope => SCOPE_LABELS[scope]).join(', ');
+
+    if (subcommand === 'add') {
+        const reason = interaction.options.getString('reason');
+        const results = await Promise.all(scopes.map(scope =>
+            addMemberExclusion(member.member_id, scope, { reason, addedBy: interaction.user.username })
+        ));
+        if (results.some(result => !result)) {
+            return interaction.editReply({ content: '❌ The exclusion could not be saved. Check the logs and try again.' });
+        }
+        return interaction.editReply({ content: `🚫 <@${user.id}> is now excluded from: ${scopeText}.` });
+    }
+
+    if (subcommand === 'remove') {
+        const results = await Promise.all(scopes.map(scope => removeMemberExclusion(member.member_id, scope)));
+        if (!results.some(Boolean)) {
+            return interaction.editReply({ content: `ℹ️ <@${user.id}> wasn't excluded from ${scopeText}.` });
+        }
+        return interaction.editReply({ content: `✅ <@${user.id}> is included again in: ${scopeText}.` });
+    }
+
+    return interaction.editReply({ content: '❌ Unknown subcommand.' });
+}
+
+module.exports = {
+    handleExclusionsCommand,
+};
@@ -0,0 +1,234 @@
+const chrono = require('chrono-node');
+const { registerJob, unregisterJob } = require('../utils/scheduler');
+const { formatTimeInTimeZone, getTimeZoneOffsetMinutes } = require('../utils/timezoneUtils');
+const { createMemberReminder, getPendingMemberReminders, markMemberReminderDelivered } = require('../database/db');
+
+// "remind me in 2 hours to stretch", "remind me to submit tomorrow at 9am"
+const MESSAGE_TRIGGER = /^\s*remind\s+me\b\s*(.+)$/is;
+// "remind me by dm in 2 hours to ..." asks for a DM instead of a channel reply
+const DM_FLAG = /\s*\b(?:by|via|in)\s+dms?\b/i;
+const MAX_REMINDER_DAYS = 365;
+const MAX_MESSAGE_LENGTH = 1000;
+
+let reminderClient = null;
+let localReminderId = 0;
+
+/**
+ * Parse "in 2 hours to stretch" into a time and a task, in Asia/Kolkata
+ * @param {string} text - Free text containing a time expression
+ * @param {Date} now - Reference time
+ * @returns {{ remindAt: Date, task: string, matchedText: string } | null}
+ */
+function parseReminderRequest(text, now = new Date()) {
+    const results = chrono.parse(
+        text,
+        { instant: now, timezone: getTimeZoneOffsetMinutes(now) },
+        { forwardDate: true }
+    );
+    const result = results[0];
+    if (!result) return null;
+
+    const task = (text.slice(0, result.index) + ' ' + text.slice(result.index + result.text.length))
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^(to|that|about)\s+/i, '')
+        .replace(/\s+(to|that|about)$/i, '')
+        .trim();
+
+    return { remindAt: result.date(), task, matchedText: result.text };
+}
+
+/**
+ * Check a parsed request and return an error message if it can't be scheduled
+ */
+function validateReminderRequest(parsed, task, now = new Date()) {
+    if (!parsed) {
+        return 'I couldn\'t understand when to remind you. Try something like `in 2 hours`, `tomorrow at 9am` or `next friday 18:00`.';
+    }
+    if (!task) {
+        return 'What should I remind you about? Try `remind me in 2 hours to stretch`.';
+    }
+    if (task.length > MAX_MESSAGE_LENGTH) {
+        return `Reminders can be at most ${MAX_MESSAGE_LENGTH} characters long.`;
+    }
+    if (parsed.remindAt <= now) {
+        return `That time (${formatTimeInTimeZone(parsed.remindAt)} IST) is already in the past.`;
+    }
+    if (parsed.remindAt - now > MAX_REMINDER_DAYS * 24 * 60 * 60 * 1000) {
+        return `Reminders can be set at most ${MAX_REMINDER_DAYS} days ahead.`;
+    }
+    return null;
+}
+
+function formatReminderTime(date) {
+    const unix = Math.floor(date.getTime() / 1000);
+    return `<t:${unix}:F> (<t:${unix}:R>, ${formatTimeInTimeZone(date)} IST)`;
+}
+
+/**
+ * Deliver a reminder by DM, falling back to its channel
+ */
+async function deliverReminder(client, reminder) {
+    const content = `⏰ <@${reminder.user_id}> Reminder: **${reminder.message}**`;
+    let delivered = false;
+
+    if (reminder.delivery === 'dm') {
+        try {
+            const user = await client.users.fetch(reminder.user_id);
+            await user.send({ content });
+            delivered = true;
+        } catch (error) {
+            console.warn(`⚠ Could not DM reminder to ${reminder.user_id}, falling back to channel:`, error.message);
+        }
+    }
+
+    if (!delivered && reminder.channel_id) {
+        try {
+            const channel = client.channels.cache.get(reminder.channel_id)
+                || await client.channels.fetch(reminder.channel_id);
+            if (channel && channel.isTextBased()) {
+                await channel.send({ content, allowedMentions: { users: [reminder.user_id] } });
+                delivered = true;
+            }
+        } catch (error) {
+            console.error(`Error sending reminder to channel ${reminder.channel_id}:`, error.message);
+        }
+    }
+
+    if (!delivered) {
+        console.warn(`⚠ Reminder ${reminder.reminder_id} for ${reminder.user_id} could not be delivered`);
+    }
+
+    if (typeof reminder.reminder_id === 'number') {
+        await markMemberReminderDelivered(reminder.reminder_id);
+    }
+    unregisterJob(`remindme:${reminder.reminder_id}`, { forget: true });
+}
+
+function scheduleMemberReminder(client, reminder) {
+    registerJob({
+        name: `remindme:${reminder.reminder_id}`,
+        at: reminder.remind_at,
+        description: `Personal reminder for ${reminder.username || reminder.user_id}`,
+        group: 'remindme',
+        personal: true,
+        run: () => deliverReminder(client, reminder),
+    });
+}
+
+/**
+ * Save and schedule a reminder
+ * @returns {Object} The stored reminder (kept in memory only without a database)
+ */
+async function createReminder({ user, guildId, channelId, message, remindAt, delivery, source }) {
+    const reminderData = {
+        user_id: user.id,
+        username: user.username,
+        guild_id: guildId || null,
+        channel_id: channelId || null,
+        message,
+        remind_at: remindAt.toISOString(),
+        delivery,
+        source,
+    };
+
+    const stored = await createMemberReminder(reminderData);
+    const reminder = stored || { ...reminderData, reminder_id: `local-${++localReminderId}` };
+
+    scheduleMemberReminder(reminderClient, reminder);
+    return reminder;
+}
+
+/**
+ * Handle /remindme <when> <what> [delivery]
+ */
+async function handleRemindMeCommand(interaction) {
+    const when = interaction.options.getString('when');
+    const what = interaction.options.getString('what').trim();
+    const delivery = interaction.options.getString('delivery') || 'dm';
+    const now = new Date();
+
+    const parsed = parseReminderRequest(when, now);
+    const error = validateReminderRequest(parsed, what, now);
+    if (error) {
+        return interaction.editReply({ content: `❌ ${error}` });
+    }
+
+    await createReminder({
+        user: interaction.user,
+        guildId: interaction.guildId,
+        channelId: interaction.channelId,
+        message: what,
+        remindAt: parsed.remindAt,
+        delivery,
+        source: 'command',
+    });
+
+    const where = delivery === 'dm' ? 'by DM' : 'in this channel';
+    return interaction.editReply({
+        content: `✅ Got it! I'll remind you ${where} on ${formatReminderTime(parsed.remindAt)}:\n> ${what}`
+    });
+}
+
+/**
+ * Initialize personal reminders
+ */
+function handlePersonalReminders(client) {
+    reminderClient = client;
+
+    client.once('ready', async () => {
+        const pending = await getPendingMemberReminders();
+        for (const reminder of pending) {
+            scheduleMemberReminder(client, reminder);
+        }
+        console.log(`✓ Personal reminders initialized (${pending.length} pending)`);
+    });
+
+    client.on('messageCreate', async (message) => {
+        if (message.author.bot) return;
+
+        const match = MESSAGE_TRIGGER.exec(message.content);
+        if (!match) return;
+
+        const wantsDm = DM_FLAG.test(match[1]) || !message.guildId;
+        const now = new Date();
+        const parsed = parseReminderRequest(match[1].replace(DM_FLAG, ' '), now);
+        // Without a future time it's most likely just chat ("remind me what we said yesterday"), so don't answer
+        if (!parsed || parsed.remindAt <= now) return;
+
+        const error = validateReminderRequest(parsed, parsed.task, now);
+        if (error) {
+            try {
+                await message.reply({ content: `❌ ${error}` });
+            } catch (replyError) {
+                console.error('Could not send reminder error reply:', replyError.message);
+            }
+            return;
+        }
+
+        try {
+            await createReminder({
+                user: message.author,
+                guildId: message.guildId,
+                channelId: message.channelId,
+                message: parsed.task,
+                remindAt: parsed.remindAt,
+                delivery: wantsDm ? 'dm' : 'channel',
+                source: 'message',
+            });
+
+            const where = wantsDm ? 'by DM' : 'here';
+            await message.reply({
+                content: `✅ Got it! I'll remind you ${where} on ${formatReminderTime(parsed.remindAt)}:\n> ${parsed.task}`
+            });
+        } catch (createError) {
+            console.error('Error creating reminder from message:', createError);
+        }
+    });
+}
+
+module.exports = {
+    handlePersonalReminders,
+    handleRemindMeCommand,
+    parseReminderRequest,
+};
@@ -0,0 +1,190 @@
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { addPoints, setPoints, transferPoints, reversePointsTransaction } = require('../database/db');
+const { findMemberForUser } = require('./pointsHistory');
+
+const REPORTS_CHANNEL_ID = '1475575831601610862';
+
+// Role names allowed to use /points, e.g. "admin,moderator". Empty means Manage Server is enough.
+const POINTS_MANAGER_ROLES = (process.env.POINTS_MANAGER_ROLES || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+const REVERSE_ERRORS = {
+    not_found: 'No points transaction with that ID.',
+    is_reversal: 'That transaction is itself a reversal and can\'t be reversed.',
+    is_transfer: 'Transfers can\'t be reversed one side at a time. Use `/points transfer` to move the points back.',
+    already_reversed: 'That transaction has already been reversed.',
+    failed: 'The reversal could not be saved. Check the logs and try again.',
+};
+
+const TRANSFER_ERRORS = {
+    insufficient: 'The sender doesn\'t have enough points.',
+    not_found: 'One of the members is not in the members database.',
+    failed: 'The transfer could not be saved. Check the logs and try again.',
+};
+
+function canManagePoints(interaction) {
+    if (interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) return true;
+    if (POINTS_MANAGER_ROLES.length === 0) {
+        return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+    }
+    return Boolean(interaction.member?.roles?.cache?.some(role => POINTS_MANAGER_ROLES.includes(role.name.trim().toLowerCase())));
+}
+
+function formatAmount(points) {
+    return points > 0 ? `+${points}` : String(points);
+}
+
+/**
+ * Post a points change to the reports channel so staff changes stay visible
+ */
+async function postPointsReport(interaction, embed) {
+    try {
+        const reportsChannel = interaction.client.channels.cache.get(REPORTS_CHANNEL_ID);
+        if (!reportsChannel || !reportsChannel.isTextBased()) {
+            console.warn('⚠ Reports channel not found, points change not reported');
+            return;
+        }
+        await reportsChannel.send({ embeds: [embed] });
+    } catch (error) {
+        console.error('Error posting points report:', error.message);
+    }
+}
+
+function buildPointsChangeEmbed(interaction, title, fields, reason) {
+    return new EmbedBuilder()
+        .setColor('#e67e22')
+        .setTitle(title)
+        .addFields(...fields, { name: 'Reason', value: reason, inline: false })
+        .setFooter({ text: `By ${interaction.user.username}` })
+        .setTimestamp();
+}
+
+async function resolveMember(interaction, optionName) {
+    const user = interaction.options.getUser(optionName);
+    const member = await findMemberForUser(user);
+    return { user, member };
+}
+
+async function handleAdjust(interaction, subcommand, reason, actor) {
+    const { user, member } = await resolveMember(interaction, 'member');
+    if (!member) {
+        return interaction.editReply({ content: `❌ ${user.username} is not in the members database.` });
+    }
+
+    const amount = interaction.options.getInteger('amount');
+    let delta;
+    let balance;
+
+    if (subcommand === 'set') {
+        const result = await setPoints(member.member_id, amount, actor);
+        if (!result) {
+            return interaction.editReply({ content: '❌ The points could not be saved. Check the logs and try again.' });
+        }
+        delta = result.delta;
+        balance = result.new_balance;
+    } else {
+        delta = subcommand === 'deduct' ? -amount : amount;
+        balance = await addPoints(member.member_id, delta, actor);
+        if (balance === null) {
+            return interaction.editReply({ content: '❌ The points could not be saved. Check the logs and try again.' });
+        }
+    }
+
+    const titles = { grant: '➕ Points granted', deduct: '➖ Points deducted', set: '✏️ Points set' };
+    const embed = buildPointsChangeEmbed(interaction, titles[subcommand], [
+        { name: 'Member', value: `<@${user.id}>`, inline: true },
+        { name: 'Change', value: formatAmount(delta), inline: true },
+        { name: 'New Balance', value: `${balance} points`, inline: true },
+    ], reason);
+
+    await postPointsReport(interaction, embed);
+    return interaction.editReply({ embeds: [embed] });
+}
+
+async function handleTransfer(interaction, reason, actor) {
+    const from = await resolveMember(interaction, 'from');
+    const to = await resolveMember(interaction, 'to');
+    const missing = [from, to].find(side => !side.member);
+    if (missing) {
+        return interaction.editReply({ content: `❌ ${missing.user.username} is not in the members database.` });
+    }
+    if (from.member.member_id === to.member.member_id) {
+        return interaction.editReply({ content: '❌ Pick two different members.' });
+    }
+
+    const amount = interaction.options.getInteger('amount');
+    const result = await transferPoints(from.member.member_id, to.member.member_id, amount, actor);
+    if (result.status !== 'transferred') {
+        return interaction.editReply({ content: `❌ ${TRANSFER_ERRORS[result.status]}` });
+    }
+
+    const embed = buildPointsChangeEmbed(interaction, '🔁 Points transferred', [
+        { name: 'From', value: `<@${from.user.id}>\n${result.fromBalance} points`, inline: true },
+        { name: 'To', value: `<@${to.user.id}>\n${result.toBalance} points`, inline: true },
+        { name: 'Amount', value: `${amount} points`, inline: true },
+    ], reason);
+
+    await postPointsReport(interaction, embed);
+    return interaction.editReply({ embeds: [embed] });
+}
+
+async function handleReverse(interaction, reason, actor) {
+    const transactionId = interaction.options.getInteger('id');
+    const result = await reversePointsTransaction(transactionId, actor);
+
+    if (result.status !== 'reversed') {
+        return interaction.editReply({ content: `❌ ${REVERSE_ERRORS[result.status]}` });
+    }
+
+    const { transaction, balance } = result;
+    const embed = buildPointsChangeEmbed(interaction, `↩️ Reversed transaction #${transaction.id}`, [
+        { name: 'Member', value: `<@${transaction.member_id}>`, inline: true },
+        { name: 'Original', value: `${formatAmount(transaction.points)} (${transaction.reason || 'legacy'})`, inline: true },
+        { name: 'New Balance', value: `${balance} points`, inline: true },
+    ], reason);
+
+    await postPointsReport(interaction, embed);
+    return interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Handle /points grant|deduct|set|transfer|reverse (staff only)
+ */
+async function handlePointsCommand(interaction) {
+    if (!canManagePoints(interaction)) {
+        return interaction.editReply({ content: '❌ You don\'t have a role that can manage points.' });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const reason = interaction.options.getString('reason').trim();
+    const actor = {
+        reason: 'manual',
+        actorId: interaction.user.id,
+        actorName: interaction.user.username,
+        note: reason,
+    };
+
+    if (!reason) {
+        return interaction.editReply({ content: '❌ A reason is required.' });
+    }
+
+    if (subcommand === 'grant' || subcommand === 'deduct' || subcommand === 'set') {
+        return handleAdjust(interaction, subcommand, reason, actor);
+    }
+
+    if (subcommand === 'transfer') {
+        return handleTransfer(interaction, reason, actor);
+    }
+
+    if (subcommand === 'reverse') {
+        return handleReverse(interaction, reason, actor);
+    }
+
+    return interaction.editReply({ content: '❌ Unknown subcommand.' });
+}
+
+module.exports = {
+    handlePointsCommand,
+};
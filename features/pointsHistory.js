@@ -0,0 +1,148 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } = require('discord.js');
+const { getMember, getMemberByDiscordUsername, getPointsHistory } = require('../database/db');
+const { formatTimeInTimeZone } = require('../utils/timezoneUtils');
+
+const ITEMS_PER_PAGE = 10;
+
+const REASON_LABELS = {
+    code_run: '🧑‍💻 Daily challenge (I Run Code)',
+    submit: '🧪 Daily challenge (/submit)',
+    meeting: '🎙️ Daily gathering',
+    hint: '💡 Hint',
+    streak: '🔥 Streak milestone',
+    manual: '🛠️ Staff adjustment',
+    transfer: '🔁 Transfer',
+    reversal: '↩️ Reversal',
+    promotion: '🎓 Rookie points carried over',
+    other: '📌 Other',
+};
+
+// Entries the member triggered themselves, so "by <name>" would only repeat them
+const SELF_SERVICE_REASONS = ['code_run', 'submit', 'hint', 'streak'];
+
+/**
+ * Find the members row for a Discord user: by Discord ID first, then by username
+ */
+async function findMemberForUser(user) {
+    return (await getMember(user.id)) || (await getMemberByDiscordUsername(user.username));
+}
+
+function formatLedgerEntry(entry) {
+    const amount = entry.points > 0 ? `+${entry.points}` : String(entry.points);
+    const label = entry.reason ? (REASON_LABELS[entry.reason] || entry.reason) : '📜 Legacy entry';
+    const when = entry.last_update || entry.updated_at;
+    const details = [];
+
+    if (entry.reversal_of) {
+        details.push(`reverses #${entry.reversal_of}`);
+    } else if (entry.reason === 'transfer' && entry.reference_id) {
+        // Transfers reference the other member
+        details.push(`${entry.points < 0 ? 'to' : 'from'} <@${entry.reference_id}>`);
+    } else if (entry.reference_id) {
+        details.push(`ref ${entry.reference_id}`);
+    }
+    if (entry.actor_name && !SELF_SERVICE_REASONS.includes(entry.reason)) {
+        details.push(`by ${entry.actor_name}`);
+    }
+    if (entry.note) {
+        details.push(`"${entry.note}"`);
+    }
+
+    const balance = entry.balance_after !== null && entry.balance_after !== undefined ? ` → ${entry.balance_after}` : '';
+    const extra = details.length > 0 ? `\n└ ${details.join(' • ')}` : '';
+    return `\`#${entry.id}\` **${amount}**${balance} • ${label} • ${when ? formatTimeInTimeZone(when, 'datetime') : 'unknown time'}${extra}`;
+}
+
+function buildPointsHistoryEmbed(member, entries, total, page, totalPages) {
+    const name = member.display_name || member.username || 'Unknown';
+    const description = entries.length > 0
+        ? entries.map(formatLedgerEntry).join('\n').slice(0, 4096)
+        : 'No points transactions yet.';
+
+    return new EmbedBuilder()
+        .setColor('#0099ff')
+        .setTitle(`📒 Points History - ${name}`)
+        .setDescription(description)
+        .addFields({ name: '⭐ Current Balance', value: `${member.belmonts_points || 0} points`, inline: true })
+        .setFooter({ text: `Page ${page}/${totalPages} • ${total} transaction${total === 1 ? '' : 's'}` })
+        .setTimestamp();
+}
+
+function getPointsHistoryButtons(discordUserId, page, totalPages) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`phistory_${discordUserId}_${page - 1}`)
+            .setLabel('⬅️ Newer')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(page <= 1),
+        new ButtonBuilder()
+            .setCustomId(`phistory_${discordUserId}_${page + 1}`)
+            .setLabel('Older ➡️')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(page >= totalPages)
+    );
+}
+
+async function getHistoryPage(user, page) {
+    const member = await findMemberForUser(user);
+    if (!member) return null;
+
+    const currentPage = Math.max(page, 1);
+    const { entries, total } = await getPointsHistory(member.member_id, {
+        limit: ITEMS_PER_PAGE,
+        offset: (currentPage - 1) * ITEMS_PER_PAGE,
+    });
+    const totalPages = Math.max(1, Math.ceil(total / ITEMS_PER_PAGE));
+
+    return {
+        embed: buildPointsHistoryEmbed(member, entries, total, currentPage, totalPages),
+        buttons: getPointsHistoryButtons(user.id, currentPage, totalPages),
+    };
+}
+
+function canViewOthers(interaction) {
+    return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+}
+
+/**
+ * Handle /pointshistory [member]; only staff can look at someone else's ledger
+ */
+async function handlePointsHistoryCommand(interaction) {
+    const target = interaction.options.getUser('member') || interaction.user;
+
+    if (target.id !== interaction.user.id && !canViewOthers(interaction)) {
+        return interaction.editReply({ content: '❌ You can only view your own points history.' });
+    }
+
+    const result = await getHistoryPage(target, 1);
+    if (!result) {
+        return interaction.editReply({ content: `❌ ${target.id === interaction.user.id ? 'You are' : `${target.username} is`} not in the members database.` });
+    }
+
+    return interaction.editReply({ embeds: [result.embed], components: [result.buttons] });
+}
+
+/**
+ * Handle phistory_<discordUserId>_<page> buttons
+ */
+async function handlePointsHistoryButton(interaction) {
+    const [, discordUserId, page] = interaction.customId.split('_');
+
+    if (discordUserId !== interaction.user.id && !canViewOthers(interaction)) {
+        return interaction.reply({ content: '❌ Use `/pointshistory` to see your own history.', ephemeral: true });
+    }
+
+    const user = await interaction.client.users.fetch(discordUserId);
+    const result = await getHistoryPage(user, parseInt(page));
+    if (!result) {
+        return interaction.reply({ content: '❌ Member not found.', ephemeral: true });
+    }
+
+    return interaction.update({ embeds: [result.embed], components: [result.buttons] });
+}
+
+module.exports = {
+    handlePointsHistoryCommand,
+    handlePointsHistoryButton,
+    findMemberForUser,
+};
@@ -1,155 +1,239 @@
-const { getMemberByDiscordUsername, addPoints, incrementProblemsSolved } = require('../database/db');
-const { TIMEZONE } = require('../utils/timezoneUtils');
-const fs = require('fs');
-const path = require('path');
+const { getMemberByDiscordUsername, addPoints, incrementProblemsSolved, recordDailyQuestionSolve, deleteDailyQuestionSolve, getRookie, recordRookieActivity, awardRookiePoints } = require('../database/db');
+const { getDateKeyInTimeZone } = require('../utils/timezoneUtils');
+const { VERDICTS, judgeAnswer } = require('../utils/answerChecker');
+const { hasHiddenTests, runQuestionTests } = require('../utils/questionTests');
+const { getTodaysQuestion } = require('./questionResolver');
+const { recordStreakSolve, formatStreakUpdate } = require('./solveStreaks');
+const { trackAchievement } = require('./achievements');
 
 const VIBE_CODING_CHANNEL_ID = '1362052133570220123';
 const MOTIVATION_MESSAGE = '💪 Keep going! Errors are part of learning. Fix it and try again!';
-const ROOKIES_DATA = path.join(__dirname, '../json/rookiesData.json');
-const DAILY_POINTS_FILE = path.join(__dirname, '../json/dailyPoints.json');
 const ROOKIE_ROLE_NAME = (process.env.ROOKIE_ROLE_NAME || 'rookies').trim().toLowerCase();
+const DAILY_CHALLENGE_POINTS = 5; // 5 points for a correct answer to today's question
+const LANGUAGE_ALIASES = {
+    js: 'javascript',
+    javascript: 'javascript',
+    node: 'javascript',
+    nodejs: 'javascript',
+    py: 'python',
+    python: 'python',
+    python3: 'python',
+};
 
-// Helper function to log unfound members to JSON file
 function normalizeRoleName(name) {
     return String(name || '').trim().toLowerCase();
 }
 
-function loadRookiesData() {
-    if (!fs.existsSync(ROOKIES_DATA)) {
-        return { rookiesmembersData: [], lastUpdated: null };
-    }
-
-    try {
-        const fileContent = fs.readFileSync(ROOKIES_DATA, 'utf-8');
-        if (!fileContent.trim()) {
-            return { rookiesmembersData: [], lastUpdated: null };
+async function isRookieMember(guild, userId, username) {
+    if (guild) {
+        try {
+            const member = await guild.members.fetch(userId);
+            if (member) {
+                const hasRole = member.roles.cache.some((role) => normalizeRoleName(role.name) === ROOKIE_ROLE_NAME);
+                if (hasRole) return true;
+            }
+        } catch (error) {
+            console.error('Error checking rookie role:', error.message);
         }
-        return JSON.parse(fileContent);
-    } catch (error) {
-        console.error('Error reading rookies data:', error.message);
-        return { rookiesmembersData: [], lastUpdated: null };
     }
+
+    return Boolean(await getRookie(userId, username));
 }
 
-function saveRookiesData(data) {
-    try {
-        fs.writeFileSync(ROOKIES_DATA, JSON.stringify(data, null, 2));
-    } catch (error) {
-        console.error('Error writing rookies data:', error.message);
+/**
+ * Pull the program output out of an "I Run Code" result message
+ * @returns {string|null} Printed output, or null if none was found
+ */
+function extractProgramOutput(message) {
+    const codeBlock = /```[^\n`]*\n([\s\S]*?)```/.exec(message.content || '');
+    if (codeBlock) {
+        return codeBlock[1];
     }
-}
 
-function upsertRookieEntry(data, { username, userId, channel }) {
-    const existingEntry = data.rookiesmembersData.find(m => m.userId === userId || m.username === username);
-    const timestamp = new Date().toISOString();
-
-    if (existingEntry) {
-        existingEntry.username = existingEntry.username || username;
-        existingEntry.userId = existingEntry.userId || userId;
-        existingEntry.channel = channel || existingEntry.channel || null;
-        existingEntry.count = (existingEntry.count || 1) + 1;
-        existingEntry.lastSeen = timestamp;
-        return existingEntry;
+    const embedText = message.embeds?.[0]?.description;
+    if (embedText) {
+        const embedBlock = /```[^\n`]*\n([\s\S]*?)```/.exec(embedText);
+        return embedBlock ? embedBlock[1] : embedText;
     }
 
-    const entry = {
-        username,
-        userId,
-        channel,
-        firstSeen: timestamp,
-        lastSeen: timestamp,
-        count: 1,
-        points: 0,
-        lastAwardedDate: null,
-        lastAwardedAt: null,
-    };
+    return null;
+}
 
-    data.rookiesmembersData.push(entry);
-    return entry;
+function formatOutputPreview(value) {
+    const text = String(value ?? '').replace(/`/g, "'").trimEnd();
+    return text.length > 300 ? `${text.slice(0, 300)}…` : text;
 }
 
-async function rookiesData(username, userId, channel) {
+/**
+ * Find the code the member sent to "I Run Code" (the message it replied to)
+ * @returns {Promise<{language: string|null, code: string}|null>}
+ */
+async function getSubmittedCode(message) {
+    if (!message.reference?.messageId) return null;
+
     try {
-        const data = loadRookiesData();
-        const timestamp = new Date().toISOString();
-        upsertRookieEntry(data, { username, userId, channel });
-        data.lastUpdated = timestamp;
-        saveRookiesData(data);
+        const original = await message.fetchReference();
+        const block = /```([a-z0-9+#-]*)[ \t]*\n([\s\S]*?)```/i.exec(original.content || '');
+        if (!block) return null;
+
+        // Fall back to "Here is your py(3.x) output" when the code block has no language tag
+        const reportedLanguage = /Here is your ([a-z0-9+#-]+)/i.exec(message.content)?.[1];
+        const tag = (block[1] || reportedLanguage || '').toLowerCase();
+        return { language: LANGUAGE_ALIASES[tag] || null, code: block[2] };
     } catch (error) {
-        console.error('Error logging unfound member:', error.message);
+        console.error('Could not fetch submitted code:', error.message);
+        return null;
     }
 }
 
-async function isRookieMember(guild, userId, username) {
-    if (guild) {
-        try {
-            const member = await guild.members.fetch(userId);
-            if (member) {
-                const hasRole = member.roles.cache.some((role) => normalizeRoleName(role.name) === ROOKIE_ROLE_NAME);
-                if (hasRole) return true;
-            }
-        } catch (error) {
-            console.error('Error checking rookie role:', error.message);
-        }
+/**
+ * Judge an "I Run Code" result, re-running the member's code when the question has hidden tests
+ * @returns {Promise<{verdict: string, reason: string|null, actualOutput: string|null, passed: number|null, total: number|null}>}
+ */
+async function judgeRunCodeMessage(message, question) {
+    const actualOutput = extractProgramOutput(message);
+
+    if (!hasHiddenTests(question)) {
+        return { ...judgeAnswer(question, actualOutput), actualOutput, passed: null, total: null };
+    }
+
+    const submission = await getSubmittedCode(message);
+    if (!submission || !submission.language) {
+        return {
+            verdict: VERDICTS.UNJUDGED,
+            reason: 'today\'s question has hidden tests that only run for JavaScript and Python code blocks, try `/submit`',
+            actualOutput,
+            passed: null,
+            total: null,
+        };
     }
 
-    const data = loadRookiesData();
-    return data.rookiesmembersData.some(m => m.userId === userId || m.username === username);
+    const report = await runQuestionTests({ ...submission, question });
+    const example = report.results.find(result => !result.hidden);
+    return {
+        verdict: report.verdict,
+        reason: example.verdict === VERDICTS.UNJUDGED ? example.reason : null,
+        actualOutput: example.verdict === VERDICTS.WRONG ? example.run.stdout : actualOutput,
+        exampleFailed: example.verdict === VERDICTS.WRONG,
+        passed: report.passed,
+        total: report.total,
+    };
 }
 
-function updateRookiePoints({ username, userId, channel, pointsToAward, todayKey }) {
-    const data = loadRookiesData();
-    const entry = upsertRookieEntry(data, { username, userId, channel });
+async function replyWithVerdict(message, userId, question, result) {
+    const dayLabel = question ? `Day ${question.DisplayDay ?? question.Day}` : 'today\'s challenge';
+    const testsLabel = result.total ? ` (**${result.passed}/${result.total}** tests passed)` : '';
+    let content;
 
-    if (entry.lastAwardedDate === todayKey) {
-        return { updated: false, points: entry.points || 0 };
+    if (result.verdict === VERDICTS.WRONG && result.total && !result.exampleFailed) {
+        content = `❌ <@${userId}> Your code matches the example but fails hidden tests for **${dayLabel}**${testsLabel}, so no points this time.\n${MOTIVATION_MESSAGE}`;
+    } else if (result.verdict === VERDICTS.WRONG) {
+        content = `❌ <@${userId}> Your output doesn't match the expected answer for **${dayLabel}**${testsLabel}, so no points this time.\n` +
+            `**Expected:**\n\`\`\`\n${formatOutputPreview(question.Output)}\n\`\`\`\n` +
+            `**Got:**\n\`\`\`\n${formatOutputPreview(result.actualOutput) || ' '}\n\`\`\`\n${MOTIVATION_MESSAGE}`;
+    } else {
+        content = `🤔 <@${userId}> Your code ran, but the output for **${dayLabel}** couldn't be judged automatically (${result.reason}) so no points were awarded.`;
     }
 
-    entry.points = (entry.points || 0) + pointsToAward;
-    entry.lastAwardedDate = todayKey;
-    entry.lastAwardedAt = new Date().toISOString();
-    data.lastUpdated = entry.lastAwardedAt;
-    saveRookiesData(data);
-
-    return { updated: true, points: entry.points };
+    try {
+        await message.reply({ content });
+    } catch (error) {
+        console.error('Could not send verdict reply:', error.message);
+    }
 }
 
-function getTodayKey() {
-    return new Intl.DateTimeFormat('en-CA', {
-        timeZone: TIMEZONE,
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
-    }).format(new Date());
-}
+/**
+ * Record a correct answer and award today's challenge points once per day to a member or rookie
+ * @returns {Promise<{status: 'awarded'|'already_awarded'|'unregistered', points: number|null, streak: Object|null}>}
+ *          streak is the solve streak update when points were newly awarded
+ */
+async function awardDailyChallengePoints({ guild, userId, username, channelName, question, source }) {
+    const pointsToAward = DAILY_CHALLENGE_POINTS;
+    const todayKey = getDateKeyInTimeZone();
+    const existingMember = await getMemberByDiscordUsername(username);
+    const isRookie = existingMember ? false : await isRookieMember(guild, userId, username);
 
-function readDailyPointsLog() {
-    if (!fs.existsSync(DAILY_POINTS_FILE)) {
-        return { awards: {}, lastUpdated: null };
+    // The unique (post_date, user_id) solve row is the once-per-day lock: only the call that
+    // inserts it pays out, so two solves arriving together can't both be awarded
+    const recorded = question
+        ? await recordDailyQuestionSolve({
+            post_date: question.ResolvedDate || todayKey,
+            question_day: question.Day,
+            user_id: userId,
+            username,
+            member_id: existingMember?.member_id || null,
+            source,
+        })
+        : null;
+
+    if ((isRookie || existingMember) && recorded && !recorded.created) {
+        return { status: 'already_awarded', points: null, streak: null };
     }
 
-    try {
-        const fileContent = fs.readFileSync(DAILY_POINTS_FILE, 'utf-8');
-        if (!fileContent.trim()) {
-            return { awards: {}, lastUpdated: null };
+    if (isRookie) {
+        const rookieResult = await awardRookiePoints({
+            userId,
+            username,
+            channel: channelName,
+            points: pointsToAward,
+            dateKey: todayKey,
+        });
+
+        if (!rookieResult) {
+            return { status: 'awarded', points: null, streak: null };
         }
-        return JSON.parse(fileContent);
-    } catch (error) {
-        console.error('Error reading daily points log:', error.message);
-        writeDailyPointsLog({ awards: {}, lastUpdated: null });
-        return { awards: {}, lastUpdated: null };
+        const streak = rookieResult.updated
+            ? await recordStreakSolve({ userId, username, dateKey: todayKey })
+            : null;
+        return {
+            status: rookieResult.updated ? 'awarded' : 'already_awarded',
+            points: streak?.bonus ? rookieResult.points + streak.bonus : rookieResult.points,
+            streak,
+        };
     }
-}
 
-function writeDailyPointsLog(data) {
-    try {
-        fs.writeFileSync(DAILY_POINTS_FILE, JSON.stringify(data, null, 2));
-    } catch (error) {
-        console.error('Error writing daily points log:', error.message);
+    if (existingMember) {
+        if (!recorded) {
+            // Without the lock there is no safe way to pay once
+            return { status: 'awarded', points: null, streak: null };
+        }
+
+        const newPoints = await addPoints(existingMember.member_id, pointsToAward, {
+            reason: source === 'submit' ? 'submit' : 'code_run',
+            actorId: userId,
+            actorName: username,
+            referenceId: question?.ResolvedDate || todayKey,
+        });
+        if (newPoints !== null) {
+            await incrementProblemsSolved(existingMember.member_id);
+        } else {
+            // Release the lock so the member can be paid on a later solve today
+            await deleteDailyQuestionSolve(recorded.solve.solve_id);
+        }
+        const streak = newPoints !== null
+            ? await recordStreakSolve({ userId, username, memberId: existingMember.member_id, dateKey: todayKey })
+            : null;
+        if (newPoints !== null) {
+            await trackAchievement(guild?.client, { memberId: existingMember.member_id, event: 'code_run', dateKey: todayKey });
+        }
+        if (streak) {
+            await trackAchievement(guild?.client, { memberId: existingMember.member_id, event: 'solve_streak', value: streak.longest, dateKey: todayKey });
+        }
+        return {
+            status: 'awarded',
+            points: streak?.bonus ? newPoints + streak.bonus : newPoints,
+            streak,
+        };
     }
+
+    // Track unregistered users alongside rookies
+    await recordRookieActivity({ userId, username, channel: channelName });
+    return { status: 'unregistered', points: null, streak: null };
 }
 
 module.exports = {
+    DAILY_CHALLENGE_POINTS,
+    awardDailyChallengePoints,
     handleProgressUpdate: (client) => {
         client.on('messageCreate', async (message) => {
 
@@ -187,71 +271,44 @@ module.exports = {
                     if (mentionedUser) {
                         const userId = mentionedUser.id;
                         const username = mentionedUser.username;
-                        const pointsToAward = 5; // 5 points for successful code execution
-                        
-                        const todayKey = getTodayKey();
-                        const existingMember = await getMemberByDiscordUsername(username);
-                        const isRookie = existingMember ? false : await isRookieMember(message.guild, userId, username);
-                        let newPoints = null;
-
-                        if (isRookie) {
-                            const rookieResult = updateRookiePoints({
-                                username,
-                                userId,
-                                channel: message.channel?.name,
-                                pointsToAward,
-                                todayKey,
-                            });
-
-                            if (!rookieResult.updated) {
-                                try {
-                                    await message.reply({
-                                        content: `✅ <@${userId}> You already earned today's **+${pointsToAward} points**. Keep solving and come back tomorrow!`,
-                                    });
-                                } catch (error) {
-                                    console.error('Could not send daily limit reply:', error.message);
-                                }
-                                return;
-                            }
+                        const pointsToAward = DAILY_CHALLENGE_POINTS;
 
-                            newPoints = rookieResult.points;
-                        } else if (existingMember) {
-                            const dailyLog = readDailyPointsLog();
-                            const memberId = String(existingMember.member_id);
-                            const lastAwardedDate = dailyLog.awards[memberId]?.lastAwardedDate;
-
-                            if (lastAwardedDate === todayKey) {
-                                try {
-                                    await message.reply({
-                                        content: `✅ <@${userId}> You already earned today's **+${pointsToAward} points**. Keep solving and come back tomorrow!`,
-                                    });
-                                } catch (error) {
-                                    console.error('Could not send daily limit reply:', error.message);
-                                }
-                                return;
-                            }
+                        // Only award points when the output matches today's question
+                        const question = await getTodaysQuestion();
+                        const result = await judgeRunCodeMessage(message, question);
+                        if (result.verdict !== VERDICTS.CORRECT) {
+                            await replyWithVerdict(message, userId, question, result);
+                            return;
+                        }
+                        
+                        const award = await awardDailyChallengePoints({
+                            guild: message.guild,
+                            userId,
+                            username,
+                            channelName: message.channel?.name,
+                            question,
+                            source: 'run_code',
+                        });
 
-                            newPoints = await addPoints(existingMember.member_id, pointsToAward);
-                            if (newPoints !== null) {
-                                await incrementProblemsSolved(existingMember.member_id);
-                                dailyLog.awards[memberId] = {
-                                    username,
-                                    lastAwardedDate: todayKey,
-                                    lastAwardedAt: new Date().toISOString(),
-                                };
-                                dailyLog.lastUpdated = new Date().toISOString();
-                                writeDailyPointsLog(dailyLog);
+                        if (award.status === 'already_awarded') {
+                            try {
+                                await message.reply({
+                                    content: `✅ <@${userId}> You already earned today's **+${pointsToAward} points**. Keep solving and come back tomorrow!`,
+                                });
+                            } catch (error) {
+                                console.error('Could not send daily limit reply:', error.message);
                             }
-                        } else {
-                            // Log unfound member to JSON file
-                            await rookiesData(username, userId, message.channel?.name);
+                            return;
                         }
+                        const newPoints = award.points;
                         
                         // Reply to acknowledge
                         try {
                             const totalLabel = newPoints !== null ? newPoints : '(updating)';
+                            const testsLabel = result.total ? ` All **${result.total}** tests passed.` : '';
+                            const streakLabel = award.streak ? `\n${formatStreakUpdate(award.streak)}` : '';
                             await message.reply({
-                                content: `🎉 <@${userId}> earned **+${pointsToAward} points** for running code successfully! Total: **${totalLabel}**`
+                                content: `🎉 <@${userId}> solved today's challenge correctly and earned **+${pointsToAward} points**! Total: **${totalLabel}**${testsLabel}${streakLabel}`
                             });
                         } catch (error) {
                             console.error('Could not send reply:', error.message);
@@ -0,0 +1,391 @@
+const { EmbedBuilder } = require('discord.js');
+const fs = require('fs');
+const path = require('path');
+
+const QUESTIONS_FILE = path.join(__dirname, '../json/dailyQuestion.json');
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+const REQUIRED_FIELDS = ['Day', 'Question', 'Input', 'Output', 'Explain', 'Difficulty'];
+const OPTIONAL_FIELDS = ['Formula', 'Method', 'Main Call', 'Hints', 'HiddenTests', 'Retired', 'Order'];
+const MAX_HINTS = 3;
+// Questions are shown in embed titles and fields, which Discord caps at 256 and 1024 characters
+const MAX_TITLE_LENGTH = 200;
+const MAX_FIELD_LENGTH = 1000;
+
+/**
+ * Load the question bank from json/dailyQuestion.json
+ * @returns {{ totalDays: number, Questions: Array }}
+ */
+function loadQuestionBank() {
+    try {
+        const data = JSON.parse(fs.readFileSync(QUESTIONS_FILE, 'utf-8'));
+        const questions = Array.isArray(data) ? data : (data.Questions || []);
+        return { ...data, totalDays: data.totalDays, Questions: questions };
+    } catch (error) {
+        console.error('Error reading question bank:', error.message);
+        return { totalDays: 0, Questions: [] };
+    }
+}
+
+/**
+ * All questions, including retired ones
+ */
+function getAllQuestions() {
+    return loadQuestionBank().Questions;
+}
+
+/**
+ * Sort by rotation order. Day is the question's permanent ID (history and hint rows point at it),
+ * so reordering only changes Order; questions without one fall back to their Day.
+ */
+function compareQuestionOrder(a, b) {
+    return (a.Order ?? a.Day) - (b.Order ?? b.Day) || a.Day - b.Day;
+}
+
+/**
+ * Questions that are still in rotation, in rotation order
+ */
+function getActiveQuestions() {
+    return getAllQuestions().filter(q => !q.Retired).sort(compareQuestionOrder);
+}
+
+function getQuestionByDay(day) {
+    return getAllQuestions().find(q => q.Day === day) || null;
+}
+
+/**
+ * Counts used for command limits and footers
+ * @returns {{ total: number, active: number, retired: number, maxDay: number }}
+ */
+function getQuestionBankStats() {
+    const questions = getAllQuestions();
+    const active = questions.filter(q => !q.Retired).length;
+    return {
+        total: questions.length,
+        active,
+        retired: questions.length - active,
+        maxDay: questions.reduce((max, q) => Math.max(max, Number(q.Day) || 0), 0),
+    };
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Validate one question against the schema
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateQuestion(question) {
+    const errors = [];
+    const label = `Day ${question?.Day ?? '?'}`;
+
+    if (!question || typeof question !== 'object' || Array.isArray(question)) {
+        return ['Question must be an object'];
+    }
+
+    REQUIRED_FIELDS.forEach(field => {
+        if (isBlank(question[field])) {
+            errors.push(`${label}: "${field}" is required`);
+        }
+    });
+
+    Object.keys(question).forEach(field => {
+        if (!REQUIRED_FIELDS.includes(field) && !OPTIONAL_FIELDS.includes(field)) {
+            errors.push(`${label}: unknown field "${field}"`);
+        }
+    });
+
+    if (!isBlank(question.Day) && (!Number.isInteger(question.Day) || question.Day < 1)) {
+        errors.push(`${label}: "Day" must be a positive whole number`);
+    }
+
+    if (question.Order !== undefined && (!Number.isInteger(question.Order) || question.Order < 1)) {
+        errors.push(`${label}: "Order" must be a positive whole number`);
+    }
+
+    if (!isBlank(question.Difficulty) && !DIFFICULTIES.includes(question.Difficulty)) {
+        errors.push(`${label}: "Difficulty" must be one of ${DIFFICULTIES.join(', ')}`);
+    }
+
+    ['Question', 'Explain', 'Formula', 'Method', 'Main Call'].forEach(field => {
+        if (question[field] !== undefined && typeof question[field] !== 'string') {
+            errors.push(`${label}: "${field}" must be text`);
+        }
+    });
+
+    if (typeof question.Question === 'string' && question.Question.length > MAX_TITLE_LENGTH) {
+        errors.push(`${label}: "Question" must be at most ${MAX_TITLE_LENGTH} characters`);
+    }
+
+    ['Input', 'Output', 'Explain', 'Formula'].forEach(field => {
+        if (question[field] !== undefined && String(question[field]).length > MAX_FIELD_LENGTH) {
+            errors.push(`${label}: "${field}" must be at most ${MAX_FIELD_LENGTH} characters`);
+        }
+    });
+
+    // The detail embed shows Method and Main Call side by side
+    if (isBlank(question.Method) !== isBlank(question['Main Call'])) {
+        errors.push(`${label}: "Method" and "Main Call" must be given together`);
+    }
+
+    if (question.Hints !== undefined) {
+        if (!Array.isArray(question.Hints) || question.Hints.length > MAX_HINTS) {
+            errors.push(`${label}: "Hints" must be a list of at most ${MAX_HINTS} hints`);
+        } else if (question.Hints.some(hint => typeof hint !== 'string' || hint.trim() === '' || hint.length > MAX_FIELD_LENGTH)) {
+            errors.push(`${label}: every hint must be text of at most ${MAX_FIELD_LENGTH} characters`);
+        }
+    }
+
+    if (question.HiddenTests !== undefined) {
+        if (!Array.isArray(question.HiddenTests)) {
+            errors.push(`${label}: "HiddenTests" must be a list`);
+        } else {
+            question.HiddenTests.forEach((test, index) => {
+                if (!test || typeof test !== 'object' || isBlank(test.Input) || isBlank(test.Output)) {
+                    errors.push(`${label}: hidden test ${index + 1} needs "Input" and "Output"`);
+                }
+            });
+        }
+    }
+
+    if (question.Retired !== undefined && typeof question.Retired !== 'boolean') {
+        errors.push(`${label}: "Retired" must be true or false`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the whole bank: every question plus unique Day numbers
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateQuestionBank(questions) {
+    const errors = [];
+    const seenDays = new Set();
+
+    questions.forEach(question => {
+        errors.push(...validateQuestion(question));
+        if (seenDays.has(question.Day)) {
+            errors.push(`Day ${question.Day}: Day numbers must be unique`);
+        }
+        seenDays.add(question.Day);
+    });
+
+    return errors;
+}
+
+/**
+ * Validate and write the bank; totalDays always follows the number of active questions
+ * @returns {string[]} Problems found; nothing is written unless this is empty
+ */
+function saveQuestionBank(questions) {
+    const errors = validateQuestionBank(questions);
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    const data = {
+        totalDays: questions.filter(q => !q.Retired).length,
+        Questions: [...questions].sort((a, b) => a.Day - b.Day),
+    };
+    fs.writeFileSync(QUESTIONS_FILE, JSON.stringify(data, null, 2) + '\n');
+    return [];
+}
+
+/**
+ * Set Order to 1..n in the current order, leaving Day numbers alone
+ */
+function setOrder(questions) {
+    return questions.map((question, index) => ({ ...question, Order: index + 1 }));
+}
+
+/**
+ * Store numeric answers as numbers, like the rest of the bank
+ */
+function parseOutput(value) {
+    const text = String(value).trim();
+    return /^-?\d+(\.\d+)?$/.test(text) && String(Number(text)) === text ? Number(text) : value;
+}
+
+/**
+ * Hints come as a JSON list or as "first hint | second hint"
+ */
+function parseHints(value) {
+    try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) return parsed;
+    } catch (error) {
+        // Not JSON, fall through to the | separated form
+    }
+    return value.split('|').map(hint => hint.trim()).filter(Boolean);
+}
+
+function parseHiddenTests(value) {
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Read question fields from a /questionbank add|edit interaction
+ */
+function readQuestionFields(interaction) {
+    const fields = {
+        Question: interaction.options.getString('question'),
+        Input: interaction.options.getString('input'),
+        Output: interaction.options.getString('output'),
+        Explain: interaction.options.getString('explain'),
+        Difficulty: interaction.options.getString('difficulty'),
+        Formula: interaction.options.getString('formula'),
+        Method: interaction.options.getString('method'),
+        'Main Call': interaction.options.getString('main_call'),
+        Hints: interaction.options.getString('hints'),
+        HiddenTests: interaction.options.getString('hidden_tests'),
+    };
+
+    const changes = {};
+    Object.entries(fields).forEach(([field, value]) => {
+        if (value === null) return;
+        // "-" clears an optional field
+        if (value.trim() === '-') changes[field] = '';
+        else if (field === 'Output') changes[field] = parseOutput(value);
+        else if (field === 'Hints') changes[field] = parseHints(value);
+        else if (field === 'HiddenTests') changes[field] = parseHiddenTests(value);
+        else changes[field] = value;
+    });
+    return changes;
+}
+
+function withoutEmptyOptionals(question) {
+    const cleaned = { ...question };
+    OPTIONAL_FIELDS.forEach(field => {
+        if (isBlank(cleaned[field]) || (Array.isArray(cleaned[field]) && cleaned[field].length === 0)) {
+            delete cleaned[field];
+        }
+    });
+    return cleaned;
+}
+
+function formatErrors(errors) {
+    const shown = errors.slice(0, 10).map(error => `• ${error}`).join('\n');
+    const more = errors.length > 10 ? `\n…and ${errors.length - 10} more` : '';
+    return `❌ The question bank was not changed:\n${shown}${more}`;
+}
+
+/**
+ * Handle /questionbank add|edit|retire|reorder|validate
+ * @returns {Promise<boolean>} Whether the bank was changed
+ */
+async function handleQuestionBankCommand(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const questions = getAllQuestions();
+
+    if (subcommand === 'validate') {
+        const errors = validateQuestionBank(questions);
+        const stats = getQuestionBankStats();
+        const embed = new EmbedBuilder()
+            .setColor(errors.length === 0 ? '#2ecc71' : '#e74c3c')
+            .setTitle(errors.length === 0 ? '✅ Question bank is valid' : `❌ ${errors.length} problem(s) found`)
+            .setDescription(errors.length === 0 ? null : errors.slice(0, 20).map(error => `• ${error}`).join('\n'))
+            .addFields(
+                { name: 'Questions', value: String(stats.total), inline: true },
+                { name: 'Active', value: String(stats.active), inline: true },
+                { name: 'Retired', value: String(stats.retired), inline: true }
+            )
+            .setTimestamp();
+        await interaction.editReply({ embeds: [embed] });
+        return false;
+    }
+
+    if (subcommand === 'add') {
+        // New questions always get the next free Day; the position only sets their place in the rotation
+        const position = interaction.options.getInteger('position') || questions.length + 1;
+        const newQuestion = withoutEmptyOptionals({ Day: getQuestionBankStats().maxDay + 1, ...readQuestionFields(interaction) });
+        const ordered = [...questions].sort(compareQuestionOrder);
+        const index = Math.min(position, ordered.length + 1) - 1;
+        ordered.splice(index, 0, newQuestion);
+        const updated = setOrder(ordered);
+        const added = updated[index];
+
+        const errors = saveQuestionBank(updated);
+        if (errors.length > 0) {
+            await interaction.editReply({ content: formatErrors(errors) });
+            return false;
+        }
+        await interaction.editReply({ content: `✅ Added **Day ${added.Day}: ${added.Question}** at position ${index + 1}. The bank now has ${updated.length} questions.` });
+        return true;
+    }
+
+    const day = interaction.options.getInteger('day');
+    const existing = questions.find(q => q.Day === day);
+    if (!existing) {
+        await interaction.editReply({ content: `❌ Question #${day} not found. Available questions: 1-${getQuestionBankStats().maxDay}` });
+        return false;
+    }
+
+    if (subcommand === 'edit') {
+        const changes = readQuestionFields(interaction);
+        if (Object.keys(changes).length === 0) {
+            await interaction.editReply({ content: '❌ Nothing to change. Pass at least one field to update.' });
+            return false;
+        }
+
+        const edited = withoutEmptyOptionals({ ...existing, ...changes });
+        const updated = questions.map(q => (q === existing ? edited : q));
+        const errors = saveQuestionBank(updated);
+        if (errors.length > 0) {
+            await interaction.editReply({ content: formatErrors(errors) });
+            return false;
+        }
+        await interaction.editReply({ content: `✅ Updated **Day ${day}** (${Object.keys(changes).join(', ')}).` });
+        return true;
+    }
+
+    if (subcommand === 'retire') {
+        const retired = !existing.Retired;
+        const updated = questions.map(q => (q === existing ? withoutEmptyOptionals({ ...q, Retired: retired || undefined }) : q));
+        const errors = saveQuestionBank(updated);
+        if (errors.length > 0) {
+            await interaction.editReply({ content: formatErrors(errors) });
+            return false;
+        }
+        await interaction.editReply({
+            content: retired
+                ? `🗄️ Retired **Day ${day}: ${existing.Question}**. It will no longer be posted.`
+                : `♻️ Restored **Day ${day}: ${existing.Question}** to the rotation.`
+        });
+        return true;
+    }
+
+    if (subcommand === 'reorder') {
+        const position = interaction.options.getInteger('position');
+        const ordered = [...questions].sort(compareQuestionOrder).filter(q => q !== existing);
+        const index = Math.min(position, ordered.length + 1) - 1;
+        ordered.splice(index, 0, existing);
+        const updated = setOrder(ordered);
+        const errors = saveQuestionBank(updated);
+        if (errors.length > 0) {
+            await interaction.editReply({ content: formatErrors(errors) });
+            return false;
+        }
+        await interaction.editReply({ content: `✅ Moved **Day ${day}: ${existing.Question}** to position ${index + 1} in the rotation. Day numbers are unchanged.` });
+        return true;
+    }
+
+    return false;
+}
+
+module.exports = {
+    DIFFICULTIES,
+    loadQuestionBank,
+    getAllQuestions,
+    getActiveQuestions,
+    compareQuestionOrder,
+    getQuestionByDay,
+    getQuestionBankStats,
+    validateQuestion,
+    validateQuestionBank,
+    handleQuestionBankCommand,
+};
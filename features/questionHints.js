@@ -0,0 +1,207 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { getQuestionForDate, getTodaysQuestion, markSolutionRevealed } = require('./questionResolver');
+const { getPoints, addPoints, recordHintReveal, getHintReveals, deleteHintReveal } = require('../database/db');
+const { findMemberForUser } = require('./pointsHistory');
+const { getDateKeyInTimeZone, zonedTimeToDate } = require('../utils/timezoneUtils');
+
+const VIBE_CODING_CHANNEL_ID = process.env['vibe-coding'] || '1362052133570220123';
+// Points charged for hint 1, 2, 3; the last cost repeats for any further tiers
+const HINT_COSTS = (process.env.HINT_POINT_COSTS || '1,2,3')
+    .split(',')
+    .map(cost => parseInt(cost.trim(), 10))
+    .filter(cost => Number.isInteger(cost) && cost >= 0);
+
+function getHintCost(tier) {
+    if (HINT_COSTS.length === 0) return 0;
+    return HINT_COSTS[Math.min(tier, HINT_COSTS.length) - 1];
+}
+
+/**
+ * Whether a question's explanation should still be hidden: only today's unrevealed question is
+ */
+async function isSolutionHidden(question) {
+    if (!question) return false;
+    const today = await getTodaysQuestion();
+    return Boolean(today && !today.SolutionRevealed && today.Question === question.Question);
+}
+
+/**
+ * Hint buttons for a resolved question, or null if it has no hints
+ */
+function buildHintButtons(question) {
+    const hints = Array.isArray(question?.Hints) ? question.Hints : [];
+    if (hints.length === 0 || !question.ResolvedDate) return null;
+
+    const row = new ActionRowBuilder();
+    hints.forEach((hint, index) => {
+        const tier = index + 1;
+        const cost = getHintCost(tier);
+        row.addComponents(
+            new ButtonBuilder()
+                .setCustomId(`hint_${question.ResolvedDate}_${tier}`)
+                .setLabel(`💡 Hint ${tier}${cost > 0 ? ` (-${cost} pts)` : ''}`)
+                .setStyle(ButtonStyle.Secondary)
+        );
+    });
+    return row;
+}
+
+/**
+ * Full explanation embed, posted once the day's report has run
+ */
+function buildSolutionEmbed(question) {
+    const embed = new EmbedBuilder()
+        .setColor('#27ae60')
+        .setTitle(`🔓 Solution - Day ${question.DisplayDay ?? question.Day}: ${question.Question}`)
+        .addFields(
+            { name: '📤 Expected Output', value: `\`\`\`\n${String(question.Output)}\n\`\`\``, inline: false },
+            { name: '💡 Explanation', value: question.Explain, inline: false }
+        )
+        .setFooter({ text: 'Daily Coding Challenge | Solution reveal' })
+        .setTimestamp();
+
+    if (question.Formula) {
+        embed.addFields({ name: '🔢 Formula', value: `\`${question.Formula}\``, inline: false });
+    }
+
+    if (Array.isArray(question.Hints) && question.Hints.length > 0) {
+        embed.addFields({
+            name: '🧭 Hints',
+            value: question.Hints.map((hint, index) => `${index + 1}. ${hint}`).join('\n'),
+            inline: false,
+        });
+    }
+
+    return embed;
+}
+
+/**
+ * Post today's explanation to #vibe-coding and stop hiding it in commands
+ */
+async function postDailySolution(client) {
+    const question = await getTodaysQuestion();
+    if (!question) {
+        console.warn('⚠ No daily question to reveal');
+        return;
+    }
+    if (question.SolutionRevealed) {
+        console.log(`ℹ️ Solution for ${question.ResolvedDate} was already revealed`);
+        return;
+    }
+
+    const channel = client.channels.cache.get(VIBE_CODING_CHANNEL_ID);
+    if (!channel || !channel.isTextBased()) {
+        console.warn('⚠ Vibe-coding channel not found, solution not posted');
+        return;
+    }
+
+    await channel.send({ embeds: [buildSolutionEmbed(question)] });
+    await markSolutionRevealed(question.ResolvedDate);
+    console.log(`✓ Posted solution for ${question.ResolvedDate}`);
+}
+
+async function revealHint(interaction, dateKey, tier) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const question = await getQuestionForDate(zonedTimeToDate(year, month, day, 12), { record: false });
+    const hint = question?.Hints?.[tier - 1];
+    if (!hint) {
+        return interaction.editReply({ content: '❌ That hint is no longer available.' });
+    }
+
+    const userId = interaction.user.id;
+    const username = interaction.user.username;
+    const reveals = await getHintReveals(dateKey, userId);
+    const revealedTiers = new Set(reveals.map(reveal => reveal.tier));
+    const isOldQuestion = dateKey !== getDateKeyInTimeZone();
+    let cost = 0;
+    let newTotal = null;
+
+    // Hints are free once the day is over or the solution is out
+    const isFree = isOldQuestion || question.SolutionRevealed || revealedTiers.has(tier);
+
+    if (!isFree) {
+        if (tier > 1 && !revealedTiers.has(tier - 1)) {
+            return interaction.editReply({ content: `🔒 Open **Hint ${tier - 1}** first.` });
+        }
+
+        // By Discord ID first, so a member who changed their username still pays
+        const member = await findMemberForUser(interaction.user);
+        // Only registered members pay for hints
+        cost = member ? getHintCost(tier) : 0;
+
+        if (cost > 0) {
+            const balance = await getPoints(member.member_id);
+            if (balance !== null && balance < cost) {
+                return interaction.editReply({ content: `❌ Hint ${tier} costs **${cost} points** but you only have **${balance}**.` });
+            }
+        }
+
+        // Record the reveal before charging: a double click or retry finds the row and isn't charged again
+        const recorded = await recordHintReveal({
+            post_date: dateKey,
+            question_day: question.Day,
+            tier,
+            user_id: userId,
+            username,
+            member_id: member?.member_id || null,
+            points_spent: cost,
+        });
+
+        if (cost > 0) {
+            if (!recorded) {
+                return interaction.editReply({ content: '❌ Could not open this hint right now. Please try again later.' });
+            }
+            if (!recorded.created) {
+                cost = 0;
+            } else {
+                newTotal = await addPoints(member.member_id, -cost, {
+                    reason: 'hint',
+                    actorId: userId,
+                    actorName: username,
+                    referenceId: `${dateKey}#${tier}`,
+                });
+                if (newTotal === null) {
+                    await deleteHintReveal(recorded.reveal.reveal_id);
+                    return interaction.editReply({ content: '❌ Could not charge points for this hint right now. Please try again later.' });
+                }
+            }
+        }
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor('#f1c40f')
+        .setTitle(`💡 Hint ${tier} - Day ${question.Day}: ${question.Question}`)
+        .setDescription(hint)
+        .setFooter({
+            text: cost > 0
+                ? `-${cost} points${newTotal !== null ? ` • Total: ${newTotal}` : ''}`
+                : 'No points charged',
+        });
+
+    return interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Handle hint_<YYYY-MM-DD>_<tier> buttons; the hint is only shown to the member who asked
+ */
+async function handleHintButton(interaction) {
+    await interaction.deferReply({ ephemeral: true }).catch(e => console.error('Deferral error:', e));
+
+    const [, dateKey, tierText] = interaction.customId.split('_');
+    const tier = parseInt(tierText, 10);
+
+    try {
+        return await revealHint(interaction, dateKey, tier);
+    } catch (error) {
+        console.error('Error revealing hint:', error);
+        return interaction.editReply({ content: '❌ Something went wrong while opening that hint.' });
+    }
+}
+
+module.exports = {
+    buildHintButtons,
+    buildSolutionEmbed,
+    isSolutionHidden,
+    postDailySolution,
+    handleHintButton,
+};
@@ -0,0 +1,174 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const chrono = require('chrono-node');
+const { getQuestionForDate, getQuestionHistory } = require('./questionResolver');
+const { getDailyQuestionPosts, getDailyQuestionSolves, getDailyQuestionSolveCounts } = require('../database/db');
+const { formatTimeInTimeZone, getDateKeyInTimeZone, getTimeZoneOffsetMinutes, zonedTimeToDate } = require('../utils/timezoneUtils');
+
+const ITEMS_PER_PAGE = 5;
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MAX_SOLVERS_SHOWN = 30;
+
+/**
+ * Parse "2026-10-19", "yesterday" or "last monday" into a YYYY-MM-DD key in Asia/Kolkata
+ * @returns {string|null}
+ */
+function parseHistoryDate(text, now = new Date()) {
+    const trimmed = String(text || '').trim();
+    const exact = DATE_KEY_PATTERN.exec(trimmed);
+    if (exact) {
+        // Noon avoids any chance of the date shifting across midnight
+        return getDateKeyInTimeZone(zonedTimeToDate(Number(exact[1]), Number(exact[2]), Number(exact[3]), 12));
+    }
+
+    const parsed = chrono.parseDate(trimmed, { instant: now, timezone: getTimeZoneOffsetMinutes(now) });
+    return parsed ? getDateKeyInTimeZone(parsed) : null;
+}
+
+function buildQuestionHistoryEmbed(entries, solveCounts, startIndex = 0) {
+    const pageEntries = entries.slice(startIndex, startIndex + ITEMS_PER_PAGE);
+
+    const embed = new EmbedBuilder()
+        .setColor('#f39c12')
+        .setTitle('🗂️ Daily Question Archive')
+        .setDescription('Use `/questionhistory date:YYYY-MM-DD` to see a day in detail.')
+        .setFooter({ text: `Showing ${startIndex + 1}-${Math.min(startIndex + ITEMS_PER_PAGE, entries.length)} of ${entries.length} days` });
+
+    pageEntries.forEach(entry => {
+        const solved = solveCounts[entry.date] || 0;
+        embed.addFields({
+            name: `${entry.date} • Day ${entry.day}: ${entry.snapshot.Question}`,
+            value: `✅ ${solved} solver${solved === 1 ? '' : 's'} • ${entry.snapshot.Difficulty || 'Unrated'}`,
+            inline: false,
+        });
+    });
+
+    return embed;
+}
+
+function getQuestionHistoryButtons(currentPage, totalPages) {
+    const buttons = new ActionRowBuilder();
+
+    if (currentPage > 1) {
+        buttons.addComponents(
+            new ButtonBuilder()
+                .setCustomId(`qhistory_back_${currentPage - 1}`)
+                .setLabel('⬅️ Previous')
+                .setStyle(ButtonStyle.Primary)
+        );
+    }
+
+    buttons.addComponents(
+        new ButtonBuilder()
+            .setCustomId('qhistory_page')
+            .setLabel(`Page ${currentPage}/${totalPages}`)
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(true)
+    );
+
+    if (currentPage < totalPages) {
+        buttons.addComponents(
+            new ButtonBuilder()
+                .setCustomId(`qhistory_next_${currentPage + 1}`)
+                .setLabel('Next ➡️')
+                .setStyle(ButtonStyle.Primary)
+        );
+    }
+
+    return buttons;
+}
+
+function buildQuestionHistoryDayEmbed(dateKey, question, posts, solves) {
+    const embed = new EmbedBuilder()
+        .setColor('#27ae60')
+        .setTitle(`📅 ${dateKey} • Day ${question.Day}: ${question.Question}`)
+        .addFields(
+            { name: '📥 Input', value: `\`\`\`\n${question.Input}\n\`\`\``, inline: false },
+            { name: '📤 Output', value: `\`\`\`\n${String(question.Output)}\n\`\`\``, inline: false }
+        )
+        .setTimestamp();
+
+    if (posts.length > 0) {
+        const links = posts.map(post =>
+            `[Posted ${formatTimeInTimeZone(post.posted_at, 'time')} IST](https://discord.com/channels/${post.guild_id}/${post.channel_id}/${post.message_id})`
+        );
+        embed.addFields({ name: '📨 Post', value: links.join('\n'), inline: false });
+    }
+
+    if (solves.length === 0) {
+        embed.addFields({ name: '🏆 Solved by', value: 'Nobody has been recorded as solving this one.', inline: false });
+    } else {
+        const sourceLabels = { run_code: 'I Run Code', submit: '/submit' };
+        const lines = solves.slice(0, MAX_SOLVERS_SHOWN).map((solve, index) =>
+            `${index + 1}. <@${solve.user_id}> • ${formatTimeInTimeZone(solve.solved_at, 'time')} • ${sourceLabels[solve.source] || solve.source}`
+        );
+        if (solves.length > MAX_SOLVERS_SHOWN) {
+            lines.push(`…and ${solves.length - MAX_SOLVERS_SHOWN} more`);
+        }
+        embed.addFields({ name: `🏆 Solved by (${solves.length})`, value: lines.join('\n').slice(0, 1024), inline: false });
+    }
+
+    return embed;
+}
+
+async function getArchivePage(page) {
+    const entries = await getQuestionHistory();
+    const totalPages = Math.max(1, Math.ceil(entries.length / ITEMS_PER_PAGE));
+    const currentPage = Math.min(Math.max(page, 1), totalPages);
+    const startIndex = (currentPage - 1) * ITEMS_PER_PAGE;
+    const pageDates = entries.slice(startIndex, startIndex + ITEMS_PER_PAGE).map(entry => entry.date);
+    const solveCounts = await getDailyQuestionSolveCounts(pageDates);
+
+    return {
+        entries,
+        embed: buildQuestionHistoryEmbed(entries, solveCounts, startIndex),
+        buttons: getQuestionHistoryButtons(currentPage, totalPages),
+    };
+}
+
+/**
+ * Handle /questionhistory [date]
+ */
+async function handleQuestionHistoryCommand(interaction) {
+    const dateText = interaction.options.getString('date');
+
+    if (!dateText) {
+        const { entries, embed, buttons } = await getArchivePage(1);
+        if (entries.length === 0) {
+            return interaction.editReply({ content: '📭 No daily questions have been recorded yet.' });
+        }
+        return interaction.editReply({ embeds: [embed], components: [buttons] });
+    }
+
+    const dateKey = parseHistoryDate(dateText);
+    if (!dateKey) {
+        return interaction.editReply({ content: '❌ I couldn\'t understand that date. Try `2026-10-19` or `yesterday`.' });
+    }
+
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const question = await getQuestionForDate(zonedTimeToDate(year, month, day, 12), { record: false });
+    if (!question) {
+        return interaction.editReply({ content: `📭 No daily question was recorded for ${dateKey}.` });
+    }
+
+    const [posts, solves] = await Promise.all([
+        getDailyQuestionPosts(dateKey),
+        getDailyQuestionSolves(dateKey),
+    ]);
+
+    return interaction.editReply({ embeds: [buildQuestionHistoryDayEmbed(dateKey, question, posts, solves)] });
+}
+
+/**
+ * Handle the archive's qhistory_back_N / qhistory_next_N buttons
+ */
+async function handleQuestionHistoryButton(interaction) {
+    const [, , page] = interaction.customId.split('_');
+    const { embed, buttons } = await getArchivePage(parseInt(page));
+    return interaction.update({ embeds: [embed], components: [buttons] });
+}
+
+module.exports = {
+    handleQuestionHistoryCommand,
+    handleQuestionHistoryButton,
+    parseHistoryDate,
+};
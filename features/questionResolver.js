@@ -0,0 +1,212 @@
+const { getDateKeyInTimeZone, getTimeZoneParts } = require('../utils/timezoneUtils');
+const { getActiveQuestions, getAllQuestions, compareQuestionOrder } = require('./questionBank');
+const { getDailyQuestion, getDailyQuestions, recordDailyQuestion, markDailyQuestionRevealed } = require('../database/db');
+
+const ROTATION_POLICIES = ['sequential', 'day-of-month', 'shuffled'];
+const DEFAULT_POLICY = 'day-of-month';
+
+/**
+ * Rotation policy from QUESTION_ROTATION, falling back to day-of-month
+ */
+function getRotationPolicy() {
+    const policy = (process.env.QUESTION_ROTATION || DEFAULT_POLICY).trim().toLowerCase();
+    if (!ROTATION_POLICIES.includes(policy)) {
+        console.warn(`⚠ Unknown QUESTION_ROTATION "${policy}", using ${DEFAULT_POLICY}`);
+        return DEFAULT_POLICY;
+    }
+    return policy;
+}
+
+// Pinned days only change when their solution is revealed, so rows are kept after the first read
+const pinnedQuestions = new Map();
+// Days being pinned right now, so concurrent first lookups share one pick
+const pinning = new Map();
+
+async function loadPinnedQuestion(dateKey) {
+    if (pinnedQuestions.has(dateKey)) return pinnedQuestions.get(dateKey);
+    const row = await getDailyQuestion(dateKey);
+    if (row) pinnedQuestions.set(dateKey, row);
+    return row;
+}
+
+function shuffle(values) {
+    const result = [...values];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Pick a question for a date that has no history yet
+ * @param {Object[]} recent - Pinned days before this one, newest first
+ * @returns {{question: Object|undefined, shuffleCycle: number|null}}
+ */
+function pickQuestion(policy, questions, recent, date) {
+    const previous = recent[0] || null;
+
+    if (policy === 'day-of-month') {
+        const { day } = getTimeZoneParts(date);
+        return { question: questions[(day - 1) % questions.length], shuffleCycle: null };
+    }
+
+    if (policy === 'sequential') {
+        // The question after the last one used in rotation order, wrapping around at the end of the bank.
+        // The last one may have been retired since, so it is looked up in the whole bank.
+        if (!previous) return { question: questions[0], shuffleCycle: null };
+        const last = getAllQuestions().find(q => q.Day === previous.question_day) || { Day: previous.question_day };
+        const next = questions.find(q => compareQuestionOrder(q, last) > 0);
+        return { question: next || questions[0], shuffleCycle: null };
+    }
+
+    // shuffled: work through the active questions in a random order before any question repeats.
+    // Each pass over the bank is a numbered cycle, so the days it used can be read back.
+    const activeDays = questions.map(q => q.Day);
+    let shuffleCycle = previous?.shuffle_cycle || 1;
+    const used = new Set();
+    for (const row of recent) {
+        if (row.shuffle_cycle !== shuffleCycle) break;
+        used.add(row.question_day);
+    }
+    let remaining = activeDays.filter(day => !used.has(day));
+
+    if (remaining.length === 0) {
+        shuffleCycle++;
+        // Don't start a new cycle with the question that ended the last one
+        remaining = activeDays.length > 1 && previous
+            ? activeDays.filter(day => day !== previous.question_day)
+            : activeDays;
+    }
+
+    const [day] = shuffle(remaining);
+    return { question: questions.find(q => q.Day === day), shuffleCycle };
+}
+
+function toResolvedQuestion(row) {
+    // Prefer the live question so fixes made since then apply; fall back to the snapshot
+    const question = getAllQuestions().find(q => q.Question === row.snapshot.Question) || row.snapshot;
+    return {
+        ...question,
+        DisplayDay: question.Day,
+        ResolvedDate: row.post_date,
+        RotationPolicy: row.rotation_policy,
+        SolutionRevealed: Boolean(row.solution_revealed_at),
+    };
+}
+
+async function pinQuestion(dateKey, date) {
+    const questions = getActiveQuestions();
+    if (questions.length === 0) {
+        console.log('⚠️ Could not resolve question: the question bank has no active questions');
+        return null;
+    }
+
+    const policy = getRotationPolicy();
+    const recent = await getDailyQuestions({ before: dateKey, limit: questions.length });
+    const { question, shuffleCycle } = pickQuestion(policy, questions, recent, date);
+    if (!question) {
+        console.log(`⚠️ No question found for ${dateKey}`);
+        return null;
+    }
+
+    const row = {
+        post_date: dateKey,
+        question_day: question.Day,
+        question_title: question.Question,
+        rotation_policy: policy,
+        shuffle_cycle: shuffleCycle,
+        snapshot: question,
+    };
+
+    const recorded = await recordDailyQuestion(row);
+    if (recorded) {
+        pinnedQuestions.set(dateKey, recorded);
+        console.log(`ℹ️ Question for ${dateKey}: Day ${question.Day} (${policy})`);
+        return recorded;
+    }
+
+    // Someone else pinned the day first
+    const existing = await getDailyQuestion(dateKey);
+    if (existing) {
+        pinnedQuestions.set(dateKey, existing);
+        return existing;
+    }
+
+    // The database is unavailable: keep the pick for this run so lookups still agree
+    console.warn(`⚠ Could not store the question for ${dateKey}, using Day ${question.Day} until the next restart`);
+    const unsaved = { ...row, resolved_at: new Date().toISOString(), solution_revealed_at: null };
+    pinnedQuestions.set(dateKey, unsaved);
+    return unsaved;
+}
+
+/**
+ * Get the question of the day for a date in Asia/Kolkata.
+ * The first lookup of a day pins the choice in the daily_questions table, so the 8 AM post,
+ * /dailyquestions and answer checking always agree and past days can be looked up exactly.
+ * @param {Date} date - Any instant on the wanted day
+ * @param {Object} options
+ * @param {boolean} options.record - Pick and store a question if the day has none yet
+ * @returns {Promise<Object|null>} The question with DisplayDay, or null if none is available
+ */
+async function getQuestionForDate(date = new Date(), { record = true } = {}) {
+    const dateKey = getDateKeyInTimeZone(date);
+    const pinned = await loadPinnedQuestion(dateKey);
+    if (pinned) return toResolvedQuestion(pinned);
+
+    if (!record) {
+        return null;
+    }
+
+    if (!pinning.has(dateKey)) {
+        pinning.set(dateKey, pinQuestion(dateKey, date).finally(() => pinning.delete(dateKey)));
+    }
+    const row = await pinning.get(dateKey);
+    return row ? toResolvedQuestion(row) : null;
+}
+
+/**
+ * Get today's question of the day
+ */
+function getTodaysQuestion() {
+    return getQuestionForDate(new Date());
+}
+
+/**
+ * Mark a day's explanation as public, so commands stop hiding it
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Promise<boolean>} Whether the day has a recorded question
+ */
+async function markSolutionRevealed(dateKey) {
+    const row = await loadPinnedQuestion(dateKey);
+    if (!row) return false;
+    if (row.solution_revealed_at) return true;
+
+    const updated = await markDailyQuestionRevealed(dateKey);
+    row.solution_revealed_at = updated?.solution_revealed_at || new Date().toISOString();
+    return true;
+}
+
+/**
+ * Get the recorded question history, newest first
+ * @returns {Promise<Array<{date: string, day: number, policy: string, resolvedAt: string, snapshot: Object}>>}
+ */
+async function getQuestionHistory() {
+    const rows = await getDailyQuestions();
+    return rows.map(row => ({
+        date: row.post_date,
+        day: row.question_day,
+        policy: row.rotation_policy,
+        resolvedAt: row.resolved_at,
+        snapshot: row.snapshot,
+    }));
+}
+
+module.exports = {
+    ROTATION_POLICIES,
+    getRotationPolicy,
+    getQuestionForDate,
+    getTodaysQuestion,
+    getQuestionHistory,
+    markSolutionRevealed,
+};
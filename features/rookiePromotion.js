@@ -0,0 +1,283 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } = require('discord.js');
+const { syncMember, getMember, addPoints, getDailyQuestionSolveDatesByUser, getRookies, getRookie, removeRookie, importRookies } = require('../database/db');
+const { getDateKeyInTimeZone } = require('../utils/timezoneUtils');
+
+const REPORTS_CHANNEL_ID = '1475575831601610862';
+const ROOKIE_ROLE_NAME = (process.env.ROOKIE_ROLE_NAME || 'rookies').trim().toLowerCase();
+// Role given to promoted rookies (defaults to the Belmonts member role)
+const MEMBER_ROLE_ID = process.env.MEMBER_ROLE_ID || '1307057022453153813';
+const MAX_PROMOTE_BUTTONS = 10;
+
+// A criterion set to 0 is not required
+const PROMOTION_CRITERIA = {
+    points: parseInt(process.env.ROOKIE_PROMOTION_MIN_POINTS || '25', 10) || 0,
+    streak: parseInt(process.env.ROOKIE_PROMOTION_MIN_STREAK || '0', 10) || 0,
+    daysActive: parseInt(process.env.ROOKIE_PROMOTION_MIN_DAYS_ACTIVE || '7', 10) || 0,
+};
+
+const CRITERIA_LABELS = {
+    points: value => `${value}+ points`,
+    streak: value => `a ${value}-day solve streak`,
+    daysActive: value => `${value}+ days active`,
+};
+
+function normalizeRoleName(name) {
+    return String(name || '').trim().toLowerCase();
+}
+
+/**
+ * Consecutive days with a solve, ending today (or yesterday while today's question is still open).
+ * Counted from the solve history rather than solve_streaks, so streak freezes don't count towards promotion.
+ * @param {string[]} solveDates - YYYY-MM-DD dates
+ * @param {string} todayKey - Today's YYYY-MM-DD in Asia/Kolkata
+ */
+function getSolveStreak(solveDates, todayKey) {
+    const solved = new Set(solveDates);
+    const day = new Date(`${todayKey}T00:00:00Z`);
+    if (!solved.has(todayKey)) day.setUTCDate(day.getUTCDate() - 1);
+
+    let streak = 0;
+    while (solved.has(day.toISOString().slice(0, 10))) {
+        streak++;
+        day.setUTCDate(day.getUTCDate() - 1);
+    }
+    return streak;
+}
+
+/**
+ * Measure each rookie against the promotion criteria
+ * @returns {Promise<Array<{rookie: Object, points: number, streak: number, daysActive: number, ready: boolean}>>}
+ *          Ready rookies first, then by points
+ */
+async function getRookieProgress(rookies, todayKey = getDateKeyInTimeZone()) {
+    const solveDates = await getDailyQuestionSolveDatesByUser(rookies.map(rookie => rookie.user_id));
+
+    return rookies
+        .map(rookie => {
+            const dates = solveDates[rookie.user_id] || [];
+            const progress = {
+                rookie,
+                points: rookie.points || 0,
+                streak: getSolveStreak(dates, todayKey),
+                daysActive: new Set(dates).size,
+            };
+            progress.ready = Object.entries(PROMOTION_CRITERIA).every(([key, minimum]) => progress[key] >= minimum);
+            return progress;
+        })
+        .sort((a, b) => Number(b.ready) - Number(a.ready) || b.points - a.points);
+}
+
+function describeCriteria() {
+    const required = Object.entries(PROMOTION_CRITERIA)
+        .filter(([, minimum]) => minimum > 0)
+        .map(([key, minimum]) => CRITERIA_LABELS[key](minimum));
+    return required.length > 0 ? required.join(' • ') : 'No criteria set - every rookie is a candidate';
+}
+
+function formatProgressLine({ rookie, points, streak, daysActive }) {
+    const name = rookie.display_name || rookie.username || rookie.user_id;
+    return `<@${rookie.user_id}> (${name}) - ${points} pts • ${streak}-day streak • ${daysActive} day${daysActive === 1 ? '' : 's'} active`;
+}
+
+function joinLines(lines) {
+    const text = lines.join('\n');
+    if (text.length <= 1024) return text;
+    // Cut at a whole line and say how many were left out
+    let kept = '';
+    let count = 0;
+    for (const line of lines) {
+        if (kept.length + line.length + 20 > 1024) break;
+        kept += `${line}\n`;
+        count++;
+    }
+    return `${kept}…and ${lines.length - count} more`;
+}
+
+function buildReviewEmbed(progress) {
+    const ready = progress.filter(entry => entry.ready);
+    const progressing = progress.filter(entry => !entry.ready);
+
+    const embed = new EmbedBuilder()
+        .setColor('#9b59b6')
+        .setTitle('🎓 Rookie Review')
+        .setDescription(`**Promotion needs:** ${describeCriteria()}\n${progress.length} rookie${progress.length === 1 ? '' : 's'} tracked`)
+        .setTimestamp();
+
+    if (progress.length === 0) {
+        return embed.setDescription('There are no rookies right now.');
+    }
+
+    embed.addFields(
+        { name: `✅ Ready for promotion (${ready.length})`, value: ready.length > 0 ? joinLines(ready.map(formatProgressLine)) : 'Nobody yet.', inline: false },
+        { name: `⏳ Still progressing (${progressing.length})`, value: progressing.length > 0 ? joinLines(progressing.map(formatProgressLine)) : 'Nobody.', inline: false }
+    );
+
+    if (ready.length > MAX_PROMOTE_BUTTONS) {
+        embed.setFooter({ text: `Buttons show the first ${MAX_PROMOTE_BUTTONS} candidates; use /rookies promote for the rest` });
+    }
+    return embed;
+}
+
+function buildPromoteButtons(progress) {
+    const buttons = progress
+        .filter(entry => entry.ready)
+        .slice(0, MAX_PROMOTE_BUTTONS)
+        .map(({ rookie }) => new ButtonBuilder()
+            .setCustomId(`rookie_promote_${rookie.user_id}`)
+            .setLabel(`Promote ${rookie.display_name || rookie.username || rookie.user_id}`.slice(0, 80))
+            .setStyle(ButtonStyle.Success));
+
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 5) {
+        rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
+    }
+    return rows;
+}
+
+/**
+ * Promote a rookie: swap the Discord roles, create the members row, carry rookie points
+ * over into belmonts_points and remove the rookies row.
+ * Each step can be retried, so a failed promotion can simply be run again.
+ * @returns {Promise<{status: 'promoted'|'not_in_guild'|'not_rookie'|'roles_failed'|'member_failed'|'points_failed', points?: number, guildMember?: Object}>}
+ */
+async function promoteRookie(guild, userId, actor) {
+    const guildMember = await guild.members.fetch(userId).catch(() => null);
+    if (!guildMember) return { status: 'not_in_guild' };
+
+    const rookie = await getRookie(userId, guildMember.user.username);
+    const rookieRoles = guildMember.roles.cache.filter(role => normalizeRoleName(role.name) === ROOKIE_ROLE_NAME);
+    if (!rookie && rookieRoles.size === 0) return { status: 'not_rookie' };
+
+    try {
+        await guildMember.roles.add(MEMBER_ROLE_ID, `Promoted from rookie by ${actor.actorName}`);
+        if (rookieRoles.size > 0) {
+            await guildMember.roles.remove(rookieRoles, `Promoted from rookie by ${actor.actorName}`);
+        }
+    } catch (error) {
+        console.error(`Error swapping roles for ${guildMember.user.username}:`, error.message);
+        return { status: 'roles_failed' };
+    }
+
+    await syncMember(guildMember, guild);
+    const member = await getMember(userId);
+    if (!member) return { status: 'member_failed' };
+
+    // Deleting the rookies row claims the promotion, so a double click or retry can't pay the points twice
+    if (rookie && !(await removeRookie(rookie.user_id))) {
+        return { status: 'already_promoted' };
+    }
+
+    const points = rookie?.points || 0;
+    if (points > 0) {
+        const balance = await addPoints(member.member_id, points, {
+            ...actor,
+            reason: 'promotion',
+            referenceId: userId,
+            note: 'Rookie points carried over on promotion',
+        });
+        if (balance === null) {
+            // Put the rookie back so running the promotion again retries the payment
+            await importRookies([rookie]);
+            return { status: 'points_failed' };
+        }
+    }
+
+    console.log(`✓ Promoted rookie ${guildMember.user.username} with ${points} points`);
+    return { status: 'promoted', points, guildMember };
+}
+
+const PROMOTE_ERRORS = {
+    not_in_guild: 'That user isn\'t in this server.',
+    not_rookie: 'That user isn\'t a rookie.',
+    roles_failed: 'The roles could not be changed. Check that my role is above the rookie and member roles.',
+    member_failed: 'The roles were swapped, but the members row could not be created. Run the promotion again.',
+    points_failed: 'The member was created, but the rookie points could not be carried over. Run the promotion again.',
+    already_promoted: 'That rookie was already promoted, or the rookies table could not be updated.',
+};
+
+async function postPromotionReport(client, embed) {
+    try {
+        const reportsChannel = client.channels.cache.get(REPORTS_CHANNEL_ID);
+        if (!reportsChannel || !reportsChannel.isTextBased()) {
+            console.warn('⚠ Reports channel not found, promotion not reported');
+            return;
+        }
+        await reportsChannel.send({ embeds: [embed] });
+    } catch (error) {
+        console.error('Error posting promotion report:', error.message);
+    }
+}
+
+async function runPromotion(interaction, userId) {
+    const actor = { actorId: interaction.user.id, actorName: interaction.user.username };
+    const result = await promoteRookie(interaction.guild, userId, actor);
+    if (result.status !== 'promoted') {
+        return { error: `❌ ${PROMOTE_ERRORS[result.status]}` };
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor('#2ecc71')
+        .setTitle('🎓 Rookie promoted')
+        .setDescription(`<@${userId}> is now a full member!`)
+        .addFields({ name: 'Points carried over', value: `${result.points} points`, inline: true })
+        .setFooter({ text: `By ${interaction.user.username}` })
+        .setTimestamp();
+
+    await postPromotionReport(interaction.client, embed);
+    return { embed };
+}
+
+/**
+ * Handle /rookies review|promote (staff only)
+ */
+async function handleRookiesCommand(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'review') {
+        const progress = await getRookieProgress(await getRookies());
+        return interaction.editReply({ embeds: [buildReviewEmbed(progress)], components: buildPromoteButtons(progress) });
+    }
+
+    if (subcommand === 'promote') {
+        const user = interaction.options.getUser('member');
+        const result = await runPromotion(interaction, user.id);
+        return interaction.editReply(result.error ? { content: result.error } : { embeds: [result.embed] });
+    }
+
+    return interaction.editReply({ content: '❌ Unknown subcommand.' });
+}
+
+/**
+ * Handle rookie_promote_<userId> buttons from /rookies review
+ */
+async function handleRookiePromoteButton(interaction) {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        return interaction.reply({ content: '❌ Only staff can promote rookies.', ephemeral: true });
+    }
+
+    const userId = interaction.customId.split('_')[2];
+    await interaction.deferReply();
+    const result = await runPromotion(interaction, userId);
+    if (result.error) {
+        return interaction.editReply({ content: result.error });
+    }
+
+    // Disable the used button so the review can't promote twice
+    const rows = interaction.message.components.map(row => {
+        const builder = ActionRowBuilder.from(row);
+        builder.components.forEach(button => {
+            if (button.data.custom_id === interaction.customId) {
+                button.setDisabled(true).setStyle(ButtonStyle.Secondary);
+            }
+        });
+        return builder;
+    });
+    await interaction.message.edit({ components: rows }).catch(error => console.error('Could not update review buttons:', error.message));
+
+    return interaction.editReply({ embeds: [result.embed] });
+}
+
+module.exports = {
+    handleRookiesCommand,
+    handleRookiePromoteButton,
+};
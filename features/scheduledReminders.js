@@ -1,39 +1,57 @@
 const { EmbedBuilder, ChannelType } = require('discord.js');
-const { getDelayUntilNextScheduledTime, getTimeWithTimezoneInfo, formatTimeInTimeZone } = require('../utils/timezoneUtils');
+const { registerJob, unregisterJob, getNextCronOccurrence } = require('../utils/scheduler');
+const { formatTimeInTimeZone, zonedTimeToDate, getTimeZoneParts } = require('../utils/timezoneUtils');
+const {
+    getScheduledReminders,
+    getScheduledReminder,
+    createScheduledReminder,
+    updateScheduledReminder,
+    deleteScheduledReminder,
+} = require('../database/db');
 
-// Scheduled reminder times (24-hour format)
-const REMINDERS = [
+// Used only when the database is not configured; the live reminders are stored in scheduled_reminders
+const DEFAULT_REMINDERS = [
     {
+        reminder_id: 'default-1',
         name: 'Daily Progress Reminder',
-        hour: 21,
-        minute: 30,
-        message: '📊 Belmonts Daily Progress Reminder 📊',
+        title: '📊 Belmonts Daily Progress Reminder 📊',
         description: `Hey Belmonts! It's time to check in 🚀
 What progress did you make today in **Byte Bash Blitz**?
 Post your updates, celebrate your wins, and keep pushing forward 💪✨`,
         color: '#00D9FF',
-        channelId: '1304853237471510639',
+        channel_id: '1304853237471510639',
+        repeat: 'daily',
+        remind_time: '21:30:00',
     },
     {
+        reminder_id: 'default-2',
         name: 'Last Call Progress Reminder',
-        hour: 23,
-        minute: 0,
-        message: '⏰ Last Call - Belmonts Daily Progress ⏰',
-        description: `🚨 This is your last call, Belmonts! 
+        title: '⏰ Last Call - Belmonts Daily Progress ⏰',
+        description: `🚨 This is your last call, Belmonts!
 Don't miss out on sharing your progress in **Byte Bash Blitz** today!
 Post your final updates now and celebrate your achievements before we wrap up! 🎯✨`,
         color: '#FF6B6B',
-        channelId: '1304853237471510639',
+        channel_id: '1304853237471510639',
+        repeat: 'daily',
+        remind_time: '23:00:00',
     },
 ];
 
+const REPEAT_OPTIONS = ['once', 'daily', 'weekdays', 'weekly'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)(?::\d{2})?$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const COLOR_PATTERN = /^#?([0-9a-f]{6})$/i;
+
+let reminderClient = null;
+
 /**
  * Find a channel by ID or name
  */
 function findTargetChannel(client, reminder) {
     // First try by channel ID if provided
-    if (reminder.channelId) {
-        const channel = client.channels.cache.get(reminder.channelId);
+    if (reminder.channel_id) {
+        const channel = client.channels.cache.get(reminder.channel_id);
         if (channel && channel.type === ChannelType.GuildText && channel.permissionsFor(channel.guild.members.me)?.has('SendMessages')) {
             return channel;
         }
@@ -46,9 +64,9 @@ function findTargetChannel(client, reminder) {
  */
 function createReminderEmbed(reminder) {
     return new EmbedBuilder()
-        .setColor(reminder.color)
-        .setTitle(reminder.message)
-        .setDescription(reminder.description)
+        .setColor(reminder.color || '#00D9FF')
+        .setTitle(reminder.title)
+        .setDescription(reminder.description || null)
         .setTimestamp();
 }
 
@@ -62,55 +80,329 @@ async function sendScheduledReminder(client, reminder) {
         const channel = findTargetChannel(client, reminder);
 
         if (!channel) {
-            console.warn(`⚠ Channel ${reminder.channelId} not found for "${reminder.name}"`);
+            console.warn(`⚠ Channel ${reminder.channel_id} not found for "${reminder.name}"`);
+            // A one-off reminder can't be retried later, so close it instead of leaving it pending
+            if (reminder.repeat === 'once' && typeof reminder.reminder_id === 'number') {
+                await updateScheduledReminder(reminder.reminder_id, { is_completed: true });
+            }
             return;
         }
 
         const embed = createReminderEmbed(reminder);
 
         await channel.send({
+            content: reminder.mention_role_id ? `<@&${reminder.mention_role_id}>` : undefined,
             embeds: [embed],
+            allowedMentions: { roles: reminder.mention_role_id ? [reminder.mention_role_id] : [] },
         });
 
         console.log(`✓ Reminder sent in #${channel.name}`);
+
+        if (typeof reminder.reminder_id === 'number') {
+            await updateScheduledReminder(reminder.reminder_id, {
+                last_sent_at: new Date().toISOString(),
+                ...(reminder.repeat === 'once' ? { is_completed: true } : {}),
+            });
+        }
     } catch (error) {
         console.error(`Error sending reminder "${reminder.name}":`, error);
     }
 }
 
 /**
- * Schedule a reminder to run at a specific time daily
+ * Parse "HH:MM" (or a database "HH:MM:SS") into hour and minute
+ */
+function parseReminderTime(time) {
+    const match = TIME_PATTERN.exec(String(time || '').trim());
+    if (!match) return null;
+    return { hour: parseInt(match[1], 10), minute: parseInt(match[2], 10) };
+}
+
+/**
+ * Build the cron expression for a recurring reminder
+ */
+function buildReminderCron(reminder) {
+    const { hour, minute } = parseReminderTime(reminder.remind_time);
+
+    if (reminder.repeat === 'weekdays') return `${minute} ${hour} * * 1-5`;
+    if (reminder.repeat === 'weekly') return `${minute} ${hour} * * ${reminder.weekday ?? 0}`;
+    return `${minute} ${hour} * * *`;
+}
+
+/**
+ * Human readable schedule, e.g. "Weekdays at 21:30"
+ */
+function describeReminderSchedule(reminder) {
+    const time = String(reminder.remind_time).slice(0, 5);
+
+    if (reminder.repeat === 'once') {
+        return reminder.run_at ? `Once on ${formatTimeInTimeZone(reminder.run_at)}` : `Once at ${time}`;
+    }
+    if (reminder.repeat === 'weekdays') return `Weekdays at ${time}`;
+    if (reminder.repeat === 'weekly') return `Every ${WEEKDAY_NAMES[reminder.weekday ?? 0]} at ${time}`;
+    return `Daily at ${time}`;
+}
+
+function getReminderJobName(reminder) {
+    return `reminder:${reminder.reminder_id}`;
+}
+
+/**
+ * Schedule a reminder with the job scheduler
  */
 function scheduleReminder(client, reminder) {
-    const msUntilReminder = getDelayUntilNextScheduledTime(reminder.hour, reminder.minute);
-    const hoursUntil = Math.floor(msUntilReminder / (1000 * 60 * 60));
-    const minutesUntil = Math.floor((msUntilReminder % (1000 * 60 * 60)) / (1000 * 60));
-
-    console.log(
-        `📅 "${reminder.name}" scheduled in ${hoursUntil}h ${minutesUntil}m ` +
-        `(${reminder.hour.toString().padStart(2, '0')}:${reminder.minute.toString().padStart(2, '0')} Asia/Kolkata)`
-    );
-
-    // Schedule first execution
-    setTimeout(() => {
-        sendScheduledReminder(client, reminder);
-
-        // Then repeat daily
-        setInterval(() => {
-            sendScheduledReminder(client, reminder);
-        }, 24 * 60 * 60 * 1000); // Every 24 hours
-    }, msUntilReminder);
+    const jobName = getReminderJobName(reminder);
+
+    if (reminder.is_completed || reminder.is_paused) {
+        unregisterJob(jobName);
+        return;
+    }
+
+    registerJob({
+        name: jobName,
+        ...(reminder.repeat === 'once' ? { at: reminder.run_at } : { cron: buildReminderCron(reminder) }),
+        description: `${reminder.name} (${describeReminderSchedule(reminder)})`,
+        catchUpWindowMinutes: 30,
+        group: 'reminder',
+        run: () => sendScheduledReminder(client, reminder),
+    });
+}
+
+/**
+ * Load reminders from the database, falling back to the defaults without one
+ */
+async function loadReminders() {
+    const reminders = await getScheduledReminders();
+    return reminders === null ? DEFAULT_REMINDERS : reminders;
+}
+
+// ============ /reminder command ============
+
+/**
+ * Work out when a reminder runs from the command options
+ * @returns {{ reminder?: Object, error?: string }}
+ */
+function resolveReminderSchedule({ time, repeat, date }) {
+    const parsedTime = parseReminderTime(time);
+    if (!parsedTime) {
+        return { error: 'Time must be in 24-hour `HH:MM` format, e.g. `21:30`.' };
+    }
+
+    let day = null;
+    if (date) {
+        const match = DATE_PATTERN.exec(date);
+        if (!match) {
+            return { error: 'Date must be in `YYYY-MM-DD` format.' };
+        }
+        day = { year: parseInt(match[1], 10), month: parseInt(match[2], 10), day: parseInt(match[3], 10) };
+    }
+
+    const remindTime = `${String(parsedTime.hour).padStart(2, '0')}:${String(parsedTime.minute).padStart(2, '0')}`;
+    const schedule = { repeat, remind_time: remindTime, weekday: null, run_at: null };
+
+    if (repeat === 'once') {
+        const runAt = day
+            ? zonedTimeToDate(day.year, day.month, day.day, parsedTime.hour, parsedTime.minute)
+            : getNextCronOccurrence(`${parsedTime.minute} ${parsedTime.hour} * * *`);
+
+        if (runAt <= new Date()) {
+            return { error: 'That date and time is already in the past.' };
+        }
+        schedule.run_at = runAt.toISOString();
+    }
+
+    if (repeat === 'weekly') {
+        const anchor = day
+            ? zonedTimeToDate(day.year, day.month, day.day, 12, 0)
+            : new Date();
+        schedule.weekday = getTimeZoneParts(anchor).weekday;
+    }
+
+    return { reminder: schedule };
+}
+
+function parseReminderColor(color) {
+    if (!color) return null;
+    const match = COLOR_PATTERN.exec(color.trim());
+    return match ? `#${match[1].toUpperCase()}` : undefined;
+}
+
+function buildReminderListEmbed(reminders) {
+    const embed = new EmbedBuilder()
+        .setColor('#00D9FF')
+        .setTitle('⏰ Scheduled Reminders')
+        .setFooter({ text: 'Times are Asia/Kolkata' })
+        .setTimestamp();
+
+    if (reminders.length === 0) {
+        return embed.setDescription('No reminders configured. Add one with `/reminder add`.');
+    }
+
+    reminders.slice(0, 25).forEach(reminder => {
+        const state = reminder.is_paused ? '⏸ Paused' : '✅ Active';
+        const role = reminder.mention_role_id ? ` • <@&${reminder.mention_role_id}>` : '';
+        embed.addFields({
+            name: `#${reminder.reminder_id} ${reminder.name} — ${state}`,
+            value: `${describeReminderSchedule(reminder)} in <#${reminder.channel_id}>${role}\n**${reminder.title}**`,
+            inline: false
+        });
+    });
+
+    return embed;
+}
+
+/**
+ * Handle /reminder add|edit|remove|list|pause
+ */
+async function handleReminderCommand(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'list') {
+        const reminders = await getScheduledReminders();
+        if (reminders === null) {
+            return interaction.editReply({ content: '⚠️ Database is not configured, reminders cannot be managed.' });
+        }
+        return interaction.editReply({ embeds: [buildReminderListEmbed(reminders)] });
+    }
+
+    if (subcommand === 'add') {
+        const repeat = interaction.options.getString('repeat') || 'daily';
+        const { reminder: schedule, error } = resolveReminderSchedule({
+            time: interaction.options.getString('time'),
+            repeat,
+            date: interaction.options.getString('date'),
+        });
+        if (error) {
+            return interaction.editReply({ content: `❌ ${error}` });
+        }
+
+        const color = parseReminderColor(interaction.options.getString('color'));
+        if (color === undefined) {
+            return interaction.editReply({ content: '❌ Colour must be a hex value such as `#00D9FF`.' });
+        }
+
+        const created = await createScheduledReminder({
+            ...schedule,
+            name: interaction.options.getString('name'),
+            title: interaction.options.getString('title'),
+            description: interaction.options.getString('message') || null,
+            channel_id: interaction.options.getChannel('channel').id,
+            mention_role_id: interaction.options.getRole('role')?.id || null,
+            color: color || '#00D9FF',
+            created_by_id: interaction.user.id,
+            created_by_username: interaction.user.username,
+        });
+
+        if (!created) {
+            return interaction.editReply({ content: '❌ Could not save the reminder. Please try again.' });
+        }
+
+        scheduleReminder(reminderClient, created);
+        return interaction.editReply({
+            content: `✅ Reminder **#${created.reminder_id} ${created.name}** added: ${describeReminderSchedule(created)} in <#${created.channel_id}>.`
+        });
+    }
+
+    const reminderId = interaction.options.getInteger('id');
+    const existing = await getScheduledReminder(reminderId);
+    if (!existing) {
+        return interaction.editReply({ content: `❌ Reminder #${reminderId} not found.` });
+    }
+
+    if (subcommand === 'remove') {
+        const deleted = await deleteScheduledReminder(reminderId);
+        if (!deleted) {
+            return interaction.editReply({ content: '❌ Could not remove the reminder. Please try again.' });
+        }
+        unregisterJob(getReminderJobName(existing), { forget: true });
+        return interaction.editReply({ content: `🗑️ Reminder **#${reminderId} ${existing.name}** removed.` });
+    }
+
+    if (subcommand === 'pause') {
+        const updated = await updateScheduledReminder(reminderId, { is_paused: !existing.is_paused });
+        if (!updated) {
+            return interaction.editReply({ content: '❌ Could not update the reminder. Please try again.' });
+        }
+        scheduleReminder(reminderClient, updated);
+        return interaction.editReply({
+            content: updated.is_paused
+                ? `⏸ Reminder **#${reminderId} ${updated.name}** paused. Run \`/reminder pause\` again to resume.`
+                : `▶ Reminder **#${reminderId} ${updated.name}** resumed: ${describeReminderSchedule(updated)}.`
+        });
+    }
+
+    if (subcommand === 'edit') {
+        const changes = {};
+        const time = interaction.options.getString('time');
+        const repeat = interaction.options.getString('repeat');
+        const date = interaction.options.getString('date');
+
+        if (time || repeat || date) {
+            const { reminder: schedule, error } = resolveReminderSchedule({
+                time: time || existing.remind_time,
+                repeat: repeat || existing.repeat,
+                date,
+            });
+            if (error) {
+                return interaction.editReply({ content: `❌ ${error}` });
+            }
+            // Keep the weekday of a weekly reminder unless a new date was given
+            if (!date && schedule.repeat === 'weekly' && existing.repeat === 'weekly') {
+                schedule.weekday = existing.weekday;
+            }
+            Object.assign(changes, schedule, { is_completed: false });
+        }
+
+        const colorOption = interaction.options.getString('color');
+        if (colorOption) {
+            const color = parseReminderColor(colorOption);
+            if (!color) {
+                return interaction.editReply({ content: '❌ Colour must be a hex value such as `#00D9FF`.' });
+            }
+            changes.color = color;
+        }
+
+        const name = interaction.options.getString('name');
+        const title = interaction.options.getString('title');
+        const message = interaction.options.getString('message');
+        const channel = interaction.options.getChannel('channel');
+        const role = interaction.options.getRole('role');
+        const clearRole = interaction.options.getBoolean('clear_role');
+
+        if (name) changes.name = name;
+        if (title) changes.title = title;
+        if (message) changes.description = message;
+        if (channel) changes.channel_id = channel.id;
+        if (role) changes.mention_role_id = role.id;
+        if (clearRole) changes.mention_role_id = null;
+
+        if (Object.keys(changes).length === 0) {
+            return interaction.editReply({ content: 'ℹ️ Nothing to change. Pass at least one option to edit.' });
+        }
+
+        const updated = await updateScheduledReminder(reminderId, changes);
+        if (!updated) {
+            return interaction.editReply({ content: '❌ Could not update the reminder. Please try again.' });
+        }
+        scheduleReminder(reminderClient, updated);
+        return interaction.editReply({
+            content: `✏️ Reminder **#${reminderId} ${updated.name}** updated: ${describeReminderSchedule(updated)} in <#${updated.channel_id}>.`
+        });
+    }
 }
 
 /**
  * Initialize all scheduled reminders
  */
 function handleScheduledReminders(client) {
-    client.once('ready', () => {
+    reminderClient = client;
+
+    client.once('ready', async () => {
         console.log('✓ Scheduled reminders system initialized');
-        
+
         // Schedule all reminders
-        for (const reminder of REMINDERS) {
+        const reminders = await loadReminders();
+        for (const reminder of reminders) {
             scheduleReminder(client, reminder);
         }
     });
@@ -118,4 +410,6 @@ function handleScheduledReminders(client) {
 
 module.exports = {
     handleScheduledReminders,
+    handleReminderCommand,
+    REPEAT_OPTIONS,
 };
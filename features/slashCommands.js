@@ -1,34 +1,30 @@
-const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-const { buildLeaderboardEmbed, getLeaderboardButtons, buildMyPointsEmbed } = require('./leaderboard');
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ActionRowBuilder, ButtonBuilder, ButtonStyle, ChannelType } = require('discord.js');
+const { LEADERBOARD_FILTERS, loadLeaderboard, encodeLeaderboardState, decodeLeaderboardState, findLeaderboardPosition, buildLeaderboardEmbed, buildLeaderboardCard, getLeaderboardButtons, buildMyPointsEmbed, buildStreakFields } = require('./leaderboard');
 const { loadTerminologies, postDailyTerminology } = require('./dailyTerminology');
-const { getLeaderboard, getMember, getMemberByUsername, getMemberByDiscordID, getPoints, initializePoints, syncMember } = require('../database/db');
-const fs = require('fs');
-const path = require('path');
-
+const { handleReminderCommand, REPEAT_OPTIONS } = require('./scheduledReminders');
+const { handleRemindMeCommand } = require('./personalReminders');
+const { handleSubmitCommand } = require('./codeSubmission');
+const { handlePointsHistoryCommand, handlePointsHistoryButton, findMemberForUser } = require('./pointsHistory');
+const { handlePointsCommand } = require('./pointsAdmin');
+const { handleExclusionsCommand } = require('./memberExclusions');
+const { handleRookiesCommand, handleRookiePromoteButton } = require('./rookiePromotion');
+const { getStreakSummary } = require('./solveStreaks');
+const { trackAchievement, handleBadgesCommand } = require('./achievements');
+const { handleLevelsCommand } = require('./levels');
+const { DIFFICULTIES, getActiveQuestions, getQuestionByDay, getQuestionBankStats, handleQuestionBankCommand } = require('./questionBank');
+const { getTodaysQuestion } = require('./questionResolver');
+const { handleQuestionHistoryCommand, handleQuestionHistoryButton, parseHistoryDate } = require('./questionHistory');
+const { buildHintButtons, isSolutionHidden, handleHintButton } = require('./questionHints');
+const { getPoints, getMemberRank, getMemberPointsForPeriod, getLastPointsAward, initializePoints, syncMember, getRookie } = require('../database/db');
+const { listJobs, pauseJob, resumeJob, runJobNow } = require('../utils/scheduler');
+const { formatTimeInTimeZone, getStartOfWeekInTimeZone } = require('../utils/timezoneUtils');
 // Helper functions for rookie data
-const ROOKIES_DATA_PATH = path.join(__dirname, '../json/rookiesData.json');
 const ROOKIE_ROLE_NAME = (process.env.ROOKIE_ROLE_NAME || 'rookies').trim().toLowerCase();
 
 function normalizeRoleName(name) {
     return String(name || '').trim().toLowerCase();
 }
 
-function loadRookiesData() {
-    if (!fs.existsSync(ROOKIES_DATA_PATH)) {
-        return { rookiesmembersData: [], lastUpdated: null };
-    }
-    try {
-        const fileContent = fs.readFileSync(ROOKIES_DATA_PATH, 'utf-8');
-        if (!fileContent.trim()) {
-            return { rookiesmembersData: [], lastUpdated: null };
-        }
-        return JSON.parse(fileContent);
-    } catch (error) {
-        console.error('Error reading rookies data:', error.message);
-        return { rookiesmembersData: [], lastUpdated: null };
-    }
-}
-
 async function isRookieMember(guild, userId, username) {
     if (guild) {
         try {
@@ -41,37 +37,40 @@ async function isRookieMember(guild, userId, username) {
             console.error('Error checking rookie role:', error.message);
         }
     }
-    const data = loadRookiesData();
-    return data.rookiesmembersData.some(m => m.userId === userId || m.username === username);
-}
-
-function getRookiePoints(userId, username) {
-    const data = loadRookiesData();
-    const rookie = data.rookiesmembersData.find(m => m.userId === userId || m.username === username);
-    return {
-        points: rookie?.points || 0,
-        lastUpdate: rookie?.lastAwardedAt || null
-    };
+    return Boolean(await getRookie(userId, username));
 }
 
 // Cache for guild members to avoid rate limiting
 const memberCache = new Map();
 
 function buildHelpEmbed() {
+    const { maxDay } = getQuestionBankStats();
     return new EmbedBuilder()
         .setColor('#5b9bd5')
         .setTitle('🤖 Bot Commands')
         .setDescription('Here are all available slash commands and what they do:')
         .addFields(
             { name: '/help', value: 'Show all commands and their usage.' },
-            { name: '/leaderboard', value: 'Show top 10 users.' },
+            { name: '/leaderboard [period] [batch] [domain] [level] [role] [image]', value: 'Show top 10 users this week, this month, all time or between custom dates, optionally for one batch, domain, level or role, as text or an image card.' },
             { name: '/mypoints', value: 'Show your personal points and last update.' },
+            { name: '/pointshistory', value: 'See every points change on your account and why it happened.' },
+            { name: '/badges [member]', value: 'See the achievement badges you have unlocked and your progress towards the rest.' },
+            { name: '/levels', value: 'See the Belmonts level ladder and your progress to the next level.' },
             { name: '/terminology', value: 'Show today\'s terminology.' },
             { name: '/next', value: 'Preview the next terminology (without changing today\'s).' },
             { name: '/prev', value: 'Preview the previous terminology.' },
             { name: '/dailyquestions', value: 'View today\'s daily programming question.' },
-            { name: '/question <number>', value: 'View a specific question (1-129) with full details.' },
-            { name: '/qd <difficulty>', value: 'Filter questions by difficulty level (Easy/Medium).' }
+            { name: '/question <number>', value: `View a specific question (1-${maxDay}) with full details.` },
+            { name: '/qd <difficulty>', value: `Filter questions by difficulty level (${DIFFICULTIES.join('/')}).` },
+            { name: '/submit <language> [code] [file]', value: 'Run your JavaScript or Python solution to today\'s question and earn points if it\'s correct.' },
+            { name: '/questionhistory [date]', value: 'Browse past daily questions, or see what was asked on a date and who solved it.' },
+            { name: '/remindme <when> <what>', value: 'Set a personal reminder, e.g. `/remindme when:in 2 hours what:stretch`. You can also type "remind me in 2 hours to stretch".' },
+            { name: '/reminder add|edit|remove|list|pause', value: 'Admin: manage scheduled reminders.' },
+            { name: '/jobs list|pause|resume|run', value: 'Admin: view and control scheduled jobs.' },
+            { name: '/questionbank add|edit|retire|reorder|validate', value: 'Admin: manage the daily question bank.' },
+            { name: '/exclusions add|remove|list', value: 'Admin: leave members out of the leaderboard, birthday posts or reports.' },
+            { name: '/rookies review|promote', value: 'Admin: review rookies against the promotion criteria and promote them to full members.' },
+            { name: '/points grant|deduct|set|transfer|reverse', value: 'Admin: change member points with a reason. Every change is logged in the ledger and the reports channel.' }
         )
         .setTimestamp();
 }
@@ -80,9 +79,10 @@ function buildRookieHelpEmbed() {
     return new EmbedBuilder()
         .setColor('#FFD700')
         .setTitle('🎯 Rookie Commands')
-        .setDescription('As a rookie member, here\'s your available command:')
+        .setDescription('As a rookie member, here are your available commands:')
         .addFields(
-            { name: '/dailyquestions', value: 'View today\'s daily programming question with full details and explanation.' }
+            { name: '/dailyquestions', value: 'View today\'s daily programming question, with hint buttons. The explanation unlocks after the nightly report.' },
+            { name: '/submit <language> [code] [file]', value: 'Submit your JavaScript or Python solution to today\'s question.' }
         )
         .setFooter({ text: '🚀 Focus on learning and growth!' })
         .setTimestamp();
@@ -153,33 +153,8 @@ function getPreviousTerminologyEmbed() {
         .setTimestamp();
 }
 
-function loadQuestionsData() {
-    const questionsPath = path.join(__dirname, '../json/dailyQuestion.json');
-    const data = fs.readFileSync(questionsPath, 'utf-8');
-    return JSON.parse(data);
-}
-
 function loadQuestions() {
-    const data = loadQuestionsData();
-    return data.Questions || data;
-}
-
-function getTodaysQuestion() {
-    const data = loadQuestionsData();
-    const questions = data.Questions || data;
-    const startDate = new Date(data.startDate);
-    const today = new Date();
-    
-    // Calculate days elapsed since start date
-    const timeDiff = today - startDate;
-    const daysDiff = Math.floor(timeDiff / (1000 * 60 * 60 * 24));
-    
-    // Get the current index (starting point) and add days elapsed
-    const currentDayNumber = data.currentIndex + daysDiff;
-    
-    // Find the question with matching Day number
-    const todayQuestion = questions.find(q => q.Day === currentDayNumber);
-    return todayQuestion || questions[0];
+    return getActiveQuestions();
 }
 
 function buildQuestionsEmbed(questions, startIndex = 0, itemsPerPage = 5) {
@@ -231,21 +206,26 @@ function getQuestionsNavigationButtons(currentPage, totalPages) {
     return buttons;
 }
 
-function buildQuestionDetailEmbed(question) {
+function buildQuestionDetailEmbed(question, { hideSolution = false } = {}) {
     const embed = new EmbedBuilder()
         .setColor('#27ae60')
         .setTitle(`📝 ${question.Question}`)
         .addFields(
             { name: '📥 Input', value: `\`\`\`\n${question.Input}\n\`\`\``, inline: false },
-            { name: '📤 Output', value: `\`\`\`\n${String(question.Output)}\n\`\`\``, inline: false },
-            { name: '💡 Explanation', value: question.Explain, inline: false }
+            { name: '📤 Output', value: `\`\`\`\n${String(question.Output)}\n\`\`\``, inline: false }
         );
     
+    if (hideSolution) {
+        embed.addFields({ name: '💡 Explanation', value: '🔒 Revealed tonight with the daily report. Use the hint buttons if you are stuck.', inline: false });
+    } else {
+        embed.addFields({ name: '💡 Explanation', value: question.Explain, inline: false });
+    }
+    
     if (question.Difficulty) {
         embed.addFields({ name: '⭐ Difficulty', value: question.Difficulty, inline: true });
     }
     
-    if (question.Formula) {
+    if (question.Formula && !hideSolution) {
         embed.addFields({ name: '📐 Formula', value: question.Formula, inline: false });
     }
     
@@ -256,6 +236,10 @@ function buildQuestionDetailEmbed(question) {
         );
     }
     
+    if (question.Retired) {
+        embed.setFooter({ text: '🗄️ Retired from the daily rotation' });
+    }
+    
     embed.setTimestamp();
     
     return embed;
@@ -316,17 +300,189 @@ function getDifficultyQuestionsNavigationButtons(difficulty, currentPage, totalP
     return buttons;
 }
 
+// Discord allows 25 fields per embed and 6000 characters in total
+const MAX_JOB_FIELDS = 25;
+const MAX_JOB_DESCRIPTION_LENGTH = 100;
+
+function describeJobState(job) {
+    return job.paused ? '⏸ Paused' : job.running ? '▶ Running' : '✅ Active';
+}
+
+function truncateJobText(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * List standalone jobs one per field and fold grouped jobs (one per reminder) into a single field per group
+ */
+function buildJobsEmbed(jobs) {
+    const embed = new EmbedBuilder()
+        .setColor('#5b9bd5')
+        .setTitle('🗓️ Scheduled Jobs')
+        .setFooter({ text: 'Times are Asia/Kolkata' })
+        .setTimestamp();
+
+    if (jobs.length === 0) {
+        return embed.setDescription('No jobs are registered.');
+    }
+
+    const fields = [];
+    const groups = new Map();
+    jobs.forEach(job => {
+        if (job.group) {
+            if (!groups.has(job.group)) groups.set(job.group, []);
+            groups.get(job.group).push(job);
+            return;
+        }
+
+        const nextRun = job.nextRunAt ? formatTimeInTimeZone(job.nextRunAt) : '—';
+        const lastRun = job.lastRunAt ? `${formatTimeInTimeZone(job.lastRunAt)} (${job.lastStatus || 'unknown'})` : 'Never';
+        fields.push({
+            name: `${job.name} — ${describeJobState(job)}`,
+            value: `${truncateJobText(job.description || 'No description', MAX_JOB_DESCRIPTION_LENGTH)}\n**Schedule:** \`${job.schedule}\`\n**Next:** ${nextRun}\n**Last:** ${lastRun}`,
+            inline: false
+        });
+    });
+
+    groups.forEach((groupJobs, group) => {
+        const paused = groupJobs.filter(job => job.paused).length;
+        const upcoming = groupJobs
+            .filter(job => job.nextRunAt && !job.paused)
+            .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt))[0];
+        const nextRun = upcoming ? `${formatTimeInTimeZone(upcoming.nextRunAt)} (\`${upcoming.name}\`)` : '—';
+        fields.push({
+            name: `${group}:* — ${groupJobs.length} job${groupJobs.length === 1 ? '' : 's'}`,
+            value: `${paused} paused\n**Next:** ${nextRun}\nUse the full name, e.g. \`${groupJobs[0].name}\`, with pause, resume or run`,
+            inline: false
+        });
+    });
+
+    embed.addFields(fields.slice(0, MAX_JOB_FIELDS));
+    if (fields.length > MAX_JOB_FIELDS) {
+        embed.setDescription(`Showing ${MAX_JOB_FIELDS} of ${fields.length} entries.`);
+    }
+
+    return embed;
+}
+
+/**
+ * Add the question field options shared by /questionbank add and edit
+ */
+function addQuestionFieldOptions(sub, required) {
+    return sub
+        .addStringOption(option =>
+            option.setName('question').setDescription('Question title').setRequired(required).setMaxLength(200)
+        )
+        .addStringOption(option =>
+            option.setName('input').setDescription('Example input, e.g. "Number1: 45, Number2: 78"').setRequired(required)
+        )
+        .addStringOption(option =>
+            option.setName('output').setDescription('Expected output for the example input').setRequired(required)
+        )
+        .addStringOption(option =>
+            option.setName('explain').setDescription('Explanation of the solution').setRequired(required)
+        )
+        .addStringOption(option =>
+            option.setName('difficulty')
+                .setDescription('Difficulty level')
+                .setRequired(required)
+                .addChoices(...DIFFICULTIES.map(difficulty => ({ name: difficulty, value: difficulty })))
+        )
+        .addStringOption(option =>
+            option.setName('formula').setDescription('Formula (optional)')
+        )
+        .addStringOption(option =>
+            option.setName('method').setDescription('Method signature (optional, needs main_call)')
+        )
+        .addStringOption(option =>
+            option.setName('main_call').setDescription('Main call example (optional, needs method)')
+        )
+        .addStringOption(option =>
+            option.setName('hints').setDescription('Up to 3 hints, cheapest first: "first hint | second hint"')
+        )
+        .addStringOption(option =>
+            option.setName('hidden_tests').setDescription('Hidden tests as JSON: [{"Input": "...", "Output": "..."}]')
+        );
+}
+
+function addPointsReasonOption(sub) {
+    return sub.addStringOption(option =>
+        option.setName('reason').setDescription('Why (shown in the ledger and the reports channel)').setRequired(true).setMaxLength(200)
+    );
+}
+
+function addExclusionScopeOption(sub) {
+    return sub.addStringOption(option =>
+        option.setName('scope')
+            .setDescription('Where the exclusion applies')
+            .setRequired(true)
+            .addChoices(
+                { name: 'Leaderboard', value: 'leaderboard' },
+                { name: 'Birthdays', value: 'birthdays' },
+                { name: 'Reports', value: 'reports' },
+                { name: 'Everywhere', value: 'all' }
+            )
+    );
+}
+
 function buildCommands() {
+    const { maxDay } = getQuestionBankStats();
     return [
         new SlashCommandBuilder()
             .setName('help')
             .setDescription('Show all available commands.'),
         new SlashCommandBuilder()
             .setName('leaderboard')
-            .setDescription('Show the leaderboard (top 10 users).'),
+            .setDescription('Show the leaderboard (top 10 users).')
+            .addStringOption(option =>
+                option.setName('period')
+                    .setDescription('Time window (default: all time)')
+                    .addChoices(
+                        { name: 'This week', value: 'week' },
+                        { name: 'This month', value: 'month' },
+                        { name: 'All time', value: 'all' },
+                        { name: 'Custom dates', value: 'custom' }
+                    )
+            )
+            .addStringOption(option =>
+                option.setName('from').setDescription('Custom period start, e.g. 2026-10-01 or "last monday"')
+            )
+            .addStringOption(option =>
+                option.setName('to').setDescription('Custom period end, inclusive (default: today)')
+            )
+            .addStringOption(option =>
+                option.setName('batch').setDescription('Only members of this batch').setMaxLength(20)
+            )
+            .addStringOption(option =>
+                option.setName('domain').setDescription('Only members with this primary or secondary domain, e.g. AI/ML').setMaxLength(20)
+            )
+            .addStringOption(option =>
+                option.setName('level').setDescription('Only members at this Belmonts level').setMaxLength(20)
+            )
+            .addStringOption(option =>
+                option.setName('role').setDescription('Only members with this role').setMaxLength(20)
+            )
+            .addBooleanOption(option =>
+                option.setName('image').setDescription('Show the page as an image card with avatars')
+            ),
         new SlashCommandBuilder()
             .setName('mypoints')
             .setDescription('Show your personal points.'),
+        new SlashCommandBuilder()
+            .setName('pointshistory')
+            .setDescription('Show your points transactions.')
+            .addUserOption(option =>
+                option.setName('member').setDescription('Staff only: show another member\'s history')
+            ),
+        new SlashCommandBuilder()
+            .setName('badges')
+            .setDescription('Show achievement badges.')
+            .addUserOption(option =>
+                option.setName('member').setDescription('Show another member\'s badges')
+            ),
+        new SlashCommandBuilder()
+            .setName('levels')
+            .setDescription('Show the level ladder and your progress.'),
         new SlashCommandBuilder()
             .setName('terminology')
             .setDescription('Show today\'s terminology.'),
@@ -341,54 +497,347 @@ function buildCommands() {
             .setDescription('View today\'s daily programming question.'),
         new SlashCommandBuilder()
             .setName('question')
-            .setDescription('Get a specific programming question by number (1-129).')
+            .setDescription(`Get a specific programming question by number (1-${maxDay}).`)
             .addIntegerOption(option =>
                 option.setName('number')
-                    .setDescription('Question number (1-129)')
+                    .setDescription(`Question number (1-${maxDay})`)
                     .setRequired(true)
                     .setMinValue(1)
-                    .setMaxValue(129)
+                    .setMaxValue(Math.max(maxDay, 1))
             ),
         new SlashCommandBuilder()
             .setName('qd')
             .setDescription('Get questions filtered by difficulty level.')
             .addStringOption(option =>
                 option.setName('difficulty')
-                    .setDescription('Choose difficulty: Easy or Medium')
+                    .setDescription(`Choose difficulty: ${DIFFICULTIES.join(', ')}`)
+                    .setRequired(true)
+                    .addChoices(...DIFFICULTIES.map(difficulty => ({ name: difficulty, value: difficulty })))
+            ),
+        new SlashCommandBuilder()
+            .setName('submit')
+            .setDescription('Submit your solution to today\'s question.')
+            .addStringOption(option =>
+                option.setName('language')
+                    .setDescription('Language of your solution')
                     .setRequired(true)
                     .addChoices(
-                        { name: 'Easy', value: 'Easy' },
-                        { name: 'Medium', value: 'Medium' }
+                        { name: 'JavaScript', value: 'javascript' },
+                        { name: 'Python', value: 'python' }
+                    )
+            )
+            .addStringOption(option =>
+                option.setName('code')
+                    .setDescription('Your code (a ```code block``` works too). Input is given on stdin, one value per line.')
+                    .setRequired(false)
+            )
+            .addAttachmentOption(option =>
+                option.setName('file')
+                    .setDescription('Or attach your solution as a .js or .py file')
+                    .setRequired(false)
+            ),
+        new SlashCommandBuilder()
+            .setName('questionhistory')
+            .setDescription('Browse past daily questions and who solved them.')
+            .addStringOption(option =>
+                option.setName('date')
+                    .setDescription('A date like 2026-10-19 or "yesterday" (leave empty for the archive)')
+                    .setRequired(false)
+            ),
+        new SlashCommandBuilder()
+            .setName('questionbank')
+            .setDescription('Manage the daily question bank.')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+            .addSubcommand(sub => addQuestionFieldOptions(
+                sub.setName('add')
+                    .setDescription('Add a question.'),
+                true
+            ).addIntegerOption(option =>
+                option.setName('position').setDescription('Place in the rotation to insert at (default: end)').setMinValue(1)
+            ))
+            .addSubcommand(sub => addQuestionFieldOptions(
+                sub.setName('edit')
+                    .setDescription('Edit a question. Pass "-" to clear an optional field.')
+                    .addIntegerOption(option =>
+                        option.setName('day').setDescription('Day number of the question').setRequired(true).setMinValue(1)
+                    ),
+                false
+            ))
+            .addSubcommand(sub =>
+                sub.setName('retire')
+                    .setDescription('Retire a question from the rotation, or restore it if already retired.')
+                    .addIntegerOption(option =>
+                        option.setName('day').setDescription('Day number of the question').setRequired(true).setMinValue(1)
+                    )
+            )
+            .addSubcommand(sub =>
+                sub.setName('reorder')
+                    .setDescription('Move a question to another place in the rotation; Day numbers stay the same.')
+                    .addIntegerOption(option =>
+                        option.setName('day').setDescription('Day number of the question').setRequired(true).setMinValue(1)
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('position').setDescription('New place in the rotation').setRequired(true).setMinValue(1)
+                    )
+            )
+            .addSubcommand(sub =>
+                sub.setName('validate')
+                    .setDescription('Check the question bank against the schema.')
+            ),
+        new SlashCommandBuilder()
+            .setName('points')
+            .setDescription('Manage member points through the ledger.')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+            .addSubcommand(sub =>
+                addPointsReasonOption(
+                    sub.setName('grant')
+                        .setDescription('Give points to a member.')
+                        .addUserOption(option => option.setName('member').setDescription('Member').setRequired(true))
+                        .addIntegerOption(option => option.setName('amount').setDescription('Points to give').setRequired(true).setMinValue(1))
+                )
+            )
+            .addSubcommand(sub =>
+                addPointsReasonOption(
+                    sub.setName('deduct')
+                        .setDescription('Take points from a member.')
+                        .addUserOption(option => option.setName('member').setDescription('Member').setRequired(true))
+                        .addIntegerOption(option => option.setName('amount').setDescription('Points to take').setRequired(true).setMinValue(1))
+                )
+            )
+            .addSubcommand(sub =>
+                addPointsReasonOption(
+                    sub.setName('set')
+                        .setDescription('Set a member\'s balance.')
+                        .addUserOption(option => option.setName('member').setDescription('Member').setRequired(true))
+                        .addIntegerOption(option => option.setName('amount').setDescription('New balance').setRequired(true).setMinValue(0))
+                )
+            )
+            .addSubcommand(sub =>
+                addPointsReasonOption(
+                    sub.setName('transfer')
+                        .setDescription('Move points from one member to another.')
+                        .addUserOption(option => option.setName('from').setDescription('Member giving the points').setRequired(true))
+                        .addUserOption(option => option.setName('to').setDescription('Member receiving the points').setRequired(true))
+                        .addIntegerOption(option => option.setName('amount').setDescription('Points to move').setRequired(true).setMinValue(1))
+                )
+            )
+            .addSubcommand(sub =>
+                addPointsReasonOption(
+                    sub.setName('reverse')
+                        .setDescription('Undo a points transaction.')
+                        .addIntegerOption(option =>
+                            option.setName('id').setDescription('Transaction ID (see /pointshistory)').setRequired(true).setMinValue(1)
+                        )
+                )
+            ),
+        new SlashCommandBuilder()
+            .setName('exclusions')
+            .setDescription('Leave members out of the leaderboard, birthday posts or reports.')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+            .addSubcommand(sub =>
+                addExclusionScopeOption(
+                    sub.setName('add')
+                        .setDescription('Exclude a member.')
+                        .addUserOption(option => option.setName('member').setDescription('Member').setRequired(true))
+                ).addStringOption(option => option.setName('reason').setDescription('Why (optional)').setMaxLength(200))
+            )
+            .addSubcommand(sub =>
+                addExclusionScopeOption(
+                    sub.setName('remove')
+                        .setDescription('Include a member again.')
+                        .addUserOption(option => option.setName('member').setDescription('Member').setRequired(true))
+                )
+            )
+            .addSubcommand(sub =>
+                sub.setName('list')
+                    .setDescription('Show all exclusions.')
+            ),
+        new SlashCommandBuilder()
+            .setName('rookies')
+            .setDescription('Review and promote rookies.')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+            .addSubcommand(sub =>
+                sub.setName('review')
+                    .setDescription('List rookies and who meets the promotion criteria.')
+            )
+            .addSubcommand(sub =>
+                sub.setName('promote')
+                    .setDescription('Promote a rookie to full member, carrying their points over.')
+                    .addUserOption(option => option.setName('member').setDescription('Rookie to promote').setRequired(true))
+            ),
+        new SlashCommandBuilder()
+            .setName('jobs')
+            .setDescription('List and control the bot\'s scheduled jobs.')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+            .addSubcommand(sub =>
+                sub.setName('list')
+                    .setDescription('List all scheduled jobs.')
+            )
+            .addSubcommand(sub =>
+                sub.setName('pause')
+                    .setDescription('Pause a scheduled job.')
+                    .addStringOption(option =>
+                        option.setName('name').setDescription('Job name (see /jobs list)').setRequired(true)
+                    )
+            )
+            .addSubcommand(sub =>
+                sub.setName('resume')
+                    .setDescription('Resume a paused job.')
+                    .addStringOption(option =>
+                        option.setName('name').setDescription('Job name (see /jobs list)').setRequired(true)
+                    )
+            )
+            .addSubcommand(sub =>
+                sub.setName('run')
+                    .setDescription('Run a job immediately.')
+                    .addStringOption(option =>
+                        option.setName('name').setDescription('Job name (see /jobs list)').setRequired(true)
+                    )
+            ),
+        new SlashCommandBuilder()
+            .setName('reminder')
+            .setDescription('Manage scheduled reminders.')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+            .addSubcommand(sub =>
+                sub.setName('add')
+                    .setDescription('Create a one-off or recurring reminder.')
+                    .addStringOption(option =>
+                        option.setName('name').setDescription('Short name for the reminder').setRequired(true).setMaxLength(100)
+                    )
+                    .addStringOption(option =>
+                        option.setName('title').setDescription('Embed title').setRequired(true).setMaxLength(256)
+                    )
+                    .addStringOption(option =>
+                        option.setName('time').setDescription('Time in 24-hour HH:MM (Asia/Kolkata)').setRequired(true)
+                    )
+                    .addChannelOption(option =>
+                        option.setName('channel').setDescription('Channel to post in').setRequired(true).addChannelTypes(ChannelType.GuildText)
+                    )
+                    .addStringOption(option =>
+                        option.setName('repeat').setDescription('How often to send it (default: daily)')
+                            .addChoices(...REPEAT_OPTIONS.map(value => ({ name: value, value })))
+                    )
+                    .addStringOption(option =>
+                        option.setName('date').setDescription('YYYY-MM-DD, for one-off reminders or the weekday of weekly ones')
+                    )
+                    .addStringOption(option =>
+                        option.setName('message').setDescription('Embed text').setMaxLength(4000)
+                    )
+                    .addRoleOption(option =>
+                        option.setName('role').setDescription('Role to mention')
+                    )
+                    .addStringOption(option =>
+                        option.setName('color').setDescription('Embed colour as hex, e.g. #00D9FF')
+                    )
+            )
+            .addSubcommand(sub =>
+                sub.setName('edit')
+                    .setDescription('Change an existing reminder.')
+                    .addIntegerOption(option =>
+                        option.setName('id').setDescription('Reminder ID (see /reminder list)').setRequired(true)
+                    )
+                    .addStringOption(option =>
+                        option.setName('name').setDescription('Short name for the reminder').setMaxLength(100)
+                    )
+                    .addStringOption(option =>
+                        option.setName('title').setDescription('Embed title').setMaxLength(256)
+                    )
+                    .addStringOption(option =>
+                        option.setName('time').setDescription('Time in 24-hour HH:MM (Asia/Kolkata)')
+                    )
+                    .addChannelOption(option =>
+                        option.setName('channel').setDescription('Channel to post in').addChannelTypes(ChannelType.GuildText)
+                    )
+                    .addStringOption(option =>
+                        option.setName('repeat').setDescription('How often to send it')
+                            .addChoices(...REPEAT_OPTIONS.map(value => ({ name: value, value })))
+                    )
+                    .addStringOption(option =>
+                        option.setName('date').setDescription('YYYY-MM-DD, for one-off reminders or the weekday of weekly ones')
+                    )
+                    .addStringOption(option =>
+                        option.setName('message').setDescription('Embed text').setMaxLength(4000)
+                    )
+                    .addRoleOption(option =>
+                        option.setName('role').setDescription('Role to mention')
+                    )
+                    .addBooleanOption(option =>
+                        option.setName('clear_role').setDescription('Stop mentioning a role')
+                    )
+                    .addStringOption(option =>
+                        option.setName('color').setDescription('Embed colour as hex, e.g. #00D9FF')
+                    )
+            )
+            .addSubcommand(sub =>
+                sub.setName('remove')
+                    .setDescription('Delete a reminder.')
+                    .addIntegerOption(option =>
+                        option.setName('id').setDescription('Reminder ID (see /reminder list)').setRequired(true)
+                    )
+            )
+            .addSubcommand(sub =>
+                sub.setName('list')
+                    .setDescription('List all reminders.')
+            )
+            .addSubcommand(sub =>
+                sub.setName('pause')
+                    .setDescription('Pause or resume a reminder.')
+                    .addIntegerOption(option =>
+                        option.setName('id').setDescription('Reminder ID (see /reminder list)').setRequired(true)
+                    )
+            ),
+        new SlashCommandBuilder()
+            .setName('remindme')
+            .setDescription('Set a personal reminder using plain language.')
+            .addStringOption(option =>
+                option.setName('when').setDescription('When to remind you, e.g. "in 2 hours" or "tomorrow at 9am"').setRequired(true)
+            )
+            .addStringOption(option =>
+                option.setName('what').setDescription('What to remind you about').setRequired(true).setMaxLength(1000)
+            )
+            .addStringOption(option =>
+                option.setName('delivery').setDescription('Where to send the reminder (default: DM)')
+                    .addChoices(
+                        { name: 'DM', value: 'dm' },
+                        { name: 'This channel', value: 'channel' }
                     )
             )
     ].map(cmd => cmd.toJSON());
 }
 
+/**
+ * Register (or refresh) slash commands for the configured guild, or globally
+ * @returns {Promise<Guild|null>} The guild the commands were registered in
+ */
+async function registerCommands(client) {
+    const commands = buildCommands();
+    const guildId = process.env.GUILD_ID;
+    const guild = guildId ? client.guilds.cache.get(guildId) : null;
+
+    if (guild) {
+        await guild.commands.set(commands);
+        await client.application.commands.set([]);
+        console.log(`✓ Slash commands registered for guild ${guildId}`);
+        return guild;
+    }
+
+    await client.application.commands.set(commands);
+    return null;
+}
+
 function handleSlashCommands(client) {
     client.once('ready', async () => {
         try {
-            const commands = buildCommands();
-            const guildId = process.env.GUILD_ID;
-            if (guildId) {
-                const guild = client.guilds.cache.get(guildId);
-                if (guild) {
-                    await guild.commands.set(commands);
-                    await client.application.commands.set([]);
-                    console.log(`✓ Slash commands registered for guild ${guildId}`);
-                    
-                    // Fetch and cache all guild members once at startup
-                    try {
-                        const members = await guild.members.fetch({ limit: 0 });
-                        memberCache.set(guildId, Array.from(members.values()));
-                        console.log(`✓ Cached ${members.size} guild members`);
-                    } catch (error) {
-                        console.warn('Could not cache guild members:', error.message);
-                    }
-                } else {
-                    await client.application.commands.set(commands);
+            const guild = await registerCommands(client);
+            if (guild) {
+                // Fetch and cache all guild members once at startup
+                try {
+                    const members = await guild.members.fetch({ limit: 0 });
+                    memberCache.set(guild.id, Array.from(members.values()));
+                    console.log(`✓ Cached ${members.size} guild members`);
+                } catch (error) {
+                    console.warn('Could not cache guild members:', error.message);
                 }
-            } else {
-                await client.application.commands.set(commands);
             }
         } catch (error) {
             console.error('Failed to register slash commands:', error);
@@ -407,17 +856,39 @@ function handleSlashCommands(client) {
         // Handle leaderboard pagination buttons
         if (interaction.isButton()) {
             if (interaction.customId.startsWith('leaderboard_')) {
-                const [, direction, page] = interaction.customId.split('_');
+                const [, direction, page, ...stateParts] = interaction.customId.split('_');
                 const currentPage = parseInt(page);
-                const leaderboardData = await getLeaderboard();
-                const totalPages = Math.ceil(leaderboardData.length / 10);
+                const state = decodeLeaderboardState(stateParts.join('_'));
+                const leaderboard = await loadLeaderboard(state);
+                if (leaderboard.error) {
+                    return interaction.reply({ content: `❌ ${leaderboard.error}`, ephemeral: true });
+                }
+                const leaderboardData = leaderboard.data;
+                const totalPages = Math.ceil(leaderboardData.length / 10) || 1;
                 
                 let newPage = currentPage;
+                let highlightMemberId = null;
                 if (direction === 'next') newPage = Math.min(currentPage + 1, totalPages);
                 if (direction === 'back') newPage = Math.max(currentPage - 1, 1);
+                if (direction === 'me') {
+                    const member = await findMemberForUser(interaction.user);
+                    const position = member ? findLeaderboardPosition(leaderboardData, member.member_id) : null;
+                    if (!position) {
+                        return interaction.reply({ content: '❌ You are not on this leaderboard yet.', ephemeral: true });
+                    }
+                    newPage = position.page;
+                    highlightMemberId = member.member_id;
+                }
+
+                const embed = buildLeaderboardEmbed(leaderboardData, newPage, { periodLabel: leaderboard.label, narrowed: leaderboard.narrowed, highlightMemberId, image: state.image });
+                const buttons = getLeaderboardButtons(newPage, totalPages, state);
 
-                const embed = buildLeaderboardEmbed(leaderboardData, newPage);
-                const buttons = getLeaderboardButtons(newPage, totalPages);
+                if (state.image && leaderboardData.length > 0) {
+                    // Fetching avatars can take longer than the 3 second update window
+                    await interaction.deferUpdate();
+                    const card = await buildLeaderboardCard(interaction.client, leaderboardData, newPage, { periodLabel: leaderboard.label, highlightMemberId });
+                    return interaction.editReply({ embeds: [embed], components: [buttons], files: [card], attachments: [] });
+                }
 
                 return interaction.update({ embeds: [embed], components: [buttons] });
             }
@@ -440,6 +911,26 @@ function handleSlashCommands(client) {
                 return interaction.update({ embeds: [embed], components: [buttons] });
             }
             
+            // Handle question history archive pagination buttons
+            if (interaction.customId.startsWith('qhistory_')) {
+                return handleQuestionHistoryButton(interaction);
+            }
+            
+            // Handle points history pagination buttons
+            if (interaction.customId.startsWith('phistory_')) {
+                return handlePointsHistoryButton(interaction);
+            }
+            
+            // Handle rookie promotion buttons from /rookies review
+            if (interaction.customId.startsWith('rookie_promote_')) {
+                return handleRookiePromoteButton(interaction);
+            }
+            
+            // Handle daily question hint buttons
+            if (interaction.customId.startsWith('hint_')) {
+                return handleHintButton(interaction);
+            }
+            
             // Handle difficulty filter questions pagination buttons
             if (interaction.customId.startsWith('qd_')) {
                 const parts = interaction.customId.split('_');
@@ -476,10 +967,10 @@ function handleSlashCommands(client) {
         const username = interaction.user.username;
         const isRookie = await isRookieMember(interaction.guild, userId, username);
         
-        // Rookies can only use /dailyquestions and /help commands
-        if (isRookie && commandName !== 'dailyquestions' && commandName !== 'help') {
+        // Rookies can only use /dailyquestions, /submit and /help commands
+        if (isRookie && !['dailyquestions', 'submit', 'help'].includes(commandName)) {
             return interaction.editReply({
-                content: '⚠️ As a rookie member, you only have access to the `/dailyquestions` command. Focus on learning and solving problems! 🚀'
+                content: '⚠️ As a rookie member, you only have access to the `/dailyquestions` and `/submit` commands. Focus on learning and solving problems! 🚀'
             });
         }
 
@@ -491,11 +982,48 @@ function handleSlashCommands(client) {
         }
 
         if (commandName === 'leaderboard') {
-            const leaderboardData = await getLeaderboard();
-            
-            const totalPages = Math.ceil(leaderboardData.length / 10);
-            const embed = buildLeaderboardEmbed(leaderboardData, 1);
-            const buttons = getLeaderboardButtons(1, totalPages);
+            const fromText = interaction.options.getString('from');
+            const toText = interaction.options.getString('to');
+            const state = {
+                // Giving dates implies a custom period
+                period: interaction.options.getString('period') || (fromText ? 'custom' : 'all'),
+                from: null,
+                to: null,
+                filters: {},
+                image: interaction.options.getBoolean('image') || false,
+            };
+            Object.keys(LEADERBOARD_FILTERS).forEach(name => {
+                const value = interaction.options.getString(name)?.trim();
+                if (value) state.filters[name] = value;
+            });
+
+            if (state.period === 'custom') {
+                state.from = fromText ? parseHistoryDate(fromText) : null;
+                state.to = toText ? parseHistoryDate(toText) : null;
+                if ((fromText && !state.from) || (toText && !state.to)) {
+                    return interaction.editReply({ content: '❌ I couldn\'t understand that date. Try `2026-10-01` or `last monday`.' });
+                }
+            }
+
+            // Pagination buttons carry the period and filters in their customId (max 100 characters)
+            if (`leaderboard_back_9999_${encodeLeaderboardState(state)}`.length > 100) {
+                return interaction.editReply({ content: '❌ Too many filters for one leaderboard. Try fewer or shorter filters.' });
+            }
+
+            const leaderboard = await loadLeaderboard(state);
+            if (leaderboard.error) {
+                return interaction.editReply({ content: `❌ ${leaderboard.error}` });
+            }
+
+            const leaderboardData = leaderboard.data;
+            const totalPages = Math.ceil(leaderboardData.length / 10) || 1;
+            const embed = buildLeaderboardEmbed(leaderboardData, 1, { periodLabel: leaderboard.label, narrowed: leaderboard.narrowed, image: state.image });
+            const buttons = getLeaderboardButtons(1, totalPages, state);
+
+            if (state.image && leaderboardData.length > 0) {
+                const card = await buildLeaderboardCard(interaction.client, leaderboardData, 1, { periodLabel: leaderboard.label });
+                return interaction.editReply({ embeds: [embed], components: [buttons], files: [card] });
+            }
 
             return interaction.editReply({ embeds: [embed], components: [buttons] });
         }
@@ -509,27 +1037,19 @@ function handleSlashCommands(client) {
             const isRookie = await isRookieMember(interaction.guild, userId, username);
 
             if (isRookie) {
-                // Rookies don't see points
+                // Rookies don't see points, only their solve streak
+                const streak = await getStreakSummary(userId);
                 const embed = new EmbedBuilder()
                     .setColor('#ffa500')
                     .setTitle('🎯 Rookie Member')
                     .setDescription(`Hey ${displayName}! As a rookie member, your progress is being tracked separately. Keep learning and solving problems! 🚀`)
+                    .addFields(...buildStreakFields(streak))
                     .setFooter({ text: 'Focus on learning and growth!' })
                     .setTimestamp();
                 return interaction.editReply({ embeds: [embed] });
             } else {
-                // Get member data from database using Discord ID (members_discord_id)
-                let memberData = await getMemberByDiscordID(userId);
-                
-                // Fallback: try to find by username if Discord ID lookup fails
-                if (!memberData) {
-                    memberData = await getMemberByUsername(username);
-                }
-                
-                // Fallback: try to find by member_id if all else fails
-                if (!memberData) {
-                    memberData = await getMember(userId);
-                }
+                // Look the member up by Discord ID, then by username
+                const memberData = await findMemberForUser(interaction.user);
                 
                 if (!memberData) {
                     // User not found in database
@@ -541,12 +1061,23 @@ function handleSlashCommands(client) {
                     return interaction.editReply({ embeds: [notFoundEmbed] });
                 }
                 
-                // Get points for existing user
-                const pointsData = await getPoints(memberData.member_id);
+                // Get points, rank and recent activity for existing user
+                const now = new Date();
+                const [pointsData, position, weekPoints, lastAward, streak] = await Promise.all([
+                    getPoints(memberData.member_id),
+                    getMemberRank(memberData.member_id),
+                    getMemberPointsForPeriod(memberData.member_id, getStartOfWeekInTimeZone(now), now),
+                    getLastPointsAward(memberData.member_id),
+                    getStreakSummary(userId),
+                ]);
 
                 const embed = buildMyPointsEmbed(memberData, { 
                     points: pointsData, 
-                    last_update: new Date().toISOString() 
+                    last_update: lastAward?.last_update || lastAward?.updated_at || null,
+                    rank: position?.rank || null,
+                    totalRanked: position?.total || 0,
+                    weekPoints,
+                    streak,
                 });
                 return interaction.editReply({ embeds: [embed] });
             }
@@ -559,7 +1090,13 @@ function handleSlashCommands(client) {
                 return interaction.editReply({ content: 'No terminologies available.' });
             }
 
-            return interaction.editReply({ embeds: [embed] });
+            await interaction.editReply({ embeds: [embed] });
+            // Reading today's term counts towards the terminology achievements
+            const memberData = await findMemberForUser(interaction.user);
+            if (memberData) {
+                await trackAchievement(interaction.client, { memberId: memberData.member_id, event: 'terminology' });
+            }
+            return;
         }
 
         if (commandName === 'next') {
@@ -583,7 +1120,7 @@ function handleSlashCommands(client) {
         }
 
         if (commandName === 'dailyquestions') {
-            const todayQuestion = getTodaysQuestion();
+            const todayQuestion = await getTodaysQuestion();
             
             if (!todayQuestion) {
                 return interaction.editReply({
@@ -591,24 +1128,25 @@ function handleSlashCommands(client) {
                 });
             }
             
-            const embed = buildQuestionDetailEmbed(todayQuestion);
-            return interaction.editReply({ embeds: [embed] });
+            const embed = buildQuestionDetailEmbed(todayQuestion, { hideSolution: !todayQuestion.SolutionRevealed });
+            const hintButtons = todayQuestion.SolutionRevealed ? null : buildHintButtons(todayQuestion);
+            return interaction.editReply({ embeds: [embed], components: hintButtons ? [hintButtons] : [] });
         }
 
         if (commandName === 'question') {
             const questionNumber = interaction.options.getInteger('number');
-            const questions = loadQuestions();
             
             // Find question by Day number
-            const question = questions.find(q => q.Day === questionNumber);
+            const question = getQuestionByDay(questionNumber);
             
             if (!question) {
                 return interaction.editReply({
-                    content: `❌ Question #${questionNumber} not found. Available questions: 1-129`
+                    content: `❌ Question #${questionNumber} not found. Available questions: 1-${getQuestionBankStats().maxDay}`
                 });
             }
             
-            const embed = buildQuestionDetailEmbed(question);
+            // Don't let /question give away today's answer before it is revealed
+            const embed = buildQuestionDetailEmbed(question, { hideSolution: await isSolutionHidden(question) });
             return interaction.editReply({ embeds: [embed] });
         }
 
@@ -629,6 +1167,90 @@ function handleSlashCommands(client) {
 
             return interaction.editReply({ embeds: [embed], components: [buttons] });
         }
+
+        if (commandName === 'submit') {
+            return handleSubmitCommand(interaction);
+        }
+
+        if (commandName === 'remindme') {
+            return handleRemindMeCommand(interaction);
+        }
+
+        if (commandName === 'reminder') {
+            return handleReminderCommand(interaction);
+        }
+
+        if (commandName === 'questionhistory') {
+            return handleQuestionHistoryCommand(interaction);
+        }
+
+        if (commandName === 'pointshistory') {
+            return handlePointsHistoryCommand(interaction);
+        }
+
+        if (commandName === 'badges') {
+            return handleBadgesCommand(interaction);
+        }
+
+        if (commandName === 'levels') {
+            return handleLevelsCommand(interaction);
+        }
+
+        if (commandName === 'points') {
+            return handlePointsCommand(interaction);
+        }
+
+        if (commandName === 'exclusions') {
+            return handleExclusionsCommand(interaction);
+        }
+
+        if (commandName === 'rookies') {
+            return handleRookiesCommand(interaction);
+        }
+
+        if (commandName === 'questionbank') {
+            const changed = await handleQuestionBankCommand(interaction);
+            if (changed) {
+                // Command limits such as /question's max number follow the bank size
+                await registerCommands(interaction.client).catch(error => console.error('Failed to refresh slash commands:', error));
+            }
+            return;
+        }
+
+        if (commandName === 'jobs') {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'list') {
+                return interaction.editReply({ embeds: [buildJobsEmbed(listJobs())] });
+            }
+
+            const jobName = interaction.options.getString('name');
+
+            if (subcommand === 'pause') {
+                const paused = pauseJob(jobName);
+                return interaction.editReply({
+                    content: paused ? `⏸ Job \`${jobName}\` paused.` : `❌ No job named \`${jobName}\`.`
+                });
+            }
+
+            if (subcommand === 'resume') {
+                const resumed = resumeJob(jobName);
+                return interaction.editReply({
+                    content: resumed ? `▶ Job \`${jobName}\` resumed.` : `❌ No job named \`${jobName}\`.`
+                });
+            }
+
+            if (subcommand === 'run') {
+                const exists = listJobs().some(job => job.name === jobName);
+                if (!exists) {
+                    return interaction.editReply({ content: `❌ No job named \`${jobName}\`.` });
+                }
+                const succeeded = await runJobNow(jobName);
+                return interaction.editReply({
+                    content: succeeded ? `✅ Job \`${jobName}\` ran successfully.` : `⚠️ Job \`${jobName}\` did not complete (paused, busy or failed).`
+                });
+            }
+        }
     });
 }
 
@@ -0,0 +1,152 @@
+const { getSolveStreak, saveSolveStreak, addPoints, addRookiePoints } = require('../database/db');
+const { getDateKeyInTimeZone } = require('../utils/timezoneUtils');
+const { getTopAchievement } = require('./achievements');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "days:points" pairs, e.g. "7:10,30:50,100:200"
+const MILESTONE_BONUSES = (process.env.STREAK_MILESTONE_BONUSES || '7:10,30:50,100:200')
+    .split(',')
+    .map(pair => pair.split(':').map(value => parseInt(value, 10)))
+    .filter(([days, points]) => days > 0 && points > 0)
+    .reduce((bonuses, [days, points]) => ({ ...bonuses, [days]: points }), {});
+
+// One freeze is earned every FREEZE_EVERY_DAYS of streak, holding at most MAX_FREEZES
+const MAX_FREEZES = parseInt(process.env.STREAK_MAX_FREEZES || '2', 10);
+const FREEZE_EVERY_DAYS = parseInt(process.env.STREAK_FREEZE_EVERY_DAYS || '7', 10) || 7;
+
+function daysBetween(fromKey, toKey) {
+    return Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * The streak as it stands today: a stored streak is lost once the missed days outnumber the freezes.
+ * A solve yesterday keeps it alive, since today's question may still be open.
+ */
+function getEffectiveStreak(streak, todayKey = getDateKeyInTimeZone()) {
+    if (!streak?.last_solve_date) return 0;
+    const missedDays = daysBetween(streak.last_solve_date, todayKey) - 1;
+    if (missedDays <= 0) return streak.current_streak;
+    return missedDays <= streak.freezes_available ? streak.current_streak : 0;
+}
+
+/**
+ * Streak details for /mypoints and reports; the badge is the top solve_streak achievement for the longest streak
+ * @returns {Promise<{current: number, longest: number, freezes: number, maxFreezes: number, badge: Object|null}>}
+ */
+async function getStreakSummary(userId, todayKey = getDateKeyInTimeZone()) {
+    const streak = await getSolveStreak(userId);
+    const longest = streak?.longest_streak || 0;
+    return {
+        current: getEffectiveStreak(streak, todayKey),
+        longest,
+        freezes: streak?.freezes_available || 0,
+        maxFreezes: MAX_FREEZES,
+        badge: getTopAchievement('solve_streak', longest),
+    };
+}
+
+/**
+ * Extend a streak for a correct daily answer. Missed days are covered by freezes when there are
+ * enough of them, otherwise the streak restarts. Milestone bonuses are paid the first time a
+ * member's streak reaches them: into belmonts_points for members, rookie points for rookies.
+ * @param {Object} solve - { userId, username, memberId (null for rookies), dateKey }
+ * @returns {Promise<{current: number, longest: number, freezesUsed: number, freezeEarned: boolean, freezes: number, milestone: number|null, bonus: number}|null>}
+ *          null if the streak couldn't be saved
+ */
+async function recordStreakSolve({ userId, username, memberId = null, dateKey = getDateKeyInTimeZone() }) {
+    const streak = (await getSolveStreak(userId)) || {
+        user_id: userId,
+        current_streak: 0,
+        longest_streak: 0,
+        last_solve_date: null,
+        freezes_available: 0,
+        freezes_used: 0,
+    };
+
+    const previousLongest = streak.longest_streak || 0;
+    const missedDays = streak.last_solve_date ? daysBetween(streak.last_solve_date, dateKey) - 1 : null;
+    let freezesUsed = 0;
+    let current;
+
+    if (missedDays !== null && missedDays < 0) {
+        // Already counted today (or an older date arrived late)
+        return {
+            current: streak.current_streak,
+            longest: previousLongest,
+            freezesUsed: 0,
+            freezeEarned: false,
+            freezes: streak.freezes_available,
+            milestone: null,
+            bonus: 0,
+        };
+    }
+
+    if (missedDays === 0) {
+        current = streak.current_streak + 1;
+    } else if (missedDays !== null && missedDays <= streak.freezes_available) {
+        freezesUsed = missedDays;
+        current = streak.current_streak + 1;
+    } else {
+        current = 1;
+    }
+
+    let freezes = streak.freezes_available - freezesUsed;
+    const freezeEarned = current % FREEZE_EVERY_DAYS === 0 && freezes < MAX_FREEZES;
+    if (freezeEarned) freezes++;
+
+    const saved = await saveSolveStreak({
+        user_id: userId,
+        username,
+        current_streak: current,
+        longest_streak: Math.max(previousLongest, current),
+        last_solve_date: dateKey,
+        freezes_available: freezes,
+        freezes_used: (streak.freezes_used || 0) + freezesUsed,
+    });
+    if (!saved) return null;
+
+    let bonus = current > previousLongest ? MILESTONE_BONUSES[current] || 0 : 0;
+    if (bonus > 0) {
+        const details = { reason: 'streak', actorId: userId, actorName: username, referenceId: `streak-${current}` };
+        const result = memberId !== null
+            ? await addPoints(memberId, bonus, details)
+            : await addRookiePoints(userId, bonus);
+        if (result === null) {
+            console.error(`Could not pay the ${current}-day streak bonus to ${username}`);
+            bonus = 0;
+        } else {
+            console.log(`✓ ${username} reached a ${current}-day streak (+${bonus} points)`);
+        }
+    }
+
+    return {
+        current,
+        longest: Math.max(previousLongest, current),
+        freezesUsed,
+        freezeEarned,
+        freezes,
+        milestone: bonus > 0 ? current : null,
+        bonus,
+    };
+}
+
+/**
+ * One-line streak note for solve replies, e.g. "🔥 Streak: 7 days • 🎉 7-day milestone +10 points"
+ */
+function formatStreakUpdate(update) {
+    if (!update) return '';
+    const parts = [`🔥 Streak: **${update.current}** day${update.current === 1 ? '' : 's'}`];
+    if (update.freezesUsed > 0) parts.push(`❄️ ${update.freezesUsed} freeze${update.freezesUsed === 1 ? '' : 's'} used`);
+    if (update.milestone) parts.push(`🎉 ${update.milestone}-day milestone **+${update.bonus} points**`);
+    if (update.freezeEarned) parts.push('❄️ Earned a streak freeze');
+    return parts.join(' • ');
+}
+
+module.exports = {
+    MAX_FREEZES,
+    getEffectiveStreak,
+    getStreakSummary,
+    recordStreakSolve,
+    formatStreakUpdate,
+};
@@ -0,0 +1,158 @@
+const { openVoiceSession, closeVoiceSession, getOpenVoiceSessions, touchOpenVoiceSessions } = require('../database/db');
+const { getDateKeyInTimeZone, getTimeZoneParts, zonedTimeToDate } = require('../utils/timezoneUtils');
+const { countActivity } = require('./activityTracker');
+
+// How often open sessions are marked as still running; a restart closes them at the last mark
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// userId -> { userId, username, displayName, channelId, channelName, joinedAt, opened (Promise of the voice_sessions row) }
+const openSessions = new Map();
+
+/**
+ * Split a time span at Asia/Kolkata midnights
+ * @returns {Array<{activityDate: string, ms: number}>}
+ */
+function splitByDay(start, end) {
+    const segments = [];
+    let cursor = start;
+    while (cursor < end) {
+        const { year, month, day } = getTimeZoneParts(cursor);
+        const nextMidnight = zonedTimeToDate(year, month, day + 1);
+        const segmentEnd = nextMidnight < end ? nextMidnight : end;
+        segments.push({ activityDate: getDateKeyInTimeZone(cursor), ms: segmentEnd - cursor });
+        cursor = segmentEnd;
+    }
+    return segments;
+}
+
+/**
+ * Add a session's minutes to the user's discord_activity row for that channel and day
+ * @returns {number} Total minutes
+ */
+function recordVoiceMinutes({ userId, username, displayName = null, channelId, channelName }, joinedAt, leftAt) {
+    splitByDay(joinedAt, leftAt).forEach(({ activityDate, ms }) => {
+        const minutes = Math.round(ms / MINUTE_MS);
+        if (minutes > 0) {
+            countActivity({ userId, username, displayName, channelId, channelName, voiceDurationMinutes: minutes, activityDate });
+        }
+    });
+    return Math.round(Math.max(leftAt - joinedAt, 0) / MINUTE_MS);
+}
+
+// The AFK channel is idle time, not presence
+function isTrackedChannel(channel) {
+    return Boolean(channel) && channel.id !== channel.guild?.afkChannelId;
+}
+
+function startSession(member, channel, joinedAt = new Date()) {
+    const session = {
+        userId: member.id,
+        username: member.user.username,
+        displayName: member.displayName,
+        channelId: channel.id,
+        channelName: channel.name,
+        joinedAt,
+    };
+    session.opened = openVoiceSession({ ...session });
+    openSessions.set(member.id, session);
+}
+
+async function endSession(userId, endReason, leftAt = new Date()) {
+    const session = openSessions.get(userId);
+    if (!session) return;
+    openSessions.delete(userId);
+
+    const durationMinutes = recordVoiceMinutes(session, session.joinedAt, leftAt);
+    // Wait for the insert in case the user leaves right after joining
+    const row = await session.opened;
+    if (row) {
+        await closeVoiceSession(row.session_id, { leftAt, durationMinutes, endReason });
+    }
+}
+
+/**
+ * End every open session, so the minutes are counted before the bot shuts down
+ */
+async function endAllSessions(endReason = 'restart') {
+    await Promise.all([...openSessions.keys()].map(userId => endSession(userId, endReason)));
+}
+
+async function touchSessions() {
+    const rows = await Promise.all([...openSessions.values()].map(session => session.opened));
+    await touchOpenVoiceSessions(rows.filter(Boolean).map(row => row.session_id));
+}
+
+/**
+ * Close sessions left open by the last run at the time they were last seen, then start
+ * sessions for everyone already sitting in a voice channel
+ * @param {Date} startedAt - When this run began tracking; sessions joined since then are its own
+ */
+async function recoverSessions(client, startedAt) {
+    const staleSessions = await getOpenVoiceSessions(startedAt);
+    for (const row of staleSessions) {
+        const joinedAt = new Date(row.joined_at);
+        const leftAt = new Date(row.last_seen_at);
+        const durationMinutes = recordVoiceMinutes({
+            userId: row.user_id,
+            username: row.username,
+            channelId: row.channel_id,
+            channelName: row.channel_name,
+        }, joinedAt, leftAt);
+        await closeVoiceSession(row.session_id, { leftAt, durationMinutes, endReason: 'restart' });
+    }
+
+    let resumed = 0;
+    for (const guild of client.guilds.cache.values()) {
+        guild.voiceStates.cache.forEach(voiceState => {
+            if (!voiceState.member || voiceState.member.user.bot || !isTrackedChannel(voiceState.channel)) return;
+            // Someone who joined after startup already has a session from voiceStateUpdate
+            if (openSessions.has(voiceState.member.id)) return;
+            startSession(voiceState.member, voiceState.channel);
+            resumed++;
+        });
+    }
+
+    console.log(`✓ Voice tracking initialized (closed ${staleSessions.length} session(s) from the last run, ${resumed} member(s) in voice now)`);
+}
+
+/**
+ * Track time spent in every voice channel as join/leave/move sessions
+ */
+function handleVoiceTracker(client) {
+    // Taken before any voiceStateUpdate can open a session, so recovery never closes this run's sessions
+    const startedAt = new Date();
+
+    client.on('voiceStateUpdate', async (oldState, newState) => {
+        const member = newState.member || oldState.member;
+        if (!member || member.user.bot) return;
+        // Mute, deafen and stream changes keep the same channel
+        if (oldState.channelId === newState.channelId) return;
+
+        try {
+            await endSession(member.id, newState.channel ? 'move' : 'leave');
+            if (isTrackedChannel(newState.channel)) {
+                startSession(member, newState.channel);
+            }
+        } catch (error) {
+            console.error(`Error tracking voice session for ${member.user.username}:`, error.message);
+        }
+    });
+
+    client.once('ready', async () => {
+        try {
+            await recoverSessions(client, startedAt);
+        } catch (error) {
+            console.error('Error recovering voice sessions:', error.message);
+        }
+
+        setInterval(() => {
+            touchSessions().catch(error => console.error('Error updating voice sessions:', error.message));
+        }, HEARTBEAT_INTERVAL_MS);
+    });
+}
+
+module.exports = {
+    handleVoiceTracker,
+    endAllSessions,
+};
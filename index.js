@@ -8,9 +8,15 @@ const { handleSlashCommands } = require('./features/slashCommands');
 const { handleMemberSync } = require('./features/memberSync');
 const { handleBirthdayAnnouncement } = require('./features/birthdayAnnouncement');
 const { handleScheduledReminders } = require('./features/scheduledReminders');
+const { handlePersonalReminders } = require('./features/personalReminders');
 const { setupDailyQuestion } = require('./features/dailyQuestionPoster');
 const { handleGatheringScheduler } = require('./features/dailyGatheringScheduler');
 const { handleVibeCodeReport } = require('./features/dailyVibeCodeReport');
+const { handleLeaderboardPoster } = require('./features/leaderboardPoster');
+const { handleLevels } = require('./features/levels');
+const { handleActivityTracker, drainActivity } = require('./features/activityTracker');
+const { handleVoiceTracker, endAllSessions } = require('./features/voiceTracker');
+const { listJobs } = require('./utils/scheduler');
 
 // Express setup
 const app = express();
@@ -56,11 +62,46 @@ handleSlashCommands(client);
 handleMemberSync(client);
 handleBirthdayAnnouncement(client);
 handleScheduledReminders(client);
+handlePersonalReminders(client);
 setupDailyQuestion(client);
 handleGatheringScheduler(client);
 handleVibeCodeReport(client);
+handleLeaderboardPoster(client);
+handleLevels(client);
+handleActivityTracker(client);
+handleVoiceTracker(client);
 console.log('✓ All features loaded');
 
+// Save buffered activity and open voice sessions before exiting, so the counts since the last flush aren't lost
+const SHUTDOWN_TIMEOUT_MS = 10000;
+let shuttingDown = false;
+
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`${signal} received, saving activity before shutting down...`);
+
+    const saveActivity = (async () => {
+        await endAllSessions('restart');
+        await drainActivity();
+    })();
+    const timeout = new Promise(resolve => setTimeout(resolve, SHUTDOWN_TIMEOUT_MS, 'timeout'));
+
+    try {
+        if (await Promise.race([saveActivity, timeout]) === 'timeout') {
+            console.warn(`⚠ Activity was not saved within ${SHUTDOWN_TIMEOUT_MS / 1000}s, exiting anyway`);
+        }
+    } catch (error) {
+        console.error('Error saving activity on shutdown:', error.message);
+    }
+
+    client.destroy();
+    process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 // Track messages
 client.on('messageCreate', (message) => {
     if (!message.author.bot) {
@@ -91,13 +132,17 @@ app.get('/health', (req, res) => {
 
 app.get('/status', (req, res) => {
     const statusCode = botStatus.isOnline ? 200 : 503;
+    // Per-user jobs (personal reminders) name their owner, so they stay out of this public payload
+    const jobs = listJobs().filter(job => !job.personal);
+    const nextRuns = jobs.filter(job => job.nextRunAt && !job.paused).map(job => job.nextRunAt).sort();
     res.status(statusCode).json({
         botOnline: botStatus.isOnline,
         connectedAt: botStatus.connectedAt,
         lastMessageSent: botStatus.lastMessageSent,
         totalMessagesSent: botStatus.totalMessagesSent,
         uptime: botStatus.connectedAt ? Math.floor((Date.now() - new Date(botStatus.connectedAt)) / 1000) : 0,
-        nextScheduledUpdate: '9:00 PM IST',
+        nextScheduledUpdate: nextRuns[0] || null,
+        jobs,
         timestamp: new Date().toISOString()
     });
 });
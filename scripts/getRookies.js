@@ -1,12 +1,10 @@
 require('dotenv').config();
-const fs = require('fs');
-const path = require('path');
 const { Client, GatewayIntentBits } = require('discord.js');
+const { mergeRookies } = require('../database/db');
 
 const TOKEN = process.env.DISCORD_TOKEN;
 const GUILD_ID = process.env.GUILD_ID;
 const ROLE_NAME = (process.env.ROOKIE_ROLE_NAME || process.argv[2] || 'rookies').trim().toLowerCase();
-const OUTPUT_PATH = path.join(__dirname, '..', 'json', 'rookiesData.json');
 
 function normalizeRoleName(name) {
     return String(name || '').trim().toLowerCase();
@@ -32,22 +30,20 @@ async function fetchRookies() {
                 return member.roles.cache.some((role) => normalizeRoleName(role.name) === ROLE_NAME);
             });
 
-            const payload = {
-                rookiesmembersData: rookies.map((member) => ({
-                    username: member.user.username,
-                    userId: member.user.id,
-                    displayName: member.displayName,
-                    joinedAt: member.joinedAt ? member.joinedAt.toISOString() : null,
-                    roles: member.roles.cache.map((role) => role.name),
-                })),
-                roleName: ROLE_NAME,
-                guildId: guild.id,
-                totalRookies: rookies.size,
-                lastUpdated: new Date().toISOString(),
-            };
-
-            fs.writeFileSync(OUTPUT_PATH, JSON.stringify(payload, null, 2));
-            console.log(`Saved ${rookies.size} rookies to ${OUTPUT_PATH}`);
+            // Only the Discord details are written, so points and award dates already stored are kept
+            const merged = await mergeRookies(rookies.map((member) => ({
+                user_id: member.user.id,
+                username: member.user.username,
+                display_name: member.displayName,
+                joined_at: member.joinedAt ? member.joinedAt.toISOString() : null,
+                roles: member.roles.cache.map((role) => role.name),
+            })));
+
+            if (merged === null) {
+                console.error('Failed to save rookies. Check the Supabase credentials and that the rookies table exists.');
+            } else {
+                console.log(`Merged ${merged} rookies with the "${ROLE_NAME}" role into the rookies table`);
+            }
         } catch (error) {
             console.error('Failed to fetch rookies:', error);
         } finally {
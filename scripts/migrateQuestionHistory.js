@@ -0,0 +1,48 @@
+/**
+ * One-time copy of json/questionHistory.json into the daily_questions table.
+ * Dates already in the table are skipped, so running it again is harmless.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { importDailyQuestions } = require('../database/db');
+
+const INPUT_PATH = path.join(__dirname, '..', 'json', 'questionHistory.json');
+
+function toDailyQuestionRow(entry) {
+    return {
+        post_date: entry.date,
+        question_day: entry.day,
+        question_title: entry.snapshot.Question,
+        rotation_policy: entry.policy,
+        snapshot: entry.snapshot,
+        resolved_at: entry.resolvedAt || new Date().toISOString(),
+        solution_revealed_at: entry.solutionRevealedAt || null,
+    };
+}
+
+async function migrateQuestionHistory() {
+    if (!fs.existsSync(INPUT_PATH)) {
+        console.log(`Nothing to migrate: ${INPUT_PATH} does not exist.`);
+        return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(INPUT_PATH, 'utf-8'));
+    const entries = Object.values(data.history || {});
+    const rows = entries.filter(entry => entry.date && entry.snapshot).map(toDailyQuestionRow);
+    const skipped = entries.length - rows.length;
+
+    const inserted = await importDailyQuestions(rows);
+    if (inserted === null) {
+        console.error('Migration failed. Check the Supabase credentials and that the daily_questions table exists.');
+        process.exit(1);
+    }
+
+    console.log(`Migrated ${inserted} days (${rows.length - inserted} already in the table).`);
+    if (skipped > 0) {
+        console.warn(`⚠ Skipped ${skipped} entries without a date or question snapshot.`);
+    }
+}
+
+migrateQuestionHistory();
@@ -0,0 +1,53 @@
+/**
+ * One-time copy of json/rookiesData.json into the rookies table.
+ * Rookies already in the table are skipped, so running it again is harmless.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { importRookies } = require('../database/db');
+
+const INPUT_PATH = path.join(__dirname, '..', 'json', 'rookiesData.json');
+
+function toRookieRow(entry) {
+    return {
+        user_id: entry.userId,
+        username: entry.username || null,
+        display_name: entry.displayName || null,
+        points: entry.points || 0,
+        joined_at: entry.joinedAt || null,
+        roles: entry.roles || [],
+        channel: entry.channel || null,
+        activity_count: entry.count || 0,
+        first_seen: entry.firstSeen || null,
+        last_seen: entry.lastSeen || null,
+        last_awarded_date: entry.lastAwardedDate || null,
+        last_awarded_at: entry.lastAwardedAt || null,
+    };
+}
+
+async function migrateRookies() {
+    if (!fs.existsSync(INPUT_PATH)) {
+        console.log(`Nothing to migrate: ${INPUT_PATH} does not exist.`);
+        return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(INPUT_PATH, 'utf-8'));
+    const entries = data.rookiesmembersData || [];
+    const rows = entries.filter(entry => entry.userId).map(toRookieRow);
+    const skipped = entries.length - rows.length;
+
+    const inserted = await importRookies(rows);
+    if (inserted === null) {
+        console.error('Migration failed. Check the Supabase credentials and that the rookies table exists.');
+        process.exit(1);
+    }
+
+    console.log(`Migrated ${inserted} rookies (${rows.length - inserted} already in the table).`);
+    if (skipped > 0) {
+        console.warn(`⚠ Skipped ${skipped} entries without a Discord user ID.`);
+    }
+}
+
+migrateRookies();
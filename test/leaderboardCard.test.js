@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderLeaderboardCard } = require('../utils/leaderboardCard');
+const { encodePng, decodePng } = require('../utils/png');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// A 2x2 red avatar
+const AVATAR = encodePng({ width: 2, height: 2, data: new Uint8Array(2 * 2 * 4).map((_, i) => (i % 4 === 1 || i % 4 === 2 ? 0 : 255)) });
+
+const ROWS = [
+    { rank: 1, name: 'Priya', points: 120, avatar: AVATAR, highlight: false },
+    { rank: 2, name: 'Ádám Kovács 🎉', points: 95, avatar: null, highlight: false },
+    { rank: 3, name: 'A very long display name that does not fit on the card', points: 80, avatar: Buffer.from('not a png'), highlight: true },
+    { rank: 4, name: '', points: 0, avatar: null, highlight: false },
+];
+
+function readHeader(png) {
+    assert.strictEqual(png.toString('ascii', 12, 16), 'IHDR');
+    return {
+        length: png.readUInt32BE(8),
+        width: png.readUInt32BE(16),
+        height: png.readUInt32BE(20),
+        bitDepth: png[24],
+        colorType: png[25],
+    };
+}
+
+test('renders a leaderboard as an RGBA PNG sized for its rows', () => {
+    const png = renderLeaderboardCard({ title: 'Leaderboard', subtitle: 'This Week • Domain: AI/ML', rows: ROWS });
+
+    assert.ok(Buffer.isBuffer(png));
+    assert.deepStrictEqual(png.subarray(0, 8), PNG_SIGNATURE);
+    assert.deepStrictEqual(readHeader(png), { length: 13, width: 640, height: 84 + ROWS.length * 52 + 12, bitDepth: 8, colorType: 6 });
+    assert.strictEqual(png.toString('ascii', png.length - 8, png.length - 4), 'IEND');
+
+    const image = decodePng(png);
+    assert.strictEqual(image.width, 640);
+    assert.strictEqual(image.data.length, image.width * image.height * 4);
+    // The header stripe is drawn in the card's blue
+    assert.deepStrictEqual([...image.data.subarray(0, 4)], [0, 153, 255, 255]);
+});
+
+test('renders an empty leaderboard with room for one row', () => {
+    const png = renderLeaderboardCard({ rows: [] });
+
+    assert.deepStrictEqual(png.subarray(0, 8), PNG_SIGNATURE);
+    const { width, height } = readHeader(png);
+    assert.strictEqual(width, 640);
+    assert.strictEqual(height, 84 + 52 + 12);
+});
+
+test('renders the same card for the same rows', () => {
+    const first = renderLeaderboardCard({ title: 'Leaderboard', rows: ROWS });
+    const second = renderLeaderboardCard({ title: 'Leaderboard', rows: ROWS });
+    assert.ok(first.equals(second));
+});
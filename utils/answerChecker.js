@@ -0,0 +1,116 @@
+/**
+ * Compare program output with a daily question's expected Output
+ */
+
+const VERDICTS = {
+    CORRECT: 'correct',
+    WRONG: 'wrong',
+    UNJUDGED: 'unjudged',
+};
+
+// Expected outputs that only summarise the answer ("7 x 1 = 7 ... 7 x 10 = 70") can't be compared
+const ELLIPSIS_PATTERN = /\.{3}|…/;
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const TOKEN_SEPARATORS = /[\s,;:()[\]{}"'`]+/;
+
+/**
+ * Normalise line endings and trailing whitespace, and drop blank lines at the edges
+ * @param {*} value - Output as printed or as stored in dailyQuestion.json
+ * @returns {string} Normalised output
+ */
+function normalizeOutput(value) {
+    const lines = String(value ?? '')
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        .map(line => line.replace(/\s+$/, ''));
+
+    while (lines.length > 0 && lines[0].trim() === '') lines.shift();
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+
+    return lines.join('\n');
+}
+
+function tokenize(value) {
+    return normalizeOutput(value)
+        .split(TOKEN_SEPARATORS)
+        .filter(Boolean);
+}
+
+function countDecimals(numberText) {
+    const [mantissa] = numberText.toLowerCase().split('e');
+    const [, decimals = ''] = mantissa.split('.');
+    return decimals.length;
+}
+
+/**
+ * Compare two tokens, treating numbers by value at the expected precision
+ */
+function tokensMatch(expected, actual) {
+    if (NUMBER_PATTERN.test(expected) && NUMBER_PATTERN.test(actual)) {
+        const decimals = countDecimals(expected);
+        const rounded = Number(Number(actual).toFixed(decimals));
+        return Math.abs(rounded - Number(expected)) < 1e-9;
+    }
+    return expected.toLowerCase() === actual.toLowerCase();
+}
+
+/**
+ * Check program output against an expected output
+ * @param {*} expectedOutput - The question's Output value
+ * @param {string|null} actualOutput - What the program printed
+ * @returns {{ verdict: string, reason: string|null }}
+ */
+function checkOutput(expectedOutput, actualOutput) {
+    if (expectedOutput === undefined || expectedOutput === null || String(expectedOutput).trim() === '') {
+        return { verdict: VERDICTS.UNJUDGED, reason: 'The question has no expected output.' };
+    }
+    if (actualOutput === null || actualOutput === undefined) {
+        return { verdict: VERDICTS.UNJUDGED, reason: 'No program output was found.' };
+    }
+
+    const expected = normalizeOutput(expectedOutput);
+    const actual = normalizeOutput(actualOutput);
+
+    if (ELLIPSIS_PATTERN.test(expected)) {
+        return { verdict: VERDICTS.UNJUDGED, reason: 'The expected output is abbreviated and cannot be compared exactly.' };
+    }
+
+    if (expected === actual) {
+        return { verdict: VERDICTS.CORRECT, reason: null };
+    }
+
+    // Patterns (pyramids, diamonds, ...) depend on leading spaces, so compare them line by line
+    const isPattern = expected.split('\n').some(line => /^\s+\S/.test(line));
+    if (isPattern) {
+        return { verdict: VERDICTS.WRONG, reason: 'The printed pattern does not match.' };
+    }
+
+    const expectedTokens = tokenize(expected);
+    const actualTokens = tokenize(actual);
+    const sameTokens = expectedTokens.length === actualTokens.length &&
+        expectedTokens.every((token, index) => tokensMatch(token, actualTokens[index]));
+
+    return sameTokens
+        ? { verdict: VERDICTS.CORRECT, reason: null }
+        : { verdict: VERDICTS.WRONG, reason: 'The output does not match the expected output.' };
+}
+
+/**
+ * Check program output against a daily question
+ * @param {Object|null} question - Entry from dailyQuestion.json
+ * @param {string|null} actualOutput - What the program printed
+ * @returns {{ verdict: string, reason: string|null }}
+ */
+function judgeAnswer(question, actualOutput) {
+    if (!question) {
+        return { verdict: VERDICTS.UNJUDGED, reason: 'There is no daily question for today.' };
+    }
+    return checkOutput(question.Output, actualOutput);
+}
+
+module.exports = {
+    VERDICTS,
+    normalizeOutput,
+    checkOutput,
+    judgeAnswer,
+};
@@ -0,0 +1,208 @@
+/**
+ * Run untrusted JavaScript or Python in a locked-down child process
+ */
+
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.CODE_RUNNER_TIMEOUT_MS || '5000', 10);
+const DEFAULT_MEMORY_MB = parseInt(process.env.CODE_RUNNER_MEMORY_MB || '128', 10);
+const MAX_OUTPUT_BYTES = 64 * 1024;
+const PYTHON_BINARY = process.env.CODE_RUNNER_PYTHON || 'python3';
+
+// Applies resource limits inside the Python process and blocks process, network and
+// file access through audit hooks before running the submission. Only the submission
+// folder and the standard library can be read, and nothing can be written.
+const PYTHON_PRELUDE = [
+    'import os, resource, runpy, sys',
+    'BLOCKED = ("os.system", "os.exec", "os.posix_spawn", "os.spawn", "os.fork", "os.forkpty", "os.chdir", "subprocess.Popen", "socket.connect", "socket.bind", "socket.sendto", "socket.sendmsg", "ctypes.dlopen")',
+    'WRITE_FLAGS = os.O_WRONLY | os.O_RDWR | os.O_APPEND | os.O_CREAT | os.O_TRUNC',
+    'path = os.path.realpath(sys.argv[1])',
+    'folder = os.path.dirname(path)',
+    'READABLE = tuple(os.path.join(os.path.realpath(entry), "") for entry in [folder] + sys.path if entry)',
+    'def guard(event, args):',
+    '    if event.startswith(BLOCKED):',
+    '        raise PermissionError(f"{event} is not allowed in submissions")',
+    '    if event != "open":',
+    '        return',
+    '    target, mode, flags = args',
+    '    if isinstance(flags, int) and flags & WRITE_FLAGS or isinstance(mode, str) and any(flag in mode for flag in "wax+"):',
+    '        raise PermissionError("Writing files is not allowed in submissions")',
+    '    if isinstance(target, int):',
+    '        if target > 2:',
+    '            raise PermissionError("Opening file descriptors is not allowed in submissions")',
+    '        return',
+    // ".." is refused so a path can't mean one file here and another relative to a dir_fd
+    '    name = os.fsdecode(target)',
+    '    if ".." in name.split(os.sep) or not os.path.realpath(os.path.join(folder, name)).startswith(READABLE):',
+    '        raise PermissionError("Reading files outside the submission folder is not allowed")',
+    'memory = int(sys.argv[2]) * 1024 * 1024',
+    'cpu = int(sys.argv[3])',
+    'resource.setrlimit(resource.RLIMIT_AS, (memory, memory))',
+    'resource.setrlimit(resource.RLIMIT_CPU, (cpu, cpu))',
+    'resource.setrlimit(resource.RLIMIT_FSIZE, (1024 * 1024, 1024 * 1024))',
+    'resource.setrlimit(resource.RLIMIT_NPROC, (0, 0))',
+    'sys.argv = [path]',
+    'sys.addaudithook(guard)',
+    'runpy.run_path(path, run_name="__main__")',
+].join('\n');
+
+// --max-old-space-size only bounds the V8 heap, so Buffers and other native memory are
+// capped with a data-segment ulimit set by the shell before it execs node
+const JS_MEMORY_WRAPPER = 'ulimit -d "$1" && shift && exec "$@"';
+
+// Runs each submission in its own user, network, PID and mount namespaces with a fresh
+// /proc, so the bot's process (and its environment) isn't visible to it and the only
+// network interface is a downed loopback
+const ISOLATION_COMMAND = process.env.CODE_RUNNER_UNSHARE || 'unshare';
+const ISOLATION_ARGS = ['--user', '--map-root-user', '--net', '--pid', '--fork', '--mount-proc', '--kill-child'];
+let isolationAvailable = null;
+
+function canIsolate() {
+    if (isolationAvailable === null) {
+        const probe = spawnSync(ISOLATION_COMMAND, [...ISOLATION_ARGS, 'true'], { stdio: 'ignore', timeout: 5000 });
+        isolationAvailable = probe.status === 0;
+        if (!isolationAvailable) {
+            console.warn(`⚠ ${ISOLATION_COMMAND} namespaces are unavailable, code submissions are disabled`);
+        }
+    }
+    return isolationAvailable;
+}
+
+const LANGUAGES = {
+    javascript: {
+        label: 'JavaScript',
+        fileName: 'main.js',
+        command: (filePath, dir, { memoryMb }) => ({
+            binary: '/bin/sh',
+            args: [
+                '-c',
+                JS_MEMORY_WRAPPER,
+                'sh',
+                String(memoryMb * 1024),
+                process.execPath,
+                '--experimental-permission',
+                `--allow-fs-read=${dir}`,
+                `--max-old-space-size=${memoryMb}`,
+                '--disallow-code-generation-from-strings',
+                '--no-warnings',
+                filePath,
+            ],
+        }),
+    },
+    python: {
+        label: 'Python',
+        fileName: 'main.py',
+        command: (filePath, dir, { memoryMb, timeoutMs }) => ({
+            binary: PYTHON_BINARY,
+            args: ['-I', '-S', '-c', PYTHON_PRELUDE, filePath, String(memoryMb), String(Math.ceil(timeoutMs / 1000))],
+        }),
+    },
+};
+
+/**
+ * Run a program with the given stdin
+ * @param {Object} options
+ * @param {string} options.language - 'javascript' or 'python'
+ * @param {string} options.code - Source code
+ * @param {string} options.input - Text written to stdin
+ * @param {number} options.timeoutMs - Wall-clock limit
+ * @param {number} options.memoryMb - Memory limit
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number|null, signal: string|null, timedOut: boolean, outputLimitExceeded: boolean, durationMs: number}>}
+ */
+async function runCode({ language, code, input = '', timeoutMs = DEFAULT_TIMEOUT_MS, memoryMb = DEFAULT_MEMORY_MB }) {
+    const runtime = LANGUAGES[language];
+    if (!runtime) {
+        throw new Error(`Unsupported language: ${language}`);
+    }
+
+    // Never run submissions without isolation
+    if (!canIsolate()) {
+        throw new Error(`Cannot isolate submissions: ${ISOLATION_COMMAND} namespaces are unavailable`);
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'belmonts-run-'));
+    const filePath = path.join(dir, runtime.fileName);
+    fs.writeFileSync(filePath, code);
+
+    const command = runtime.command(filePath, dir, { memoryMb, timeoutMs });
+    const binary = ISOLATION_COMMAND;
+    const args = [...ISOLATION_ARGS, '--', command.binary, ...command.args];
+
+    try {
+        return await new Promise((resolve) => {
+            const startedAt = Date.now();
+            const child = spawn(binary, args, {
+                cwd: dir,
+                env: { PATH: process.env.PATH, PYTHONIOENCODING: 'utf-8' },
+                stdio: ['pipe', 'pipe', 'pipe'],
+                // Own process group so a timeout also kills anything the program started
+                detached: true,
+            });
+
+            let stdout = '';
+            let stderr = '';
+            let timedOut = false;
+            let outputLimitExceeded = false;
+            let settled = false;
+
+            const killGroup = () => {
+                try {
+                    process.kill(-child.pid, 'SIGKILL');
+                } catch (error) {
+                    // Already exited
+                }
+            };
+
+            const timer = setTimeout(() => {
+                timedOut = true;
+                killGroup();
+            }, timeoutMs);
+
+            const collect = (stream) => (chunk) => {
+                const text = chunk.toString('utf-8');
+                if (stream === 'stdout') stdout += text;
+                else stderr += text;
+
+                if (stdout.length + stderr.length > MAX_OUTPUT_BYTES) {
+                    outputLimitExceeded = true;
+                    killGroup();
+                }
+            };
+
+            child.stdout.on('data', collect('stdout'));
+            child.stderr.on('data', collect('stderr'));
+
+            const finish = (exitCode, signal = null, spawnError = null) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                resolve({
+                    stdout: stdout.slice(0, MAX_OUTPUT_BYTES),
+                    stderr: spawnError ? spawnError.message : stderr.slice(0, MAX_OUTPUT_BYTES),
+                    exitCode,
+                    signal,
+                    timedOut,
+                    outputLimitExceeded,
+                    durationMs: Date.now() - startedAt,
+                });
+            };
+
+            child.on('error', (error) => finish(null, null, error));
+            child.on('close', (exitCode, signal) => finish(exitCode, signal));
+
+            // Programs that never read stdin close it early
+            child.stdin.on('error', () => {});
+            child.stdin.end(input);
+        });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    LANGUAGES,
+    runCode,
+};
@@ -0,0 +1,233 @@
+/**
+ * Render a leaderboard page as a PNG card: medals, avatars, names and points
+ * Pure Node (no canvas or network), so it can be run and checked offline
+ */
+
+const { encodePng, decodePng } = require('./png');
+
+// 5x8 bitmap font for printable ASCII (0x20-0x7E): five columns per glyph, bit 0 is the top row
+const FONT = [
+    '0000000000', '00005f0000', '0007000700', '147f147f14', '242a7f2a12', '2313086462', '3649562050', '0008070300',
+    '001c224100', '0041221c00', '2a1c7f1c2a', '08083e0808', '0080703000', '0808080808', '0000606000', '2010080402',
+    '3e5149453e', '00427f4000', '7249494946', '2141494d33', '1814127f10', '2745454539', '3c4a494931', '4121110907',
+    '3649494936', '464949291e', '0000140000', '0040340000', '0008142241', '1414141414', '0041221408', '0201590906',
+    '3e415d594e', '7c1211127c', '7f49494936', '3e41414122', '7f4141413e', '7f49494941', '7f09090901', '3e41415173',
+    '7f0808087f', '00417f4100', '2040413f01', '7f08142241', '7f40404040', '7f021c027f', '7f0408107f', '3e4141413e',
+    '7f09090906', '3e4151215e', '7f09192946', '2649494932', '03017f0103', '3f4040403f', '1f2040201f', '3f4038403f',
+    '6314081463', '0304780403', '6159494d43', '007f414141', '0204081020', '004141417f', '0402010204', '4040404040',
+    '0003070800', '2054547840', '7f28444438', '3844444428', '384444287f', '3854545418', '00087e0902', '18a4a49c78',
+    '7f08040478', '00447d4000', '2040403d00', '7f10284400', '00417f4000', '7c04780478', '7c08040478', '3844444438',
+    'fc18242418', '18242418fc', '7c08040408', '4854545424', '04043f4424', '3c4040207c', '1c2040201c', '3c4030403c',
+    '4428102844', '4c9090907c', '4464544c44', '0008364100', '0000770000', '0041360800', '0201020402',
+].map(hex => hex.match(/../g).map(byte => parseInt(byte, 16)));
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 8;
+
+const WIDTH = 640;
+const HEADER_HEIGHT = 84;
+const ROW_HEIGHT = 52;
+const PADDING = 12;
+const AVATAR_RADIUS = 20;
+
+const COLORS = {
+    background: [30, 31, 34],
+    header: [0, 153, 255],
+    row: [43, 45, 49],
+    rowAlt: [49, 51, 56],
+    highlight: [59, 74, 107],
+    text: [242, 243, 245],
+    muted: [181, 186, 193],
+    points: [241, 196, 15],
+    avatar: [88, 101, 242],
+    medalText: [30, 31, 34],
+};
+
+// Gold, silver and bronze badges for the top three
+const MEDAL_COLORS = [[241, 196, 15], [189, 195, 199], [205, 127, 50]];
+
+function createImage(width, height, [r, g, b]) {
+    const data = new Uint8Array(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+        data[i + 3] = 255;
+    }
+    return { width, height, data };
+}
+
+// Alpha-blend one pixel onto the (opaque) image
+function blendPixel(image, x, y, [r, g, b], alpha = 1) {
+    if (x < 0 || y < 0 || x >= image.width || y >= image.height || alpha <= 0) return;
+    const i = (y * image.width + x) * 4;
+    const a = Math.min(alpha, 1);
+    image.data[i] = Math.round(image.data[i] * (1 - a) + r * a);
+    image.data[i + 1] = Math.round(image.data[i + 1] * (1 - a) + g * a);
+    image.data[i + 2] = Math.round(image.data[i + 2] * (1 - a) + b * a);
+}
+
+function fillRect(image, x, y, width, height, color) {
+    for (let py = y; py < y + height; py++) {
+        for (let px = x; px < x + width; px++) {
+            blendPixel(image, px, py, color);
+        }
+    }
+}
+
+/**
+ * Visit every pixel of a circle with its edge coverage (0-1), for smooth edges
+ */
+function forEachCirclePixel(cx, cy, radius, callback) {
+    for (let y = Math.floor(cy - radius); y <= Math.ceil(cy + radius); y++) {
+        for (let x = Math.floor(cx - radius); x <= Math.ceil(cx + radius); x++) {
+            const distance = Math.hypot(x + 0.5 - cx, y + 0.5 - cy);
+            const coverage = Math.min(1, radius - distance + 0.5);
+            if (coverage > 0) callback(x, y, coverage);
+        }
+    }
+}
+
+function fillCircle(image, cx, cy, radius, color) {
+    forEachCirclePixel(cx, cy, radius, (x, y, coverage) => blendPixel(image, x, y, color, coverage));
+}
+
+/**
+ * Draw an RGBA image scaled into a circle, sampling bilinearly
+ */
+function drawCircularImage(image, source, cx, cy, radius) {
+    const size = radius * 2;
+    const left = cx - radius;
+    const top = cy - radius;
+
+    forEachCirclePixel(cx, cy, radius, (x, y, coverage) => {
+        const sx = Math.min(Math.max(((x - left + 0.5) / size) * source.width - 0.5, 0), source.width - 1);
+        const sy = Math.min(Math.max(((y - top + 0.5) / size) * source.height - 0.5, 0), source.height - 1);
+        const x0 = Math.floor(sx);
+        const y0 = Math.floor(sy);
+        const x1 = Math.min(x0 + 1, source.width - 1);
+        const y1 = Math.min(y0 + 1, source.height - 1);
+        const fx = sx - x0;
+        const fy = sy - y0;
+
+        const sample = channel => {
+            const at = (px, py) => source.data[(py * source.width + px) * 4 + channel];
+            const topValue = at(x0, y0) * (1 - fx) + at(x1, y0) * fx;
+            const bottomValue = at(x0, y1) * (1 - fx) + at(x1, y1) * fx;
+            return topValue * (1 - fy) + bottomValue * fy;
+        };
+
+        blendPixel(image, x, y, [sample(0), sample(1), sample(2)], coverage * (sample(3) / 255));
+    });
+}
+
+function measureText(text, scale) {
+    return text.length > 0 ? text.length * (GLYPH_WIDTH + 1) * scale - scale : 0;
+}
+
+function drawText(image, text, x, y, scale, color) {
+    [...text].forEach((char, index) => {
+        const glyph = FONT[char.charCodeAt(0) - 0x20] || FONT['?'.charCodeAt(0) - 0x20];
+        const originX = x + index * (GLYPH_WIDTH + 1) * scale;
+
+        glyph.forEach((column, columnIndex) => {
+            for (let row = 0; row < GLYPH_HEIGHT; row++) {
+                if (column & (1 << row)) {
+                    fillRect(image, originX + columnIndex * scale, y + row * scale, scale, scale, color);
+                }
+            }
+        });
+    });
+}
+
+/**
+ * Reduce text to the font's ASCII range (accents dropped, emoji removed) and fit it in maxWidth pixels
+ */
+function toDrawableText(text, scale, maxWidth) {
+    let drawable = String(text ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\u2022/g, '|')
+        .replace(/[^\x20-\x7e]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (measureText(drawable, scale) <= maxWidth) return drawable;
+    while (drawable.length > 0 && measureText(`${drawable}..`, scale) > maxWidth) {
+        drawable = drawable.slice(0, -1);
+    }
+    return `${drawable.trimEnd()}..`;
+}
+
+function decodeAvatar(avatar) {
+    if (!avatar) return null;
+    try {
+        return decodePng(avatar);
+    } catch (error) {
+        // Unsupported formats fall back to the initial
+        return null;
+    }
+}
+
+function drawRow(image, row, index, top) {
+    const centerY = top + ROW_HEIGHT / 2;
+    const background = row.highlight ? COLORS.highlight : index % 2 === 0 ? COLORS.row : COLORS.rowAlt;
+    fillRect(image, PADDING, top, WIDTH - PADDING * 2, ROW_HEIGHT - 4, background);
+
+    // Rank: a medal for the top three, plain text for everyone else
+    const rankText = String(row.rank);
+    const rankX = PADDING + 30;
+    const textY = Math.round(centerY - 2 - GLYPH_HEIGHT);
+    if (row.rank <= MEDAL_COLORS.length) {
+        fillCircle(image, rankX, centerY - 2, 17, MEDAL_COLORS[row.rank - 1]);
+        drawText(image, rankText, Math.round(rankX - measureText(rankText, 2) / 2), textY, 2, COLORS.medalText);
+    } else {
+        const label = `#${rankText}`;
+        drawText(image, label, Math.round(rankX - measureText(label, 2) / 2), textY, 2, COLORS.muted);
+    }
+
+    // Avatar, or a coloured circle with the member's initial
+    const avatarX = PADDING + 84;
+    const avatar = decodeAvatar(row.avatar);
+    const name = toDrawableText(row.name, 2, 340) || 'Member';
+    if (avatar) {
+        drawCircularImage(image, avatar, avatarX, centerY - 2, AVATAR_RADIUS);
+    } else {
+        const initial = name.charAt(0).toUpperCase();
+        fillCircle(image, avatarX, centerY - 2, AVATAR_RADIUS, COLORS.avatar);
+        drawText(image, initial, Math.round(avatarX - measureText(initial, 2) / 2), textY, 2, COLORS.text);
+    }
+
+    drawText(image, name, avatarX + AVATAR_RADIUS + 14, textY, 2, COLORS.text);
+
+    const pointsText = `${row.points} pts`;
+    drawText(image, pointsText, WIDTH - PADDING - 14 - measureText(pointsText, 2), textY, 2, COLORS.points);
+}
+
+/**
+ * Render leaderboard rows as a PNG
+ * @param {Object} card - { title, subtitle, rows: [{ rank, name, points, avatar, highlight }] }
+ *        avatar is PNG file contents (Buffer) or null
+ * @returns {Buffer} PNG file contents
+ */
+function renderLeaderboardCard({ title = 'Leaderboard', subtitle = '', rows = [] }) {
+    const height = HEADER_HEIGHT + Math.max(rows.length, 1) * ROW_HEIGHT + PADDING;
+    const image = createImage(WIDTH, height, COLORS.background);
+
+    fillRect(image, 0, 0, WIDTH, 6, COLORS.header);
+    drawText(image, toDrawableText(title, 3, WIDTH - PADDING * 4).toUpperCase(), PADDING * 2, 20, 3, COLORS.text);
+    if (subtitle) {
+        drawText(image, toDrawableText(subtitle, 2, WIDTH - PADDING * 4), PADDING * 2, 52, 2, COLORS.muted);
+    }
+
+    if (rows.length === 0) {
+        drawText(image, 'Nobody has points yet.', PADDING * 2, HEADER_HEIGHT + 18, 2, COLORS.muted);
+    }
+    rows.forEach((row, index) => drawRow(image, row, index, HEADER_HEIGHT + index * ROW_HEIGHT));
+
+    return encodePng(image);
+}
+
+module.exports = {
+    renderLeaderboardCard,
+};
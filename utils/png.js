@@ -0,0 +1,199 @@
+/**
+ * Minimal PNG encoder/decoder for RGBA images, using only zlib
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel for each PNG colour type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function buildChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode an RGBA image as a PNG
+ * @param {{width: number, height: number, data: Uint8Array}} image - data holds width * height * 4 bytes
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng({ width, height, data }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+    // Bytes 10-12: deflate compression, adaptive filtering, no interlace
+
+    // Every scanline gets filter type 0 (none) in front of it
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 0;
+        Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        buildChunk('IHDR', header),
+        buildChunk('IDAT', zlib.deflateSync(raw)),
+        buildChunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const toLeft = Math.abs(estimate - left);
+    const toUp = Math.abs(estimate - up);
+    const toUpLeft = Math.abs(estimate - upLeft);
+    if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+    return toUp <= toUpLeft ? up : upLeft;
+}
+
+// Undo the per-scanline filters; bpp is the filter's byte distance (at least 1)
+function unfilter(raw, height, stride, bpp) {
+    const pixels = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const source = y * (stride + 1) + 1;
+        const row = y * stride;
+        const previous = row - stride;
+
+        for (let x = 0; x < stride; x++) {
+            const left = x >= bpp ? pixels[row + x - bpp] : 0;
+            const up = y > 0 ? pixels[previous + x] : 0;
+            const upLeft = y > 0 && x >= bpp ? pixels[previous + x - bpp] : 0;
+            let value = raw[source + x];
+
+            if (filter === 1) value += left;
+            else if (filter === 2) value += up;
+            else if (filter === 3) value += (left + up) >> 1;
+            else if (filter === 4) value += paeth(left, up, upLeft);
+            else if (filter !== 0) throw new Error(`Unknown PNG filter type ${filter}`);
+
+            pixels[row + x] = value & 0xff;
+        }
+    }
+    return pixels;
+}
+
+/**
+ * Decode a non-interlaced PNG (8-bit channels, or 1/2/4/8-bit palette and greyscale) to RGBA
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ * @throws {Error} If the file isn't a PNG this decoder supports
+ */
+function decodePng(buffer) {
+    if (!Buffer.isBuffer(buffer) || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Not a PNG file');
+    }
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const dataChunks = [];
+
+    for (let offset = 8; offset + 8 <= buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += length + 12;
+
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12],
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            dataChunks.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header) throw new Error('PNG has no IHDR chunk');
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = CHANNELS[colorType];
+    const paletted = colorType === 3;
+    const packed = bitDepth < 8 && (colorType === 0 || paletted);
+
+    if (!channels) throw new Error(`Unsupported PNG colour type ${colorType}`);
+    if (interlace) throw new Error('Interlaced PNGs are not supported');
+    if (bitDepth !== 8 && !packed) throw new Error(`Unsupported PNG bit depth ${bitDepth}`);
+    if (paletted && !palette) throw new Error('Palette PNG has no PLTE chunk');
+
+    const stride = Math.ceil((width * channels * bitDepth) / 8);
+    const raw = zlib.inflateSync(Buffer.concat(dataChunks));
+    const pixels = unfilter(raw, height, stride, Math.max(1, (channels * bitDepth) >> 3));
+    const data = new Uint8Array(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            let sample;
+
+            if (packed) {
+                const bitOffset = x * bitDepth;
+                const byte = pixels[y * stride + (bitOffset >> 3)];
+                sample = (byte >> (8 - bitDepth - (bitOffset & 7))) & ((1 << bitDepth) - 1);
+            } else {
+                sample = y * stride + x * channels;
+            }
+
+            if (paletted) {
+                data[out] = palette[sample * 3];
+                data[out + 1] = palette[sample * 3 + 1];
+                data[out + 2] = palette[sample * 3 + 2];
+                data[out + 3] = transparency && sample < transparency.length ? transparency[sample] : 255;
+            } else if (colorType === 0) {
+                const grey = packed ? Math.round((sample * 255) / ((1 << bitDepth) - 1)) : pixels[sample];
+                data[out] = data[out + 1] = data[out + 2] = grey;
+                data[out + 3] = 255;
+            } else if (colorType === 4) {
+                data[out] = data[out + 1] = data[out + 2] = pixels[sample];
+                data[out + 3] = pixels[sample + 1];
+            } else {
+                data[out] = pixels[sample];
+                data[out + 1] = pixels[sample + 1];
+                data[out + 2] = pixels[sample + 2];
+                data[out + 3] = colorType === 6 ? pixels[sample + 3] : 255;
+            }
+        }
+    }
+
+    return { width, height, data };
+}
+
+module.exports = {
+    encodePng,
+    decodePng,
+};
@@ -0,0 +1,134 @@
+/**
+ * Run a solution against a daily question's example and hidden test cases
+ */
+
+const { runCode } = require('./codeRunner');
+const { VERDICTS, checkOutput } = require('./answerChecker');
+
+const MAX_TESTS = 10;
+
+/**
+ * Split on commas that are not inside brackets or quotes
+ */
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if ('[({'.includes(char)) {
+            depth++;
+        } else if ('])}'.includes(char)) {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Turn a question's Input ("Number1: 45, Number2: 78") into stdin, one value per line
+ */
+function formatQuestionInput(input) {
+    if (input === undefined || input === null) return '';
+
+    const text = String(input).trim();
+    const parts = splitTopLevel(text);
+    const labelled = parts.length > 0 && parts.every(part => /^[A-Za-z_][\w ]*\s*[:=]/.test(part));
+    if (!labelled) {
+        return `${text}\n`;
+    }
+
+    return parts.map(part => part.replace(/^[A-Za-z_][\w ]*\s*[:=]\s*/, '')).join('\n') + '\n';
+}
+
+/**
+ * List the test cases for a question: the public example first, then any HiddenTests
+ * @param {Object} question - Entry from dailyQuestion.json
+ * @returns {Array<{input: *, output: *, hidden: boolean}>}
+ */
+function getQuestionTests(question) {
+    if (!question) return [];
+
+    const tests = [{ input: question.Input, output: question.Output, hidden: false }];
+    const hiddenTests = Array.isArray(question.HiddenTests) ? question.HiddenTests : [];
+    hiddenTests.forEach(test => {
+        if (test && test.Output !== undefined) {
+            tests.push({ input: test.Input, output: test.Output, hidden: true });
+        }
+    });
+
+    return tests.slice(0, MAX_TESTS);
+}
+
+/**
+ * Whether a question has hidden tests that need the solution's source code to check
+ */
+function hasHiddenTests(question) {
+    return getQuestionTests(question).some(test => test.hidden);
+}
+
+function describeRunFailure(run) {
+    if (run.timedOut) return 'Time limit exceeded';
+    if (run.outputLimitExceeded) return 'Output limit exceeded';
+    if (run.signal) return `Crashed (${run.signal}, likely out of memory)`;
+    if (run.exitCode !== 0) return `Runtime error (exit code ${run.exitCode})`;
+    return null;
+}
+
+/**
+ * Combine per-test verdicts: any wrong answer fails, otherwise tests that could be
+ * judged decide, and a run with no judgeable tests stays unjudged
+ */
+function combineVerdicts(results) {
+    if (results.some(result => result.verdict === VERDICTS.WRONG)) return VERDICTS.WRONG;
+    if (results.some(result => result.verdict === VERDICTS.CORRECT)) return VERDICTS.CORRECT;
+    return VERDICTS.UNJUDGED;
+}
+
+/**
+ * Run a solution against every test case of a question
+ * @param {Object} options
+ * @param {string} options.language - 'javascript' or 'python'
+ * @param {string} options.code - Source code
+ * @param {Object} options.question - Entry from dailyQuestion.json
+ * @returns {Promise<{verdict: string, passed: number, total: number, results: Array}>}
+ */
+async function runQuestionTests({ language, code, question }) {
+    const results = [];
+
+    for (const test of getQuestionTests(question)) {
+        const run = await runCode({ language, code, input: formatQuestionInput(test.input) });
+        const failure = describeRunFailure(run);
+        const check = failure
+            ? { verdict: VERDICTS.WRONG, reason: failure }
+            : checkOutput(test.output, run.stdout);
+
+        results.push({ ...test, run, failure, verdict: check.verdict, reason: check.reason });
+    }
+
+    return {
+        verdict: combineVerdicts(results),
+        passed: results.filter(result => result.verdict === VERDICTS.CORRECT).length,
+        total: results.length,
+        results,
+    };
+}
+
+module.exports = {
+    formatQuestionInput,
+    getQuestionTests,
+    hasHiddenTests,
+    describeRunFailure,
+    runQuestionTests,
+};
@@ -0,0 +1,440 @@
+/**
+ * Persistent job scheduler for Asia/Kolkata
+ *
+ * Jobs are registered with a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * or a one-off date. The last handled occurrence of every job is written to json/schedulerState.json
+ * so missed runs can be caught up after a restart, and paused jobs stay paused.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getTimeZoneParts, zonedTimeToDate, formatTimeInTimeZone } = require('./timezoneUtils');
+
+const STATE_FILE = path.join(__dirname, '..', 'json', 'schedulerState.json');
+
+// setTimeout cannot wait longer than ~24.8 days, longer delays are re-armed in steps
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+// How far ahead to look for the next matching day before giving up on an expression
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 },
+];
+
+const jobs = new Map();
+
+// ============ Cron Expressions ============
+
+/**
+ * Parse a single cron field into a sorted list of allowed values
+ */
+function parseCronField(field, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${stepText}" in ${name} field`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = min;
+            end = max;
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(Number);
+        } else {
+            start = Number(range);
+            end = stepText === undefined ? start : max;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+            throw new Error(`Invalid value "${part}" in ${name} field (allowed ${min}-${max})`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression - e.g. "30 21 * * *" or "0 8 * * 1-5"
+ * @returns {Object} Parsed expression
+ * @throws {Error} If the expression is malformed
+ */
+function parseCronExpression(expression) {
+    const fields = String(expression || '').trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Cron expression "${expression}" must have 5 fields`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) =>
+        parseCronField(field, CRON_FIELDS[index])
+    );
+
+    return {
+        expression: fields.join(' '),
+        minutes,
+        hours,
+        daysOfMonth: new Set(daysOfMonth),
+        months: new Set(months),
+        // 7 is an alias for Sunday
+        daysOfWeek: new Set(daysOfWeek.map(day => day % 7)),
+        // Like vixie cron, a restricted day-of-month OR day-of-week matches
+        restrictedDayOfMonth: fields[2] !== '*',
+        restrictedDayOfWeek: fields[4] !== '*',
+    };
+}
+
+/**
+ * Check whether a cron expression is valid
+ */
+function isValidCronExpression(expression) {
+    try {
+        parseCronExpression(expression);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function matchesDay(cron, { month, day, weekday }) {
+    if (!cron.months.has(month)) return false;
+
+    const domMatch = cron.daysOfMonth.has(day);
+    const dowMatch = cron.daysOfWeek.has(weekday);
+
+    if (cron.restrictedDayOfMonth && cron.restrictedDayOfWeek) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+/**
+ * Get the first occurrence of a cron expression strictly after a given instant
+ * @param {Object|string} cron - Parsed or raw cron expression
+ * @param {Date} after - Instant to search from
+ * @returns {Date|null} Next occurrence, or null if none within the lookahead window
+ */
+function getNextCronOccurrence(cron, after = new Date()) {
+    const parsed = typeof cron === 'string' ? parseCronExpression(cron) : cron;
+    const start = getTimeZoneParts(after);
+
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+        // Noon avoids the date rolling over while stepping across days
+        const dayParts = getTimeZoneParts(
+            new Date(zonedTimeToDate(start.year, start.month, start.day, 12, 0).getTime() + offset * 24 * 60 * 60 * 1000)
+        );
+
+        if (!matchesDay(parsed, dayParts)) continue;
+
+        for (const hour of parsed.hours) {
+            for (const minute of parsed.minutes) {
+                if (offset === 0 && (hour < start.hour || (hour === start.hour && minute <= start.minute))) {
+                    continue;
+                }
+                return zonedTimeToDate(dayParts.year, dayParts.month, dayParts.day, hour, minute);
+            }
+        }
+    }
+
+    return null;
+}
+
+// ============ State Persistence ============
+
+function loadSchedulerState() {
+    try {
+        const data = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+        return { jobs: data.jobs || {}, lastUpdated: data.lastUpdated || null };
+    } catch (error) {
+        return { jobs: {}, lastUpdated: null };
+    }
+}
+
+function saveSchedulerState(state) {
+    try {
+        state.lastUpdated = new Date().toISOString();
+        fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+    } catch (error) {
+        console.error('Failed to save scheduler state:', error.message);
+    }
+}
+
+function updateJobRecord(name, changes) {
+    const state = loadSchedulerState();
+    state.jobs[name] = { ...(state.jobs[name] || {}), ...changes };
+    saveSchedulerState(state);
+    return state.jobs[name];
+}
+
+function getJobRecord(name) {
+    return loadSchedulerState().jobs[name] || {};
+}
+
+// ============ Job Execution ============
+
+function getNextRunAt(job, after = new Date()) {
+    if (job.at) {
+        const record = getJobRecord(job.name);
+        return record.lastOccurrenceAt ? null : job.at;
+    }
+    return getNextCronOccurrence(job.cron, after);
+}
+
+async function executeJob(job, { occurrence = new Date(), reason = 'scheduled' } = {}) {
+    const record = getJobRecord(job.name);
+
+    if (record.paused) {
+        console.log(`⏸ Skipping paused job "${job.name}"`);
+        updateJobRecord(job.name, { lastOccurrenceAt: occurrence.toISOString() });
+        return false;
+    }
+
+    if (job.running) {
+        console.warn(`⚠ Job "${job.name}" is still running, skipping this run`);
+        return false;
+    }
+
+    job.running = true;
+    const startedAt = new Date();
+    updateJobRecord(job.name, {
+        lastOccurrenceAt: occurrence.toISOString(),
+        lastRunAt: startedAt.toISOString(),
+    });
+
+    let status = 'ok';
+    try {
+        if (reason !== 'scheduled') {
+            console.log(`▶ Running job "${job.name}" (${reason})`);
+        }
+        await job.run();
+    } catch (error) {
+        status = 'error';
+        console.error(`Error running job "${job.name}":`, error);
+    } finally {
+        job.running = false;
+        // A job may unregister itself while running (e.g. a delivered one-off reminder)
+        if (jobs.get(job.name) === job) {
+            updateJobRecord(job.name, { lastStatus: status, lastFinishedAt: new Date().toISOString() });
+        }
+    }
+
+    return status === 'ok';
+}
+
+function armJob(job) {
+    if (job.timer) {
+        clearTimeout(job.timer);
+        job.timer = null;
+    }
+
+    if (!jobs.has(job.name)) return;
+
+    job.nextRunAt = getNextRunAt(job);
+    if (!job.nextRunAt) return;
+
+    const delay = Math.max(0, job.nextRunAt.getTime() - Date.now());
+    job.timer = setTimeout(async () => {
+        job.timer = null;
+
+        // Long delays are split into several timers
+        if (Date.now() < job.nextRunAt.getTime() - 1000) {
+            armJob(job);
+            return;
+        }
+
+        await executeJob(job, { occurrence: job.nextRunAt });
+        armJob(job);
+    }, Math.min(delay, MAX_TIMER_DELAY));
+}
+
+/**
+ * Find the occurrence a job missed while the bot was offline, if any
+ */
+function findMissedOccurrence(job, record, now) {
+    if (job.at) {
+        return !record.lastOccurrenceAt && job.at <= now ? job.at : null;
+    }
+
+    const reference = record.lastOccurrenceAt || record.registeredAt;
+    if (!reference) return null;
+
+    const missed = getNextCronOccurrence(job.cron, new Date(reference));
+    return missed && missed <= now ? missed : null;
+}
+
+// ============ Public API ============
+
+/**
+ * Register (or replace) a scheduled job
+ * @param {Object} options
+ * @param {string} options.name - Unique job name, used as the key for persisted state
+ * @param {string} [options.cron] - 5-field cron expression in Asia/Kolkata time
+ * @param {Date|string} [options.at] - One-off run time (instead of cron)
+ * @param {Function} options.run - Async function executed on every occurrence
+ * @param {string} [options.description] - Human readable description for /jobs
+ * @param {boolean} [options.catchUp=true] - Run once on startup if an occurrence was missed
+ * @param {number|null} [options.catchUpWindowMinutes=null] - Only catch up occurrences missed by less than this
+ * @param {string|null} [options.group=null] - Jobs sharing a group (one per reminder, say) are summarised together by /jobs
+ * @param {boolean} [options.personal=false] - Belongs to one user, so it is left out of public status output
+ * @returns {Object} The registered job
+ */
+function registerJob({ name, cron, at, run, description = '', catchUp = true, catchUpWindowMinutes = null, group = null, personal = false }) {
+    if (!name || typeof run !== 'function') {
+        throw new Error('A job needs a name and a run function');
+    }
+    if (!cron && !at) {
+        throw new Error(`Job "${name}" needs a cron expression or a run date`);
+    }
+
+    unregisterJob(name);
+
+    const job = {
+        name,
+        description,
+        group,
+        personal,
+        cron: cron ? parseCronExpression(cron) : null,
+        at: at ? new Date(at) : null,
+        run,
+        catchUp,
+        catchUpWindowMinutes,
+        timer: null,
+        nextRunAt: null,
+        running: false,
+    };
+    jobs.set(name, job);
+
+    const now = new Date();
+    let record = getJobRecord(name);
+    if (!record.registeredAt) {
+        record = updateJobRecord(name, { registeredAt: now.toISOString() });
+    }
+    if (job.at && record.scheduledAt !== job.at.toISOString()) {
+        // A one-off job name can be reused for a new date
+        record = updateJobRecord(name, { scheduledAt: job.at.toISOString(), lastOccurrenceAt: null });
+    }
+
+    const missed = findMissedOccurrence(job, record, now);
+    const withinWindow = missed && (catchUpWindowMinutes === null || now - missed <= catchUpWindowMinutes * 60 * 1000);
+
+    if (missed && catchUp && withinWindow && !record.paused) {
+        console.log(`⏪ Job "${name}" missed its run at ${formatTimeInTimeZone(missed)}, catching up`);
+        executeJob(job, { occurrence: now, reason: 'catch-up' }).then(() => armJob(job));
+        return job;
+    }
+
+    if (missed) {
+        // Skip the missed occurrence so it is not reconsidered on the next restart
+        updateJobRecord(name, { lastOccurrenceAt: now.toISOString() });
+    }
+
+    armJob(job);
+
+    if (job.nextRunAt) {
+        console.log(`📅 Job "${name}" scheduled for ${formatTimeInTimeZone(job.nextRunAt)} Asia/Kolkata`);
+    }
+
+    return job;
+}
+
+/**
+ * Remove a job and stop its timer
+ * @param {string} name - Job name
+ * @param {Object} [options]
+ * @param {boolean} [options.forget=false] - Also delete the persisted state
+ * @returns {boolean} True if the job was registered
+ */
+function unregisterJob(name, { forget = false } = {}) {
+    const job = jobs.get(name);
+    if (job?.timer) {
+        clearTimeout(job.timer);
+    }
+    jobs.delete(name);
+
+    if (forget) {
+        const state = loadSchedulerState();
+        if (state.jobs[name]) {
+            delete state.jobs[name];
+            saveSchedulerState(state);
+        }
+    }
+
+    return Boolean(job);
+}
+
+/**
+ * Pause a job; paused jobs keep their schedule but skip execution
+ */
+function pauseJob(name) {
+    if (!jobs.has(name)) return false;
+    updateJobRecord(name, { paused: true });
+    return true;
+}
+
+/**
+ * Resume a paused job
+ */
+function resumeJob(name) {
+    if (!jobs.has(name)) return false;
+    updateJobRecord(name, { paused: false });
+    return true;
+}
+
+/**
+ * Run a job immediately, outside of its schedule
+ */
+async function runJobNow(name) {
+    const job = jobs.get(name);
+    if (!job) return false;
+    return executeJob(job, { reason: 'manual' });
+}
+
+/**
+ * List all registered jobs with their schedule and persisted state
+ */
+function listJobs() {
+    const state = loadSchedulerState();
+
+    return [...jobs.values()]
+        .map(job => {
+            const record = state.jobs[job.name] || {};
+            return {
+                name: job.name,
+                description: job.description,
+                group: job.group,
+                personal: job.personal,
+                schedule: job.cron ? job.cron.expression : `once at ${job.at.toISOString()}`,
+                paused: Boolean(record.paused),
+                running: job.running,
+                lastRunAt: record.lastRunAt || null,
+                lastStatus: record.lastStatus || null,
+                nextRunAt: job.nextRunAt ? job.nextRunAt.toISOString() : null,
+            };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+    registerJob,
+    unregisterJob,
+    pauseJob,
+    resumeJob,
+    runJobNow,
+    listJobs,
+    parseCronExpression,
+    isValidCronExpression,
+    getNextCronOccurrence,
+};
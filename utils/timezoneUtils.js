@@ -117,11 +117,115 @@ function getTimeWithTimezoneInfo(date) {
     return `${systemTime} (System) / ${kolkataTime} (Asia/Kolkata)`;
 }
 
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'short',
+    hour12: false,
+});
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get the wall-clock fields of an instant in Asia/Kolkata timezone
+ * @param {Date} date - Instant to break down
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *          month is 1-12, weekday is 0 (Sunday) - 6 (Saturday)
+ */
+function getTimeZoneParts(date = new Date()) {
+    const parts = {};
+    partsFormatter.formatToParts(new Date(date)).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        // Some ICU versions render midnight as "24"
+        hour: parseInt(parts.hour, 10) % 24,
+        minute: parseInt(parts.minute, 10),
+        second: parseInt(parts.second, 10),
+        weekday: WEEKDAYS.indexOf(parts.weekday),
+    };
+}
+
+/**
+ * Convert Asia/Kolkata wall-clock fields to the real instant they represent
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute (0-59)
+ * @returns {Date} The matching instant
+ */
+function zonedTimeToDate(year, month, day, hour = 0, minute = 0) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    const parts = getTimeZoneParts(new Date(asUtc));
+    const zonedAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return new Date(asUtc - (zonedAsUtc - asUtc));
+}
+
+/**
+ * Get the UTC offset of Asia/Kolkata at a given instant
+ * @param {Date} date - Instant to check
+ * @returns {number} Offset in minutes (330 for IST)
+ */
+function getTimeZoneOffsetMinutes(date = new Date()) {
+    const parts = getTimeZoneParts(date);
+    const zonedAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    const instant = new Date(date);
+    instant.setUTCSeconds(0, 0);
+    return Math.round((zonedAsUtc - instant.getTime()) / (60 * 1000));
+}
+
+/**
+ * Get a YYYY-MM-DD key for an instant in Asia/Kolkata timezone
+ * @param {Date} date - Instant to format
+ * @returns {string} Date key
+ */
+function getDateKeyInTimeZone(date = new Date()) {
+    const { year, month, day } = getTimeZoneParts(date);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Get the instant the Asia/Kolkata week (Monday 00:00) containing a date started
+ * @param {Date} date - Instant inside the week
+ * @returns {Date} Start of the week
+ */
+function getStartOfWeekInTimeZone(date = new Date()) {
+    const { year, month, day, weekday } = getTimeZoneParts(date);
+    const daysSinceMonday = (weekday + 6) % 7;
+    return zonedTimeToDate(year, month, day - daysSinceMonday);
+}
+
+/**
+ * Get the instant the Asia/Kolkata month containing a date started
+ * @param {Date} date - Instant inside the month
+ * @returns {Date} Start of the month
+ */
+function getStartOfMonthInTimeZone(date = new Date()) {
+    const { year, month } = getTimeZoneParts(date);
+    return zonedTimeToDate(year, month, 1);
+}
+
 module.exports = {
     getCurrentTimeInTimeZone,
     getNextScheduledTime,
     getDelayUntilNextScheduledTime,
     formatTimeInTimeZone,
     getTimeWithTimezoneInfo,
+    getTimeZoneParts,
+    zonedTimeToDate,
+    getTimeZoneOffsetMinutes,
+    getDateKeyInTimeZone,
+    getStartOfWeekInTimeZone,
+    getStartOfMonthInTimeZone,
     TIMEZONE,
 };